@@ -1,8 +1,21 @@
+// Core singletons
+import appSettingsManager from "./app-settings-manager.js";
+import appStateManager from "./app-state-manager.js";
+import appSessionManager from "./app-session-manager.js";
+import appGroupManager from "./app-group-manager.js";
+import appLaunchManager from "./app-launch-manager.js";
+import appHistoryManager from "./app-history-manager.js";
+
 // Game singletons
 import joinManager from "../game/join-manager.js";
+import autoJoinManager from "../game/auto-join-manager.js";
+
+// Game modules
+import JoinFilter from "../game/join-filter.js";
 
 // UI and utilities
 import UIManager from "../ui/ui-manager.js";
+import { NOTIFICATION_TEMPLATES } from "../ui/html-templates.js";
 import DOMUtils from "../utils/dom-utils.js";
 import tutorialManager from "../ui/tutorial/tutorial-manager.js";
 
@@ -90,12 +103,286 @@ class AppEventManager {
       });
     }
 
+    // Auto-join active hours
+    ["auto-join-start", "auto-join-end"].forEach((id) => {
+      const input = DOMUtils.getElementById(id);
+      if (input) {
+        input.addEventListener("change", () =>
+          this.handleAutoJoinHoursChange()
+        );
+      }
+    });
+
+    // Resume joins from the last session without asking
+    const autoResumeCheckbox = DOMUtils.getElementById("auto-resume");
+    if (autoResumeCheckbox) {
+      autoResumeCheckbox.addEventListener("change", () =>
+        appSessionManager.setAutoResume(autoResumeCheckbox.checked)
+      );
+    }
+
+    // Join filters
+    [
+      "filter-mode",
+      "filter-allowed-maps",
+      "filter-blocked-maps",
+      "filter-skip-near-end",
+    ].forEach((id) => {
+      const input = DOMUtils.getElementById(id);
+      if (input) {
+        input.addEventListener("change", () => this.handleJoinFiltersChange());
+      }
+    });
+
+    this.setupGroupJoinListeners();
+    this.setupLaunchListeners();
+    this.setupHistoryListeners();
+    this.setupGameStateListeners();
+
     // Setup friend listeners using event delegation
     this.setupFriendListeners();
+
+    // Window bar buttons (no inline handlers, CSP forbids them)
+    this.setupWindowBarListeners();
+  }
+
+  /**
+   * Setup group join and saved squad controls
+   */
+  setupGroupJoinListeners() {
+    const squadSelect = DOMUtils.getElementById("squad-select");
+    if (squadSelect) {
+      squadSelect.addEventListener("change", () => {
+        const nameInput = DOMUtils.getElementById("squad-name-input");
+        if (nameInput) nameInput.value = squadSelect.value;
+        appGroupManager.selectSquad(squadSelect.value);
+        appGroupManager.updateControls();
+      });
+    }
+
+    const saveBtn = DOMUtils.getElementById("squad-save-btn");
+    if (saveBtn) {
+      saveBtn.addEventListener("click", () => {
+        const name = DOMUtils.getElementById("squad-name-input")?.value;
+        appGroupManager.saveSquad(name);
+      });
+    }
+
+    const deleteBtn = DOMUtils.getElementById("squad-delete-btn");
+    if (deleteBtn && squadSelect) {
+      deleteBtn.addEventListener("click", () =>
+        appGroupManager.deleteSquad(squadSelect.value)
+      );
+    }
+
+    const joinBtn = DOMUtils.getElementById("group-join-btn");
+    if (joinBtn) {
+      joinBtn.addEventListener("click", () => appGroupManager.joinSelection());
+    }
+  }
+
+  /**
+   * Setup launch profile controls
+   */
+  setupLaunchListeners() {
+    const profileSelect = DOMUtils.getElementById("launch-profile-select");
+    if (profileSelect) {
+      profileSelect.addEventListener("change", () =>
+        appLaunchManager.selectProfile(profileSelect.value)
+      );
+    }
+
+    const saveBtn = DOMUtils.getElementById("launch-profile-save-btn");
+    if (saveBtn) {
+      saveBtn.addEventListener("click", async () => {
+        const problem = await appLaunchManager.saveProfile(
+          DOMUtils.getElementById("launch-profile-name-input")?.value,
+          DOMUtils.getElementById("launch-args-input")?.value
+        );
+        if (problem) UIManager.showError(problem);
+      });
+    }
+
+    const deleteBtn = DOMUtils.getElementById("launch-profile-delete-btn");
+    if (deleteBtn && profileSelect) {
+      deleteBtn.addEventListener("click", () =>
+        appLaunchManager.deleteProfile(profileSelect.value)
+      );
+    }
+
+    const directCheckbox = DOMUtils.getElementById("launch-direct");
+    if (directCheckbox) {
+      directCheckbox.addEventListener("change", () =>
+        appLaunchManager.setLaunchDirect(directCheckbox.checked)
+      );
+    }
+  }
+
+  /**
+   * Setup the game state config install button
+   */
+  setupGameStateListeners() {
+    const installBtn = DOMUtils.getElementById("gsi-install-btn");
+    if (!installBtn || !window.electronAPI.gsi) return;
+
+    installBtn.addEventListener("click", async () => {
+      installBtn.disabled = true;
+      try {
+        const result = await window.electronAPI.gsi.install();
+        if (result.ok) {
+          UIManager.showNotification(
+            NOTIFICATION_TEMPLATES.GSI_INSTALLED(result.path),
+            "info"
+          );
+        } else if (result.error) {
+          UIManager.showError(result.error);
+        }
+      } finally {
+        installBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Setup the History panel
+   */
+  setupHistoryListeners() {
+    const panel = DOMUtils.getElementById("history-panel");
+    if (panel) {
+      panel.addEventListener("toggle", () =>
+        appHistoryManager.setOpen(panel.open)
+      );
+    }
+
+    const clearBtn = DOMUtils.getElementById("history-clear-btn");
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => appHistoryManager.clear());
+    }
+  }
+
+  /**
+   * Show the saved auto-join active hours and the auto-resume option
+   * Both time inputs stay empty when auto-join is allowed at any time.
+   */
+  displayAutoJoinSettings() {
+    const { active_hours } = autoJoinManager.getSettings();
+    const startInput = DOMUtils.getElementById("auto-join-start");
+    const endInput = DOMUtils.getElementById("auto-join-end");
+
+    if (startInput) startInput.value = active_hours?.start || "";
+    if (endInput) endInput.value = active_hours?.end || "";
+
+    const autoResumeCheckbox = DOMUtils.getElementById("auto-resume");
+    if (autoResumeCheckbox) {
+      autoResumeCheckbox.checked = appSessionManager.isAutoResume();
+    }
+  }
+
+  /**
+   * Apply and persist the auto-join active hours once both times are set
+   */
+  handleAutoJoinHoursChange() {
+    const start = DOMUtils.getElementById("auto-join-start")?.value || "";
+    const end = DOMUtils.getElementById("auto-join-end")?.value || "";
+
+    // Wait for the second time while only one is filled in
+    if (!!start !== !!end) return;
+
+    autoJoinManager.setActiveHours(start ? { start, end } : null);
+    appSettingsManager.update({ auto_join: autoJoinManager.getSettings() });
+  }
+
+  /**
+   * Show the saved join filters in the filter controls
+   */
+  displayJoinFilters() {
+    const filters = joinManager.getFilters();
+
+    const modeSelect = DOMUtils.getElementById("filter-mode");
+    if (modeSelect) {
+      modeSelect.value = filters.modes.length === 1 ? filters.modes[0] : "";
+    }
+
+    const allowedInput = DOMUtils.getElementById("filter-allowed-maps");
+    if (allowedInput) allowedInput.value = filters.allowed_maps.join(", ");
+
+    const blockedInput = DOMUtils.getElementById("filter-blocked-maps");
+    if (blockedInput) blockedInput.value = filters.blocked_maps.join(", ");
+
+    const nearEndCheckbox = DOMUtils.getElementById("filter-skip-near-end");
+    if (nearEndCheckbox) nearEndCheckbox.checked = filters.skip_near_end;
+  }
+
+  /**
+   * Apply and persist the join filters from the filter controls
+   */
+  handleJoinFiltersChange() {
+    const mode = DOMUtils.getElementById("filter-mode")?.value || "";
+
+    joinManager.setFilters({
+      modes: mode ? [mode] : [],
+      allowed_maps: JoinFilter.parseMapList(
+        DOMUtils.getElementById("filter-allowed-maps")?.value
+      ),
+      blocked_maps: JoinFilter.parseMapList(
+        DOMUtils.getElementById("filter-blocked-maps")?.value
+      ),
+      skip_near_end: !!DOMUtils.getElementById("filter-skip-near-end")?.checked,
+    });
+    this.displayJoinFilters();
+    appSettingsManager.update({ join_filters: joinManager.getFilters() });
   }
 
   /**
-   * Setup event listeners for friend join buttons using event delegation
+   * Add or remove a friend from the auto-join watchlist and persist it
+   * @param {string} steamId - Friend Steam ID
+   */
+  toggleWatchedFriend(steamId) {
+    autoJoinManager.toggleWatch(steamId);
+    UIManager.updateWatchButton(steamId);
+    appSettingsManager.update({ auto_join: autoJoinManager.getSettings() });
+  }
+
+  /**
+   * Start a join that only connects while the friend stays on their current map
+   * @param {string} steamId - Friend Steam ID
+   */
+  startJoinOnCurrentMap(steamId) {
+    const friend = (appStateManager.getState("friendsData") || []).find(
+      (f) => f.steamid === steamId
+    );
+    const filters = friend?.game_map
+      ? { allowed_maps: [friend.game_map], blocked_maps: [] }
+      : undefined;
+    joinManager.startJoin(steamId, { filters });
+  }
+
+  /**
+   * Setup window bar buttons (tutorial, minimize, close)
+   */
+  setupWindowBarListeners() {
+    const tutorialBtn = DOMUtils.getElementById("tutorial-btn");
+    if (tutorialBtn) {
+      tutorialBtn.addEventListener("click", () => tutorialManager.start());
+    }
+
+    const minimizeBtn = DOMUtils.getElementById("window-minimize-btn");
+    if (minimizeBtn) {
+      minimizeBtn.addEventListener("click", () =>
+        window.electronAPI.window.minimize()
+      );
+    }
+
+    const closeBtn = DOMUtils.getElementById("window-close-btn");
+    if (closeBtn) {
+      closeBtn.addEventListener("click", () =>
+        window.electronAPI.window.close()
+      );
+    }
+  }
+
+  /**
+   * Setup event listeners for friend join, follow, watch and group select controls using event delegation
    */
   setupFriendListeners() {
     const friendsContainer = DOMUtils.getElementById("friends");
@@ -108,6 +395,34 @@ class AppEventManager {
 
     // Create new click handler
     this.friendsClickHandler = (event) => {
+      const groupCheckbox = event.target.closest('[id^="select-friend-"]');
+      if (groupCheckbox) {
+        appGroupManager.setSelected(
+          groupCheckbox.id.replace("select-friend-", ""),
+          groupCheckbox.checked
+        );
+        return;
+      }
+
+      const watchButton = event.target.closest('[id^="watch-btn-"]');
+      if (watchButton) {
+        // The tutorial mock friend must not end up in saved settings
+        if (!tutorialManager.stateManager.getIsActive()) {
+          this.toggleWatchedFriend(watchButton.id.replace("watch-btn-", ""));
+        }
+        return;
+      }
+
+      const followButton = event.target.closest('[id^="follow-btn-"]');
+      if (followButton) {
+        if (!tutorialManager.stateManager.getIsActive()) {
+          joinManager.startJoin(followButton.id.replace("follow-btn-", ""), {
+            follow: true,
+          });
+        }
+        return;
+      }
+
       const button = event.target.closest('[id^="join-btn-"]');
       if (!button) return;
 
@@ -136,6 +451,8 @@ class AppEventManager {
 
       if (button.classList.contains("cancel-btn")) {
         joinManager.cancelJoin(steamId);
+      } else if (event.shiftKey) {
+        this.startJoinOnCurrentMap(steamId);
       } else {
         joinManager.startJoin(steamId);
       }
@@ -1,12 +1,18 @@
+// Shared constants
+import { CACHE_CONFIG, POLL_CONFIG } from "../shared/constants.js";
+
 // Core singletons
 import appStateManager from "./app-state-manager.js";
+import appSettingsManager from "./app-settings-manager.js";
 
 // Game singletons
 import joinManager from "../game/join-manager.js";
+import autoJoinManager from "../game/auto-join-manager.js";
+import pollScheduler from "../game/poll-scheduler.js";
 
 // UI and utilities
 import UIManager from "../ui/ui-manager.js";
-import SteamAPI from "../steam/steam-api.js";
+import SteamServiceClient from "../steam/steam-service-client.js";
 import Validators from "../utils/validators.js";
 import ErrorHandler from "../utils/error-handler.js";
 import DOMUtils from "../utils/dom-utils.js";
@@ -39,11 +45,10 @@ class AppFriendsManager {
   /**
    * Fetch and render friends by their IDs
    * @param {string[]} friendIds - Array of friend Steam IDs
-   * @param {string} auth - API key or token
    * @param {boolean} [keepStates=false] - Whether to preserve join states
    * @returns {Promise<import('../shared/types.js').Friend[]>} - Array of friends
    */
-  async fetchAndRenderFriendsByIds(friendIds, auth, keepStates = false) {
+  async fetchAndRenderFriendsByIds(friendIds, keepStates = false) {
     // Skip auto-refresh updates during tutorial
     if (keepStates && tutorialManager.isActive) {
       logger.debug(
@@ -62,7 +67,11 @@ class AppFriendsManager {
     }
 
     try {
-      const allStatuses = await SteamAPI.getFriendsStatuses(friendIds, auth);
+      const allStatuses = await SteamServiceClient.getFriendsStatuses(
+        friendIds,
+        appStateManager.getState("savedAvatars")
+      );
+      this.rememberAvatars(allStatuses);
 
       const supportedFriends = allStatuses.filter(
         (friend) => friend.in_casual_mode
@@ -82,6 +91,11 @@ class AppFriendsManager {
         `Friends update completed: ${supportedFriends.length} supported friends found, ${supportedFriends.filter((f) => f.join_available).length} joinable`
       );
 
+      // Start joins for watched friends who entered a supported mode
+      autoJoinManager.handleFriendsUpdate(allStatuses).catch((error) => {
+        logger.warn("App", "Auto-join check failed", { error: error.message });
+      });
+
       return supportedFriends;
     } catch (error) {
       ErrorHandler.logError("App.fetchAndRenderFriendsByIds", error);
@@ -90,41 +104,60 @@ class AppFriendsManager {
     }
   }
 
+  /**
+   * Remember newly loaded avatars and persist them across restarts
+   * @param {import('../shared/types.js').Friend[]} friends - Friends with avatar URLs
+   */
+  rememberAvatars(friends) {
+    const savedAvatars = appStateManager.getState("savedAvatars") || {};
+    const newAvatars = {};
+
+    friends.forEach((friend) => {
+      if (
+        friend.avatar &&
+        savedAvatars[friend.steamid]?.avatarfull !== friend.avatar
+      ) {
+        newAvatars[friend.steamid] = {
+          avatarfull: friend.avatar,
+          fetched_at: Date.now(),
+        };
+      }
+    });
+
+    if (!Object.keys(newAvatars).length) return;
+
+    const avatars = { ...savedAvatars, ...newAvatars };
+    appStateManager.setState("savedAvatars", avatars);
+    appSettingsManager.scheduleUpdate(
+      { avatars },
+      CACHE_CONFIG.SAVED_AVATARS_SAVE_DELAY_MS
+    );
+  }
+
   /**
    * Update friends list
    */
   async updateFriendsList() {
     let steam_id = this.inputManager ? this.inputManager.getSteamId() : "";
-    let auth = this.inputManager ? this.inputManager.getAuth() : "";
+    const hasAuth = this.inputManager ? this.inputManager.hasAuth() : false;
 
     const savedSettings = appStateManager.getState("savedSettings");
-    if ((!steam_id || !auth) && savedSettings) {
-      if (!steam_id && savedSettings.steam_id)
-        steam_id = savedSettings.steam_id;
-      if (!auth && savedSettings.auth) auth = savedSettings.auth;
+    if (!steam_id && savedSettings?.steam_id) {
+      steam_id = savedSettings.steam_id;
     }
 
-    auth = Validators.extractApiKeyOrToken(auth);
-
-    if (!steam_id || !auth) {
+    if (!steam_id || !hasAuth) {
       UIManager.showError("Please enter your SteamID64 and API Key");
       return;
     }
 
-    const validation = Validators.validateRequiredFields({
-      steamId: steam_id,
-      auth,
-    });
-    if (!validation.valid) {
-      UIManager.showError(validation.errors.join(". "));
+    if (!Validators.validateSteamId(steam_id)) {
+      UIManager.showError("Valid SteamID64 is required");
       return;
     }
 
-    // Check if settings changed
-    if (
-      savedSettings &&
-      (savedSettings.steam_id !== steam_id || savedSettings.auth !== auth)
-    ) {
+    // Check if settings changed (auth changes reset join states on input)
+    if (savedSettings && savedSettings.steam_id !== steam_id) {
       localStorage.removeItem("hide_privacy_warning");
       appStateManager.setState("usingSavedFriends", false);
     }
@@ -138,7 +171,7 @@ class AppFriendsManager {
     try {
       let allFriendIds = [];
       try {
-        allFriendIds = await SteamAPI.getFriendsList(steam_id, auth);
+        allFriendIds = await SteamServiceClient.getFriendsList(steam_id);
         UIManager.hideNotification();
       } catch (err) {
         UIManager.showError(err, steam_id);
@@ -161,17 +194,20 @@ class AppFriendsManager {
       });
 
       // Get friend statuses (avatars will be loaded only for supported players)
-      const statuses = await SteamAPI.getFriendsStatuses(allFriendIds, auth);
+      const statuses = await SteamServiceClient.getFriendsStatuses(
+        allFriendIds,
+        appStateManager.getState("savedAvatars")
+      );
       const supportedFriends = statuses.filter(
         (friend) => friend.in_casual_mode
       );
 
-      // Save settings without avatars (they will be loaded on demand)
-      const saveResult = await window.electronAPI.settings.save({
+      // Save settings (avatars are persisted separately as they load)
+      await appSettingsManager.update({
         steam_id,
-        auth: auth,
         friends_ids: allFriendIds,
       });
+      this.rememberAvatars(statuses);
 
       // Reset join states
       joinManager.resetAll();
@@ -221,8 +257,6 @@ class AppFriendsManager {
       return;
     }
 
-    const auth = this.inputManager ? this.inputManager.getAuth() : "";
-
     const savedFriendsIds = appStateManager.getState("savedFriendsIds");
     if (
       !savedFriendsIds ||
@@ -238,7 +272,7 @@ class AppFriendsManager {
     );
 
     try {
-      await this.fetchAndRenderFriendsByIds(savedFriendsIds, auth, true);
+      await this.fetchAndRenderFriendsByIds(savedFriendsIds, true);
 
       // Clear existing interval
       appStateManager.clearRefreshInterval();
@@ -260,11 +294,9 @@ class AppFriendsManager {
 
         if (usingSavedFriends && currentSavedFriendsIds.length) {
           try {
-            await this.fetchAndRenderFriendsByIds(
-              currentSavedFriendsIds,
-              auth,
-              true
-            );
+            // Shares the request budget with the join loops
+            await pollScheduler.acquire(POLL_CONFIG.AUTO_REFRESH_COST);
+            await this.fetchAndRenderFriendsByIds(currentSavedFriendsIds, true);
           } catch (error) {
             logger.warn("App", "Auto-refresh fetch failed", {
               error: error.message,
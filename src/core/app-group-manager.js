@@ -0,0 +1,164 @@
+// Shared constants
+import { GROUP_JOIN_ORDERS } from "../shared/constants.js";
+
+// Core singletons
+import appStateManager from "./app-state-manager.js";
+import appSettingsManager from "./app-settings-manager.js";
+
+// Game singletons
+import joinManager from "../game/join-manager.js";
+
+// UI and utilities
+import UIManager from "../ui/ui-manager.js";
+import Validators from "../utils/validators.js";
+import DOMUtils from "../utils/dom-utils.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Group join module
+ * Keeps the friends selected for a group join (in selection order) and the
+ * saved squads, and starts group joins from either.
+ */
+class AppGroupManager {
+  constructor() {
+    this.squads = [];
+  }
+
+  /**
+   * Load saved squads from settings
+   * @param {import('../shared/types.js').Squad[]} [squads] - Saved squads
+   */
+  load(squads) {
+    this.squads = (squads || []).map((squad) => ({
+      name: squad.name,
+      members: squad.members.filter((id) => Validators.validateSteamId(id)),
+    }));
+    this.renderSquadOptions();
+  }
+
+  /**
+   * Get the friends selected for a group join
+   * @returns {string[]} - Steam IDs in selection order
+   */
+  getSelection() {
+    return appStateManager.getState("groupSelection");
+  }
+
+  /**
+   * Select or deselect a friend for a group join
+   * @param {string} friendId - Friend Steam ID
+   * @param {boolean} selected - Whether the friend is selected
+   */
+  setSelected(friendId, selected) {
+    const selection = this.getSelection().filter((id) => id !== friendId);
+    if (selected) selection.push(friendId);
+    this.setSelection(selection);
+  }
+
+  /**
+   * Replace the group selection and refresh the checkboxes
+   * @param {string[]} selection - Steam IDs in order of preference
+   */
+  setSelection(selection) {
+    appStateManager.setState("groupSelection", selection);
+    UIManager.updateGroupSelection(selection);
+    this.updateControls();
+  }
+
+  /**
+   * Start a group join for the selected friends
+   */
+  joinSelection() {
+    const selection = this.getSelection();
+    if (!selection.length) return;
+
+    const order =
+      DOMUtils.getElementById("group-order")?.value || GROUP_JOIN_ORDERS.ORDER;
+
+    logger.info("AppGroupManager", "Starting group join", {
+      members: selection.length,
+      order,
+    });
+    joinManager.startGroupJoin(selection, { order });
+  }
+
+  /**
+   * Select the members of a saved squad
+   * @param {string} name - Squad name
+   */
+  selectSquad(name) {
+    const squad = this.squads.find((s) => s.name === name);
+    if (squad) this.setSelection([...squad.members]);
+  }
+
+  /**
+   * Save the current selection as a squad, replacing one with the same name
+   * @param {string} name - Squad name
+   * @returns {Promise<boolean>} - Whether the squad was saved
+   */
+  async saveSquad(name) {
+    const squadName = (name || "").trim();
+    const members = this.getSelection();
+    if (!squadName || !members.length) return false;
+
+    this.squads = [
+      ...this.squads.filter((s) => s.name !== squadName),
+      { name: squadName, members: [...members] },
+    ];
+    this.renderSquadOptions(squadName);
+    return appSettingsManager.update({ squads: this.squads });
+  }
+
+  /**
+   * Delete a saved squad
+   * @param {string} name - Squad name
+   * @returns {Promise<boolean>} - Whether settings were saved
+   */
+  async deleteSquad(name) {
+    if (!this.squads.some((s) => s.name === name)) return false;
+
+    this.squads = this.squads.filter((s) => s.name !== name);
+    this.renderSquadOptions();
+    return appSettingsManager.update({ squads: this.squads });
+  }
+
+  /**
+   * Fill the squad dropdown with the saved squads
+   * @param {string} [selectedName] - Squad to keep selected
+   */
+  renderSquadOptions(selectedName = "") {
+    const select = DOMUtils.getElementById("squad-select");
+    if (!select) return;
+
+    select.replaceChildren(new Option("Saved squads", ""));
+    this.squads.forEach((squad) => {
+      select.add(
+        new Option(`${squad.name} (${squad.members.length})`, squad.name)
+      );
+    });
+    select.value = selectedName;
+    this.updateControls();
+  }
+
+  /**
+   * Enable the group buttons only when they can do something
+   */
+  updateControls() {
+    const hasSelection = this.getSelection().length > 0;
+    const squadName = DOMUtils.getElementById("squad-select")?.value || "";
+
+    const joinBtn = DOMUtils.getElementById("group-join-btn");
+    if (joinBtn) joinBtn.disabled = !hasSelection;
+
+    const saveBtn = DOMUtils.getElementById("squad-save-btn");
+    if (saveBtn) saveBtn.disabled = !hasSelection;
+
+    const deleteBtn = DOMUtils.getElementById("squad-delete-btn");
+    if (deleteBtn) deleteBtn.disabled = !squadName;
+  }
+}
+
+// Singleton instance
+const appGroupManager = new AppGroupManager();
+
+export default appGroupManager;
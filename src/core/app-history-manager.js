@@ -0,0 +1,189 @@
+// Shared constants
+import {
+  ACTIVE_STATUS_TYPES,
+  CANCEL_CAUSES,
+  HISTORY_CONFIG,
+  STATUS_TYPES,
+} from "../shared/constants.js";
+
+// Core singletons
+import appStateManager from "./app-state-manager.js";
+
+// Game singletons
+import joinManager from "../game/join-manager.js";
+
+// UI and utilities
+import UIManager from "../ui/ui-manager.js";
+import tutorialManager from "../ui/tutorial/tutorial-manager.js";
+import logger from "../utils/logger.js";
+
+// Statuses that end a join attempt (or a follow cycle)
+const FINAL_STATUSES = [
+  STATUS_TYPES.JOINED,
+  STATUS_TYPES.CANCELLED,
+  STATUS_TYPES.FAILED,
+];
+
+// Cancellations that say nothing about the attempt itself
+const IGNORED_CANCEL_CAUSES = [CANCEL_CAUSES.OTHER_JOINED, CANCEL_CAUSES.RESET];
+
+/**
+ * Identify a group join attempt
+ * @param {import('../shared/types.js').JoinState} state - Join state of a group member
+ * @returns {string} - Key shared by the members of one attempt
+ */
+const groupAttemptKey = (state) =>
+  `${state.group.join(",")}@${state.cycleStartedAt}`;
+
+/**
+ * Join history module
+ * Records every finished join attempt in the main process history store and
+ * keeps the History panel up to date while it is open. A group join is one
+ * attempt: it is recorded when a member joins, or when the last member stops.
+ */
+class AppHistoryManager {
+  constructor() {
+    this.isOpen = false;
+    this.unsubscribe = null;
+    // Keys of the group attempts already recorded
+    this.recordedGroups = new Set();
+  }
+
+  /**
+   * Start recording join attempts
+   */
+  initialize() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = joinManager.subscribe((transition) =>
+      this.handleTransition(transition)
+    );
+  }
+
+  /**
+   * Record an attempt when its join state reaches a final status
+   * @param {{friendId: string, from: string, to: string, state: import('../shared/types.js').JoinState}} transition - Transition detail
+   */
+  handleTransition({ friendId, from, to, state }) {
+    if (from === to || !FINAL_STATUSES.includes(to)) return;
+    // Stopping a follow after a join is not a new attempt
+    if (from === STATUS_TYPES.FOLLOWING || from === STATUS_TYPES.JOINED) return;
+    if (
+      to === STATUS_TYPES.CANCELLED &&
+      IGNORED_CANCEL_CAUSES.includes(state.cancelCause)
+    ) {
+      return;
+    }
+    if (tutorialManager.isActive) return;
+
+    if (state.group) {
+      const key = groupAttemptKey(state);
+      if (this.recordedGroups.has(key)) return;
+      if (
+        to !== STATUS_TYPES.JOINED &&
+        this.hasRunningMember(friendId, state)
+      ) {
+        return;
+      }
+      this.recordedGroups.add(key);
+    }
+
+    this.record(this.createEntry(friendId, to, state)).catch((error) => {
+      logger.warn("AppHistoryManager", "Failed to record join attempt", {
+        friendId,
+        error: error.message,
+      });
+    });
+  }
+
+  /**
+   * Check if another member of the same group attempt is still running
+   * @param {string} friendId - Friend Steam ID of the member that stopped
+   * @param {import('../shared/types.js').JoinState} state - Its join state
+   * @returns {boolean} - Whether the group attempt goes on
+   */
+  hasRunningMember(friendId, state) {
+    const key = groupAttemptKey(state);
+    const states = joinManager.getJoinStates();
+    return state.group.some(
+      (memberId) =>
+        memberId !== friendId &&
+        states[memberId]?.group &&
+        groupAttemptKey(states[memberId]) === key &&
+        ACTIVE_STATUS_TYPES.includes(states[memberId].status)
+    );
+  }
+
+  /**
+   * Build a history entry from a finished join state
+   * @param {string} friendId - Friend Steam ID
+   * @param {string} outcome - Final status
+   * @param {import('../shared/types.js').JoinState} state - Join state
+   * @returns {import('../shared/types.js').HistoryEntry} - History entry
+   */
+  createEntry(friendId, outcome, state) {
+    const endedAt = Date.now();
+    const startedAt = state.cycleStartedAt || state.startedAt || endedAt;
+    const friend = (appStateManager.getState("friendsData") || []).find(
+      (f) => f.steamid === friendId
+    );
+
+    return {
+      friend_id: friendId,
+      personaname: friend?.personaname || state.personaname || null,
+      started_at: startedAt,
+      ended_at: endedAt,
+      connect_attempts: state.attempts || 0,
+      time_to_join_ms:
+        outcome === STATUS_TYPES.JOINED ? endedAt - startedAt : null,
+      outcome,
+      reason: state.reason || null,
+      verify_outcome: state.outcome || null,
+      map: state.map || null,
+      mode: state.mode || null,
+    };
+  }
+
+  /**
+   * Save an entry and refresh the panel if it is open
+   * @param {import('../shared/types.js').HistoryEntry} entry - History entry
+   */
+  async record(entry) {
+    const saved = await window.electronAPI.history.add(entry);
+    if (saved && this.isOpen) await this.refresh();
+  }
+
+  /**
+   * Show or hide the History panel contents
+   * @param {boolean} open - Whether the panel is open
+   */
+  async setOpen(open) {
+    this.isOpen = open;
+    if (open) await this.refresh();
+  }
+
+  /**
+   * Reload recent attempts and statistics into the History panel
+   */
+  async refresh() {
+    const [entries, stats] = await Promise.all([
+      window.electronAPI.history.list(HISTORY_CONFIG.PANEL_ENTRIES),
+      window.electronAPI.history.getStats(),
+    ]);
+    UIManager.renderHistory(entries, stats);
+  }
+
+  /**
+   * Delete all recorded attempts
+   */
+  async clear() {
+    if (await window.electronAPI.history.clear()) {
+      logger.info("AppHistoryManager", "Join history cleared");
+    }
+    await this.refresh();
+  }
+}
+
+// Singleton instance
+const appHistoryManager = new AppHistoryManager();
+
+export default appHistoryManager;
@@ -1,12 +1,10 @@
 // Core singletons
 import appStateManager from "./app-state-manager.js";
-
-// Game singletons
-import joinManager from "../game/join-manager.js";
+import credentialsProvider from "./credentials-provider.js";
 
 // UI and utilities
 import UIManager from "../ui/ui-manager.js";
-import SteamAPI from "../steam/steam-api.js";
+import SteamServiceClient from "../steam/steam-service-client.js";
 import Validators from "../utils/validators.js";
 import DOMUtils from "../utils/dom-utils.js";
 
@@ -51,12 +49,39 @@ class AppInputManager {
   }
 
   /**
-   * Get API auth from input
-   * @returns {string} - API auth value
-   */ getAuth() {
+   * Check if an API key / token is stored in the main process
+   * The secret itself never reaches the renderer.
+   * @returns {boolean} - Whether auth is available
+   */
+  hasAuth() {
+    return !!appStateManager.getState("credentials")?.hasAuth;
+  }
+
+  /**
+   * Update stored credentials status and the auth input placeholder
+   * @param {import('../shared/types.js').CredentialsStatus|null} credentials - Credentials status
+   */
+  setCredentialsStatus(credentials) {
+    appStateManager.setState("credentials", credentials);
+    credentialsProvider.update({ hasAuth: !!credentials?.hasAuth });
+
     const authInput = this.getAuthInput();
-    if (!authInput) return "";
-    return Validators.extractApiKeyOrToken(authInput.value.trim());
+    if (authInput) {
+      authInput.placeholder = credentials?.hasAuth
+        ? `Saved ${credentials.authType === "token" ? "token" : "API key"} - paste a new one to replace it`
+        : "";
+    }
+  }
+
+  /**
+   * Get token info for the notification from a credentials status
+   * @param {import('../shared/types.js').CredentialsStatus|null} credentials - Credentials status
+   * @returns {import('../shared/types.js').TokenInfo|null} - Token info or null
+   */
+  getTokenInfo(credentials) {
+    const info = credentials?.tokenInfo;
+    if (!info) return null;
+    return { ...info, expiresDate: new Date(info.expires * 1000) };
   }
 
   /**
@@ -84,8 +109,7 @@ class AppInputManager {
       steamIdInput.value = urlValidation.value;
       this.validateInputs();
     } else if (urlValidation.type === "vanity") {
-      const auth = this.getAuth();
-      if (!auth) {
+      if (!this.hasAuth()) {
         UIManager.showError(
           "Please enter your API Key first to resolve vanity URLs"
         );
@@ -97,9 +121,8 @@ class AppInputManager {
       steamIdInput.disabled = true;
 
       try {
-        const steamId = await SteamAPI.resolveVanityUrl(
-          urlValidation.value,
-          auth
+        const steamId = await SteamServiceClient.resolveVanityUrl(
+          urlValidation.value
         );
         if (steamId) {
           steamIdInput.value = steamId;
@@ -122,36 +145,47 @@ class AppInputManager {
 
   /**
    * Handle auth input changes
+   * A complete API key / token is sent to the main process and the input cleared.
    */
-  handleAuthInput() {
+  async handleAuthInput() {
     const authInput = this.getAuthInput();
     if (!authInput) return;
 
-    const val = authInput.value.trim();
-    const token = Validators.extractTokenIfAny(val);
-
-    // Reset join states when auth changes
-    joinManager.resetAll();
-
-    if (token) {
-      const info = Validators.parseWebApiToken(token);
-      if (info && info.steamid) {
-        const steamIdInput = this.getSteamIdInput();
-        if (
-          steamIdInput &&
-          (!steamIdInput.value || steamIdInput.value !== info.steamid)
-        ) {
-          steamIdInput.value = info.steamid;
-        }
-        this.validateInputs(); // This will handle token notification and validation
+    const auth = Validators.extractApiKeyOrToken(authInput.value.trim());
+    if (!Validators.validateApiAuth(auth)) {
+      this.validateInputs();
+      return;
+    }
+
+    try {
+      const token = Validators.extractTokenIfAny(auth);
+      const tokenSteamId = token
+        ? Validators.parseWebApiToken(token)?.steamid
+        : null;
+
+      const steamIdInput = this.getSteamIdInput();
+      if (tokenSteamId && steamIdInput && steamIdInput.value !== tokenSteamId) {
+        steamIdInput.value = tokenSteamId;
+      }
+
+      const credentials = await SteamServiceClient.setCredentials({
+        steamId: this.getSteamId(),
+        auth,
+      });
+      authInput.value = "";
+      this.setCredentialsStatus(credentials);
+
+      const tokenInfo = this.getTokenInfo(credentials);
+      if (tokenInfo) {
+        UIManager.showTokenInfoNotification(tokenInfo);
       } else {
         UIManager.hideTokenInfoNotification();
-        this.validateInputs();
       }
-    } else {
-      UIManager.hideTokenInfoNotification();
-      this.validateInputs();
+    } catch (error) {
+      UIManager.showError(error);
     }
+
+    this.validateInputs();
   }
 
   /**
@@ -159,43 +193,18 @@ class AppInputManager {
    */
   validateInputs() {
     const steamId = this.getSteamId();
-    const auth = this.getAuth();
+    credentialsProvider.update({ steamId });
+    const credentials = appStateManager.getState("credentials");
     const updateBtn = DOMUtils.getElementById("update-friends-btn");
 
     const validSteamId = Validators.validateSteamId(steamId);
-    const validApiKey = Validators.validateApiAuth(auth);
+    const validApiKey = this.hasAuth();
     const savedSettings = appStateManager.getState("savedSettings");
-    const hasSaved =
-      savedSettings && savedSettings.steam_id && savedSettings.auth;
-
-    // Check for token expiration
-    let isTokenExpired = false;
-    const authInput = DOMUtils.getElementById("auth");
-    const val = authInput ? authInput.value.trim() : "";
-    const token = Validators.extractTokenIfAny(val);
-
-    // Also check saved settings for token expiration
-    let savedToken = null;
-    if (!token && savedSettings && savedSettings.auth) {
-      savedToken = Validators.extractTokenIfAny(savedSettings.auth);
-    }
+    const hasSaved = !!(savedSettings && savedSettings.steam_id && validApiKey);
 
-    const tokenToCheck = token || savedToken;
-    if (tokenToCheck) {
-      const info = Validators.parseWebApiToken(tokenToCheck);
-      if (info) {
-        const now = Date.now();
-        const expiresMs = info.expires * 1000;
-        isTokenExpired = expiresMs < now;
-
-        // Show token info notification only for current input token
-        if (token) {
-          UIManager.showTokenInfoNotification(info);
-        }
-      }
-    } else {
-      UIManager.hideTokenInfoNotification();
-    }
+    // Token expiration is reported by the main process
+    const isTokenExpired = !!credentials?.tokenExpired;
+    const authInput = this.getAuthInput();
 
     // Button should be disabled if token is expired
     const enableBtn =
@@ -225,17 +234,13 @@ class AppInputManager {
       );
 
       if (authInput.value.trim()) {
-        if (validApiKey) {
-          // Valid token/key - check if expired
-          if (isTokenExpired) {
-            authInput.classList.add("expired-token-input");
-          } else {
-            authInput.classList.add("valid-input");
-          }
-        } else {
-          // Invalid token/key
-          authInput.classList.add("invalid-input");
-        }
+        // Complete keys are submitted and cleared, so leftover text is invalid
+        authInput.classList.add("invalid-input");
+      } else if (validApiKey) {
+        // Saved token/key - check if expired
+        authInput.classList.add(
+          isTokenExpired ? "expired-token-input" : "valid-input"
+        );
       }
     }
 
@@ -0,0 +1,174 @@
+// Shared constants
+import { LAUNCH_CONFIG } from "../shared/constants.js";
+
+// Core singletons
+import appSettingsManager from "./app-settings-manager.js";
+
+// Game singletons
+import cs2Manager from "../game/cs2-manager.js";
+
+// Game modules
+import LaunchOptions from "../game/launch-options.js";
+
+// UI and utilities
+import DOMUtils from "../utils/dom-utils.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Launch profile module
+ * Keeps the saved CS2 launch profiles, passes the selected one's arguments
+ * to CS2Manager, and knows whether a join may launch CS2 without asking.
+ */
+class AppLaunchManager {
+  constructor() {
+    this.profiles = [];
+    this.selected = "";
+    this.launchDirect = false;
+  }
+
+  /**
+   * Load launch profiles from saved settings
+   * @param {import('../shared/types.js').AppSettings|null} settings - Saved settings
+   */
+  load(settings) {
+    this.profiles = (settings?.launch_profiles || []).filter(
+      (profile) => !LaunchOptions.validate(profile.args)
+    );
+    this.selected = this.profiles.some(
+      (p) => p.name === settings?.launch_profile
+    )
+      ? settings.launch_profile
+      : "";
+    this.launchDirect = !!settings?.launch_direct;
+    this.apply();
+    this.render();
+  }
+
+  /**
+   * Get the selected launch profile
+   * @returns {import('../shared/types.js').LaunchProfile|null} - Profile, or null for plain launches
+   */
+  getSelectedProfile() {
+    return this.profiles.find((p) => p.name === this.selected) || null;
+  }
+
+  /**
+   * Check if a join may launch CS2 and connect without asking first
+   * @returns {boolean} - Whether launch-then-join is on
+   */
+  isLaunchDirect() {
+    return this.launchDirect;
+  }
+
+  /**
+   * Use a saved profile for the next launches
+   * @param {string} name - Profile name, empty for plain launches
+   * @returns {Promise<boolean>} - Whether settings were saved
+   */
+  async selectProfile(name) {
+    this.selected = this.profiles.some((p) => p.name === name) ? name : "";
+    this.apply();
+    this.render();
+    return appSettingsManager.update({ launch_profile: this.selected });
+  }
+
+  /**
+   * Save launch arguments as a profile, replacing one with the same name
+   * @param {string} name - Profile name
+   * @param {string} args - Launch arguments
+   * @returns {Promise<string|null>} - Problem shown to the user, or null when saved
+   */
+  async saveProfile(name, args) {
+    const profileName = (name || "").trim();
+    if (!profileName) return "Enter a profile name";
+
+    const problem = LaunchOptions.validate(args);
+    if (problem) return problem;
+
+    this.profiles = [
+      ...this.profiles.filter((p) => p.name !== profileName),
+      { name: profileName, args: LaunchOptions.normalize(args) },
+    ];
+    this.selected = profileName;
+    this.apply();
+    this.render();
+
+    logger.info("AppLaunchManager", "Launch profile saved", {
+      name: profileName,
+    });
+    await appSettingsManager.update({
+      launch_profiles: this.profiles,
+      launch_profile: this.selected,
+    });
+    return null;
+  }
+
+  /**
+   * Delete a saved profile
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} - Whether settings were saved
+   */
+  async deleteProfile(name) {
+    if (!this.profiles.some((p) => p.name === name)) return false;
+
+    this.profiles = this.profiles.filter((p) => p.name !== name);
+    if (this.selected === name) this.selected = "";
+    this.apply();
+    this.render();
+    return appSettingsManager.update({
+      launch_profiles: this.profiles,
+      launch_profile: this.selected,
+    });
+  }
+
+  /**
+   * Turn launch-then-join on or off and persist it
+   * @param {boolean} enabled - Whether joins launch CS2 without asking
+   */
+  setLaunchDirect(enabled) {
+    this.launchDirect = !!enabled;
+    appSettingsManager.update({ launch_direct: this.launchDirect });
+  }
+
+  /**
+   * Pass the selected profile's arguments to CS2Manager
+   */
+  apply() {
+    cs2Manager.setLaunchArgs(this.getSelectedProfile()?.args || "");
+  }
+
+  /**
+   * Fill the launch profile controls
+   */
+  render() {
+    const select = DOMUtils.getElementById("launch-profile-select");
+    if (select) {
+      select.replaceChildren(new Option("Default launch", ""));
+      this.profiles.forEach((profile) => {
+        select.add(new Option(profile.name, profile.name));
+      });
+      select.value = this.selected;
+    }
+
+    const profile = this.getSelectedProfile();
+    const argsInput = DOMUtils.getElementById("launch-args-input");
+    if (argsInput) {
+      argsInput.value = profile?.args || "";
+      argsInput.placeholder = LAUNCH_CONFIG.SUGGESTED_ARGS;
+    }
+
+    const nameInput = DOMUtils.getElementById("launch-profile-name-input");
+    if (nameInput) nameInput.value = profile?.name || "";
+
+    const deleteBtn = DOMUtils.getElementById("launch-profile-delete-btn");
+    if (deleteBtn) deleteBtn.disabled = !profile;
+
+    const directCheckbox = DOMUtils.getElementById("launch-direct");
+    if (directCheckbox) directCheckbox.checked = this.launchDirect;
+  }
+}
+
+// Singleton instance
+const appLaunchManager = new AppLaunchManager();
+
+export default appLaunchManager;
@@ -0,0 +1,189 @@
+// Shared constants
+import { SESSION_CONFIG } from "../shared/constants.js";
+
+// Core singletons
+import appSettingsManager from "./app-settings-manager.js";
+import appStateManager from "./app-state-manager.js";
+import credentialsProvider from "./credentials-provider.js";
+
+// Game singletons
+import joinManager from "../game/join-manager.js";
+
+// UI and utilities
+import UIManager from "../ui/ui-manager.js";
+import tutorialManager from "../ui/tutorial/tutorial-manager.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Session persistence module
+ * Saves the running joins and follows to settings as they change, and on the
+ * next launch offers to start them again (or does so right away when
+ * auto-resume is on) once the credentials are usable.
+ */
+class AppSessionManager {
+  constructor() {
+    // Joins saved by the previous session that were not resumed or discarded
+    this.pendingJoins = [];
+    this.autoResume = false;
+    this.unsubscribe = null;
+    this.unsubscribeCredentials = null;
+  }
+
+  /**
+   * Start saving join changes
+   */
+  initialize() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = joinManager.subscribe(({ from, to }) => {
+      if (from !== to) this.scheduleSave();
+    });
+  }
+
+  /**
+   * Load the joins saved by the previous session
+   * @param {import('../shared/types.js').AppSettings|null} settings - Saved settings
+   */
+  load(settings) {
+    this.pendingJoins = settings?.active_joins || [];
+    this.autoResume = !!settings?.auto_resume;
+  }
+
+  /**
+   * Check if saved joins are resumed without asking
+   * @returns {boolean} - Whether auto-resume is on
+   */
+  isAutoResume() {
+    return this.autoResume;
+  }
+
+  /**
+   * Turn auto-resume on or off and persist it
+   * @param {boolean} enabled - Whether to resume without asking
+   */
+  setAutoResume(enabled) {
+    this.autoResume = !!enabled;
+    appSettingsManager.update({ auto_resume: this.autoResume });
+  }
+
+  /**
+   * Persist the running joins after a short delay
+   * Saved joins still waiting to be resumed are kept unless their friend is
+   * being joined again already.
+   */
+  scheduleSave() {
+    if (tutorialManager.isActive) return;
+
+    const running = joinManager.getResumableJoins();
+    const runningIds = new Set(running.flatMap((join) => join.friend_ids));
+    const pending = this.pendingJoins.filter(
+      (join) => !join.friend_ids.some((id) => runningIds.has(id))
+    );
+
+    appSettingsManager.scheduleUpdate(
+      { active_joins: [...running, ...pending] },
+      SESSION_CONFIG.SAVE_DELAY_MS
+    );
+  }
+
+  /**
+   * Offer the saved joins once the Steam ID and auth are usable
+   */
+  resumeWhenReady() {
+    if (!this.pendingJoins.length || this.unsubscribeCredentials) return;
+
+    if (this.canResume()) {
+      this.offerResume();
+      return;
+    }
+
+    this.unsubscribeCredentials = credentialsProvider.subscribe(() => {
+      if (!this.canResume()) return;
+      this.unsubscribeCredentials();
+      this.unsubscribeCredentials = null;
+      this.offerResume();
+    });
+  }
+
+  /**
+   * Check if the saved joins can be started now
+   * @returns {boolean} - Whether credentials are ready and not expired
+   */
+  canResume() {
+    return (
+      credentialsProvider.isReady() &&
+      !appStateManager.getState("credentials")?.tokenExpired &&
+      !tutorialManager.isActive
+    );
+  }
+
+  /**
+   * Resume the saved joins, asking first unless auto-resume is on
+   */
+  async offerResume() {
+    if (!this.pendingJoins.length) return;
+
+    if (this.autoResume) {
+      await this.resume();
+      return;
+    }
+
+    const friendsData = appStateManager.getState("friendsData") || [];
+    const nameOf = (id) =>
+      friendsData.find((f) => f.steamid === id)?.personaname || id;
+    const names = this.pendingJoins.map((join) =>
+      join.friend_ids.map(nameOf).join(" / ")
+    );
+
+    const choice = await UIManager.showResumeNotification(names);
+    if (choice === true) {
+      await this.resume();
+    } else if (choice === false) {
+      this.discard();
+    }
+  }
+
+  /**
+   * Start the saved joins again
+   * Resumed joins get a fresh deadline and retry budget.
+   */
+  async resume() {
+    const joins = this.pendingJoins;
+    this.pendingJoins = [];
+    logger.info("AppSessionManager", "Resuming joins from last session", {
+      count: joins.length,
+    });
+
+    for (const { friend_ids, follow, priority, filters, order } of joins) {
+      if (order) {
+        await joinManager.startGroupJoin(friend_ids, {
+          order,
+          priority,
+          filters,
+        });
+      } else {
+        await joinManager.startJoin(friend_ids[0], {
+          follow,
+          priority,
+          filters,
+        });
+      }
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Forget the saved joins without starting them
+   */
+  discard() {
+    logger.info("AppSessionManager", "Discarded joins from last session", {
+      count: this.pendingJoins.length,
+    });
+    this.pendingJoins = [];
+    this.scheduleSave();
+  }
+}
+
+// Singleton instance
+const appSessionManager = new AppSessionManager();
+
+export default appSessionManager;
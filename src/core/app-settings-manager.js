@@ -0,0 +1,59 @@
+// Core singletons
+import appStateManager from "./app-state-manager.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Settings persistence module
+ * Merges partial updates into the saved settings and writes them through the main process
+ */
+class AppSettingsManager {
+  constructor() {
+    this.pendingUpdates = {};
+    this.saveTimeout = null;
+  }
+
+  /**
+   * Merge updates into saved settings and persist them
+   * The merge happens before the save so concurrent updates build on each
+   * other; a failed save keeps the values for the next one to write.
+   * @param {Partial<import('../shared/types.js').AppSettings>} updates - Settings to change
+   * @returns {Promise<boolean>} - Success status
+   */
+  async update(updates) {
+    const current = appStateManager.getState("savedSettings") || {};
+    const next = { ...current, ...updates };
+    appStateManager.setState("savedSettings", next);
+
+    const saved = await window.electronAPI.settings.save(next);
+    if (!saved) {
+      logger.warn("AppSettingsManager", "Failed to save settings", {
+        keys: Object.keys(updates),
+      });
+    }
+    return saved;
+  }
+
+  /**
+   * Merge updates and persist them after a delay, batching frequent changes
+   * @param {Partial<import('../shared/types.js').AppSettings>} updates - Settings to change
+   * @param {number} delayMs - Delay before writing
+   */
+  scheduleUpdate(updates, delayMs) {
+    Object.assign(this.pendingUpdates, updates);
+
+    if (this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      const pending = this.pendingUpdates;
+      this.pendingUpdates = {};
+      this.saveTimeout = null;
+      this.update(pending);
+    }, delayMs);
+  }
+}
+
+// Singleton instance
+const appSettingsManager = new AppSettingsManager();
+
+export default appSettingsManager;
@@ -14,9 +14,11 @@ class AppStateManager {
       friendsData: [],
       friendsRefreshInterval: null,
       savedSettings: null,
+      credentials: null,
       usingSavedFriends: false,
       savedFriendsIds: [],
       savedAvatars: {},
+      groupSelection: [],
       autoRefreshIntervalMs: API_CONFIG.AUTO_REFRESH_INTERVAL_MS,
       initialLoadAttempted: false,
       isLoading: false,
@@ -1,9 +1,17 @@
+// Shared constants
+import { CACHE_CONFIG, GSI_CONFIG } from "../shared/constants.js";
+
 // Core singletons
 import appInputManager from "./app-input-manager.js";
 import appFriendsManager from "./app-friends-manager.js";
 import appEventManager from "./app-event-manager.js";
 import appValidationManager from "./app-validation-manager.js";
 import appStateManager from "./app-state-manager.js";
+import credentialsProvider from "./credentials-provider.js";
+import appGroupManager from "./app-group-manager.js";
+import appLaunchManager from "./app-launch-manager.js";
+import appHistoryManager from "./app-history-manager.js";
+import appSessionManager from "./app-session-manager.js";
 
 // import AppInputManager from './app-input-manager.js';
 // import AppEventManager from './app-event-manager.js';
@@ -13,9 +21,12 @@ import appStateManager from "./app-state-manager.js";
 // Game singletons
 import joinManager from "../game/join-manager.js";
 import cs2Manager from "../game/cs2-manager.js";
+import autoJoinManager from "../game/auto-join-manager.js";
 
 // UI and utilities
 import UIManager from "../ui/ui-manager.js";
+import { NOTIFICATION_TEMPLATES } from "../ui/html-templates.js";
+import SteamServiceClient from "../steam/steam-service-client.js";
 import tutorialManager from "../ui/tutorial/tutorial-manager.js";
 import DOMUtils from "../utils/dom-utils.js";
 import logger from "../utils/logger.js";
@@ -27,6 +38,7 @@ import logger from "../utils/logger.js";
 class App {
   constructor() {
     this.initialized = false;
+    this.gameStateTimeout = null;
 
     // Initialize managers
     this.inputManager = appInputManager;
@@ -64,25 +76,66 @@ class App {
       // Setup event listeners
       this.eventManager.setupEventListeners();
 
-      // Setup JoinManager UI callbacks
-      joinManager.setUICallbacks(
-        (friendId, status) => UIManager.updateDot(friendId, status),
-        (friendId, status) => UIManager.updateJoinButton(friendId, status)
-      );
+      // Show app version in the footer
+      this.displayAppVersion();
+
+      // Reflect join state transitions in the UI as they happen
+      joinManager.subscribe(({ friendId, to, state }) => {
+        UIManager.updateDot(friendId, to);
+        UIManager.updateJoinButton(friendId, to, !!state?.follow);
+        UIManager.updateQueuePosition(friendId, state);
+        UIManager.updateHoldReason(friendId, state);
+      });
+
+      // Record finished join attempts for the History panel
+      appHistoryManager.initialize();
+
+      // Keep the running joins in settings so they survive a restart
+      appSessionManager.initialize();
 
       // Initialize CS2Manager first
-      this.cs2Manager.initialize(this.inputManager);
+      this.cs2Manager.initialize(credentialsProvider);
+
+      // Answer CS2 status checks from local game state while CS2 posts it
+      window.electronAPI.gsi?.onState((state) => this.handleGameState(state));
+      UIManager.updateGameStateStatus(null);
 
-      // Set CS2Manager for JoinManager
+      // Learn about CS2 starting and exiting from the local process table
+      window.electronAPI.cs2Process?.onChange((state) =>
+        this.cs2Manager.setProcessState(state)
+      );
+      window.electronAPI.cs2Process?.getStatus().then((state) => {
+        if (state && !this.cs2Manager.processState) {
+          this.cs2Manager.setProcessState(state);
+        }
+      });
+
+      // Connect failures CS2 writes to its console log (-condebug)
+      window.electronAPI.consoleLog?.onEvent((event) =>
+        joinManager.handleConsoleEvent(event)
+      );
+
+      // Set CS2Manager and credentials for JoinManager
       joinManager.setCS2Manager(this.cs2Manager);
+      joinManager.setCredentialsProvider(credentialsProvider);
 
       // Set CS2 launch callback
       joinManager.setCS2LaunchCallback(async (friendId) => {
-        return UIManager.showCS2LaunchNotification(friendId, this.cs2Manager);
+        return UIManager.showCS2LaunchNotification(friendId, this.cs2Manager, {
+          launchNow: appLaunchManager.isLaunchDirect(),
+        });
       });
 
       // Load settings
-      const savedSettings = await window.electronAPI.settings.load();
+      const { settings: savedSettings, issue: settingsIssue } =
+        await window.electronAPI.settings.load();
+
+      // Auth stays in the main process; only its status is known here
+      const credentials = await SteamServiceClient.getCredentialsStatus().catch(
+        () => null
+      );
+      this.inputManager.setCredentialsStatus(credentials);
+
       logger.info(
         "App",
         "Settings loaded: " +
@@ -90,7 +143,7 @@ class App {
             savedSettings
               ? {
                   has_steam_id: !!savedSettings.steam_id,
-                  has_auth: !!savedSettings.auth,
+                  has_auth: !!credentials?.hasAuth,
                   friend_count: savedSettings.friends_ids?.length || 0,
                 }
               : null
@@ -98,9 +151,25 @@ class App {
       );
 
       appStateManager.setState("savedSettings", savedSettings);
+      autoJoinManager.load(savedSettings?.auto_join);
+      appGroupManager.load(savedSettings?.squads);
+      appLaunchManager.load(savedSettings);
+      joinManager.setFilters(savedSettings?.join_filters);
+      appSessionManager.load(savedSettings);
+      this.eventManager.displayAutoJoinSettings();
+      this.eventManager.displayJoinFilters();
 
       // Check if this is the first run (no saved settings) and start tutorial
-      const isFirstRun = !savedSettings;
+      // A settings file that failed to load is reported, not treated as first run
+      const isFirstRun = !savedSettings && !settingsIssue;
+      if (settingsIssue) {
+        logger.warn("App", "Settings load issue", settingsIssue);
+        UIManager.showNotification(
+          NOTIFICATION_TEMPLATES.SETTINGS_ISSUE(settingsIssue),
+          "error"
+        );
+      }
+
       if (isFirstRun) {
         logger.info("App", "First run detected - starting tutorial");
         // Use TutorialManager's method to wait for UI and start tutorial
@@ -112,15 +181,11 @@ class App {
       if (savedSettings) {
         // Fill inputs with saved data
         const steamIdInput = DOMUtils.getElementById("steam-id");
-        const authInput = DOMUtils.getElementById("auth");
 
         if (savedSettings.steam_id && steamIdInput) {
           steamIdInput.value = savedSettings.steam_id;
         }
 
-        if (savedSettings.auth && authInput) {
-          authInput.value = savedSettings.auth;
-        }
         if (
           savedSettings.friends_ids &&
           Array.isArray(savedSettings.friends_ids)
@@ -130,16 +195,108 @@ class App {
             usingSavedFriends: true,
           });
         }
+
+        // Restore persisted avatars, dropping stale ones so they get refetched
+        if (savedSettings.avatars) {
+          const now = Date.now();
+          const savedAvatars = Object.fromEntries(
+            Object.entries(savedSettings.avatars).filter(
+              ([, entry]) =>
+                entry?.avatarfull &&
+                now - (entry.fetched_at || 0) <
+                  CACHE_CONFIG.SAVED_AVATAR_MAX_AGE_MS
+            )
+          );
+          appStateManager.setState("savedAvatars", savedAvatars);
+        }
       }
 
+      // Fill in what the local Steam installation knows
+      await this.applySteamInstallation();
+
       // Call validateInputs at the end to set proper status and UI state
       this.inputManager.validateInputs();
+
+      // Offer the joins from the last session once credentials are usable
+      appSessionManager.resumeWhenReady();
+
+      await this.checkSecretsEncryption();
       this.initialized = true;
     } catch (error) {
       logger.error("App", "Error during app initialization: " + error.message);
       UIManager.showError("Failed to initialize app: " + error.message);
     }
   }
+
+  /**
+   * Prefill the SteamID from the most recent local Steam user and show
+   * where CS2 is installed
+   * Nothing changes when Steam or CS2 cannot be found.
+   */
+  async applySteamInstallation() {
+    const installation = await window.electronAPI.locator?.locate();
+    if (!installation) return;
+
+    const steamIdInput = DOMUtils.getElementById("steam-id");
+    if (installation.steamid && steamIdInput && !steamIdInput.value.trim()) {
+      steamIdInput.value = installation.steamid;
+      logger.info("App", "SteamID prefilled from the local Steam install", {
+        personaname: installation.personaname,
+      });
+    }
+
+    const installBtn = DOMUtils.getElementById("gsi-install-btn");
+    if (installBtn && installation.cs2_path) {
+      installBtn.title = `Install the game state config into ${installation.cs2_path} (takes effect on the next CS2 launch)`;
+    }
+  }
+
+  /**
+   * Pass a game state posted by CS2 on and show it until it goes stale
+   * @param {import('../shared/types.js').GameState} state - Game state
+   */
+  handleGameState(state) {
+    this.cs2Manager.setGameState(state);
+    UIManager.updateGameStateStatus(this.cs2Manager.getLocalGameState());
+
+    clearTimeout(this.gameStateTimeout);
+    this.gameStateTimeout = setTimeout(() => {
+      UIManager.updateGameStateStatus(this.cs2Manager.getLocalGameState());
+    }, GSI_CONFIG.STALE_AFTER_MS + 1);
+  }
+
+  /**
+   * Warn the user when the API key / token cannot be stored encrypted
+   */
+  async checkSecretsEncryption() {
+    const status = await window.electronAPI.secrets.getStatus();
+    if (!status) return;
+
+    if (!status.encryptionAvailable || status.weakEncryption) {
+      logger.warn("App", "Secrets are not protected by OS encryption", status);
+      UIManager.showNotification(
+        NOTIFICATION_TEMPLATES.SECRETS_UNENCRYPTED_WARNING,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Show the app version in the footer
+   */
+  async displayAppVersion() {
+    if (!window.electronAPI?.app?.getVersion) return;
+
+    try {
+      const version = await window.electronAPI.app.getVersion();
+      const versionElement = DOMUtils.getElementById("app-version");
+      if (versionElement && version) {
+        versionElement.textContent = `v${version} `;
+      }
+    } catch (error) {
+      logger.warn("App", "Failed to get app version: " + error.message);
+    }
+  }
 }
 
 // Create app instance and initialize when DOM is ready
@@ -0,0 +1,97 @@
+// UI and utilities
+import Validators from "../utils/validators.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Credentials provider
+ * Source of the user's SteamID64 and auth availability for the game modules.
+ * Whatever owns the credentials (input fields, a test, a headless caller)
+ * pushes updates here; consumers read them and subscribe to changes instead
+ * of touching the DOM. The API key / token itself stays in the main process.
+ */
+export class CredentialsProvider {
+  /**
+   * @param {{steamId?: string, hasAuth?: boolean}} [initial] - Initial credentials
+   */
+  constructor({ steamId = "", hasAuth = false } = {}) {
+    this.credentials = { steamId, hasAuth };
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Get the user's SteamID64
+   * @returns {string} - SteamID64 or empty string
+   */
+  getSteamId() {
+    return this.credentials.steamId;
+  }
+
+  /**
+   * Check if an API key / token is available to the Steam service
+   * @returns {boolean} - Whether auth is available
+   */
+  hasAuth() {
+    return this.credentials.hasAuth;
+  }
+
+  /**
+   * Check if credentials are complete enough to call the Steam API
+   * @returns {boolean} - Whether SteamID64 is valid and auth is available
+   */
+  isReady() {
+    return (
+      Validators.validateSteamId(this.credentials.steamId) &&
+      this.credentials.hasAuth
+    );
+  }
+
+  /**
+   * Get a copy of the current credentials
+   * @returns {{steamId: string, hasAuth: boolean}} - Credentials
+   */
+  getCredentials() {
+    return { ...this.credentials };
+  }
+
+  /**
+   * Update credentials and notify subscribers if anything changed
+   * @param {{steamId?: string, hasAuth?: boolean}} updates - Changed fields
+   */
+  update(updates) {
+    const previous = this.credentials;
+    const next = { ...previous, ...updates };
+
+    if (
+      next.steamId === previous.steamId &&
+      next.hasAuth === previous.hasAuth
+    ) {
+      return;
+    }
+
+    this.credentials = next;
+    this.subscribers.forEach((callback) => {
+      try {
+        callback({ ...next }, { ...previous });
+      } catch (error) {
+        logger.error("CredentialsProvider", "Error in change subscriber", {
+          error: error.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to credential changes
+   * @param {Function} callback - Called with (credentials, previousCredentials)
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+}
+
+// Shared instance fed by the input fields
+const credentialsProvider = new CredentialsProvider();
+
+export default credentialsProvider;
@@ -0,0 +1,214 @@
+// Shared constants
+import { ACTIVE_STATUS_TYPES, JOIN_QUEUE_CONFIG } from "../shared/constants.js";
+
+// Game singletons
+import joinManager from "./join-manager.js";
+import cs2Manager from "./cs2-manager.js";
+
+// UI and utilities
+import Validators from "../utils/validators.js";
+import logger from "../utils/logger.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Auto-join module
+ * Keeps the watchlist of favorite friends and starts a join as soon as one
+ * of them enters a supported mode, when the auto-join rules allow it.
+ */
+class AutoJoinManager {
+  constructor() {
+    this.watchlist = new Set();
+    this.activeHours = null;
+    // Whether each friend was in a supported mode at the last refresh
+    this.inSupportedMode = new Map();
+    // Watched friends who entered a supported mode and were not auto-joined yet
+    this.entered = new Set();
+    this.isChecking = false;
+  }
+
+  /**
+   * Load the watchlist and rules from saved settings
+   * @param {import('../shared/types.js').AutoJoinSettings} [settings] - Saved auto-join settings
+   */
+  load(settings) {
+    this.watchlist = new Set(
+      (settings?.watchlist || []).filter((id) => Validators.validateSteamId(id))
+    );
+    this.activeHours = AutoJoinManager.isValidActiveHours(
+      settings?.active_hours
+    )
+      ? { ...settings.active_hours }
+      : null;
+    this.inSupportedMode.clear();
+    this.entered.clear();
+  }
+
+  /**
+   * Get the auto-join settings to persist
+   * @returns {import('../shared/types.js').AutoJoinSettings} - Auto-join settings
+   */
+  getSettings() {
+    return {
+      watchlist: [...this.watchlist],
+      active_hours: this.activeHours ? { ...this.activeHours } : null,
+    };
+  }
+
+  /**
+   * Check if a friend is on the watchlist
+   * @param {string} friendId - Friend Steam ID
+   * @returns {boolean} - Whether the friend is watched
+   */
+  isWatched(friendId) {
+    return this.watchlist.has(friendId);
+  }
+
+  /**
+   * Add a friend to the watchlist or remove them from it
+   * @param {string} friendId - Friend Steam ID
+   * @returns {boolean} - Whether the friend is watched now
+   */
+  toggleWatch(friendId) {
+    if (this.watchlist.delete(friendId)) {
+      this.entered.delete(friendId);
+      logger.info("AutoJoinManager", "Friend removed from watchlist", {
+        friendId,
+      });
+      return false;
+    }
+
+    this.watchlist.add(friendId);
+    logger.info("AutoJoinManager", "Friend added to watchlist", { friendId });
+    return true;
+  }
+
+  /**
+   * Restrict auto-join to a daily time window
+   * Equal start and end, or null, allow auto-join at any time.
+   * @param {{start: string, end: string}|null} activeHours - Local "HH:MM" times
+   */
+  setActiveHours(activeHours) {
+    this.activeHours = AutoJoinManager.isValidActiveHours(activeHours)
+      ? { start: activeHours.start, end: activeHours.end }
+      : null;
+  }
+
+  /**
+   * Check if an active hours object is well formed
+   * @param {any} activeHours - Value to check
+   * @returns {boolean} - Whether start and end are "HH:MM" strings
+   */
+  static isValidActiveHours(activeHours) {
+    return (
+      !!activeHours &&
+      TIME_PATTERN.test(activeHours.start) &&
+      TIME_PATTERN.test(activeHours.end)
+    );
+  }
+
+  /**
+   * Check if the current time is within the configured active hours
+   * Windows that end before they start wrap past midnight.
+   * @param {Date} [date] - Time to check
+   * @returns {boolean} - Whether auto-join is allowed at this time
+   */
+  isWithinActiveHours(date = new Date()) {
+    if (!this.activeHours) return true;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      return hours * 60 + minutes;
+    };
+    const start = toMinutes(this.activeHours.start);
+    const end = toMinutes(this.activeHours.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+
+    if (start === end) return true;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * React to a friends status refresh
+   * Starts a join for the first watched friend that entered a supported mode
+   * (was seen outside it before) and has not been auto-joined since. Friends
+   * already mid-match when first seen, or when watched, are left alone.
+   * @param {import('../shared/types.js').Friend[]} friends - Refreshed friend statuses
+   */
+  async handleFriendsUpdate(friends) {
+    friends.forEach((f) => {
+      const wasInSupportedMode = this.inSupportedMode.get(f.steamid);
+      this.inSupportedMode.set(f.steamid, !!f.in_casual_mode);
+
+      if (!f.in_casual_mode) {
+        // Coming back later counts as entering again
+        this.entered.delete(f.steamid);
+      } else if (
+        wasInSupportedMode === false &&
+        this.watchlist.has(f.steamid)
+      ) {
+        this.entered.add(f.steamid);
+      }
+    });
+
+    const candidates = friends.filter(
+      (f) => f.in_casual_mode && this.entered.has(f.steamid)
+    );
+    if (!candidates.length || this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      const reason = await this.getBlockingReason();
+      if (reason) {
+        logger.debug("AutoJoinManager", `Auto-join on hold: ${reason}`, {
+          candidates: candidates.map((f) => f.steamid),
+        });
+        return;
+      }
+
+      // Prefer a friend whose server can be joined right away
+      const friend = candidates.find((f) => f.join_available) || candidates[0];
+      this.entered.delete(friend.steamid);
+
+      logger.info("AutoJoinManager", "Auto-joining watched friend", {
+        friendId: friend.steamid,
+        personaname: friend.personaname,
+      });
+      // Joins the user started by hand go first
+      joinManager.startJoin(friend.steamid, {
+        priority: JOIN_QUEUE_CONFIG.PRIORITIES.LOW,
+      });
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Check the auto-join rules
+   * @returns {Promise<string|null>} - Why auto-join is not allowed now, or null
+   */
+  async getBlockingReason() {
+    if (!this.isWithinActiveHours()) {
+      return "outside active hours";
+    }
+
+    const joinStates = Object.values(joinManager.getJoinStates());
+    if (
+      joinStates.some((state) => ACTIVE_STATUS_TYPES.includes(state.status))
+    ) {
+      return "another join is in progress";
+    }
+
+    // Being in the lobby also means the user is not in a match
+    if (!(await cs2Manager.checkUserInCS2AndLobby())) {
+      return "not in the CS2 lobby";
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance
+const autoJoinManager = new AutoJoinManager();
+
+export default autoJoinManager;
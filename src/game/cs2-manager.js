@@ -1,58 +1,187 @@
+// Shared constants
+import { GAME_MODES, GSI_CONFIG } from "../shared/constants.js";
+
+// Game modules
+import GameModeClassifier from "./game-mode-classifier.js";
+import LaunchOptions from "./launch-options.js";
+
 // UI and utilities
-import SteamAPI from "../steam/steam-api.js";
-import Validators from "../utils/validators.js";
+import SteamServiceClient from "../steam/steam-service-client.js";
 import logger from "../utils/logger.js";
 
 /**
  * Manages CS2 launch functionality
+ * Questions about the user's own game are answered from the local Game State
+ * Integration feed while CS2 keeps posting it, then from the local process
+ * watcher, and from the Web API otherwise.
  */
 class CS2Manager {
   constructor() {
-    this.appInputManager = null;
+    this.credentials = null;
     this.isInitialized = false;
     this.statusCheckInterval = null;
     this.isMonitoring = false;
+    this.onStatusChange = null;
+    this.gameState = null;
+    this.processState = null;
+    this.processSubscribers = new Set();
+    this.unsubscribeLaunch = null;
+    this.launchArgs = "";
+  }
+
+  /**
+   * Set the launch arguments used when this app starts CS2
+   * @param {string} args - Launch arguments of the selected launch profile
+   */
+  setLaunchArgs(args) {
+    this.launchArgs = LaunchOptions.normalize(args);
   }
 
   /**
    * Initialize the CS2Manager with required dependencies
-   * @param {Object} appInputManager - App input manager instance
+   * @param {import('../core/credentials-provider.js').CredentialsProvider} credentialsProvider - Source of the user's credentials
    */
-  initialize(appInputManager) {
-    this.appInputManager = appInputManager;
+  initialize(credentialsProvider) {
+    this.credentials = credentialsProvider;
     this.isInitialized = true;
     logger.info("CS2Manager", "CS2Manager initialized");
   }
 
+  /**
+   * Store the latest local game state posted by CS2
+   * Status monitoring is told right away instead of on its next poll.
+   * @param {import('../shared/types.js').GameState} state - Game state
+   */
+  setGameState(state) {
+    this.gameState = state;
+
+    const local = this.getLocalGameState();
+    if (local && this.isMonitoring && this.onStatusChange) {
+      this.onStatusChange(CS2Manager.isLobbyState(local));
+    }
+  }
+
+  /**
+   * Store whether the CS2 process is running and tell subscribers
+   * An unknown state is only stored: checks go back to Steam, and
+   * subscribers keep waiting for a real start or exit.
+   * @param {import('../shared/types.js').CS2ProcessState} state - Process state from the main process
+   */
+  setProcessState(state) {
+    const wasRunning = this.processState?.running;
+    this.processState = state;
+    if (state.running === wasRunning) return;
+
+    if (state.running === null) {
+      logger.warn("CS2Manager", "CS2 process state unknown, using Steam");
+      return;
+    }
+
+    logger.info("CS2Manager", state.running ? "CS2 started" : "CS2 exited", {
+      pid: state.pid,
+    });
+    this.processSubscribers.forEach((callback) => {
+      try {
+        callback({ ...state });
+      } catch (error) {
+        logger.error("CS2Manager", "Error in process subscriber", {
+          error: error.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to CS2 starting and exiting
+   * @param {Function} callback - Called with a CS2ProcessState on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeProcess(callback) {
+    this.processSubscribers.add(callback);
+    return () => this.processSubscribers.delete(callback);
+  }
+
+  /**
+   * Check if the local process watcher saw CS2 exit
+   * @returns {boolean} - True only when CS2 is known not to be running
+   */
+  isProcessStopped() {
+    return this.processState?.running === false;
+  }
+
+  /**
+   * Get the local game state if it is recent and belongs to the user
+   * @returns {import('../shared/types.js').GameState|null} - Game state or null
+   */
+  getLocalGameState() {
+    const state = this.gameState;
+    if (!state || !this.credentials) return null;
+    if (Date.now() - state.received_at > GSI_CONFIG.STALE_AFTER_MS) {
+      return null;
+    }
+    return state.steamid === this.credentials.getSteamId() ? state : null;
+  }
+
+  /**
+   * Check if a local game state is the main menu / lobby
+   * @param {import('../shared/types.js').GameState} state - Game state
+   * @returns {boolean} - Whether the user is not on a map
+   */
+  static isLobbyState(state) {
+    return !state.map;
+  }
+
+  /**
+   * Classify a local game state into a game mode
+   * @param {import('../shared/types.js').GameState} state - Game state
+   * @returns {string} - One of GAME_MODES
+   */
+  static getLocalGameMode(state) {
+    if (CS2Manager.isLobbyState(state)) return GAME_MODES.LOBBY;
+    return GameModeClassifier.classify({
+      game_state: "game",
+      game_mode: state.mode,
+      game_map: state.map,
+    });
+  }
+
   /**
    * Check if the current user is playing CS2
    * @returns {Promise<boolean>} - Whether the user is playing CS2
    */
   async checkUserInCS2() {
-    if (!this.isInitialized || !this.appInputManager) {
-      logger.warn("CS2Manager", "Not initialized or missing appInputManager", {
-        isInitialized: this.isInitialized,
-        hasAppInputManager: !!this.appInputManager,
-      });
+    // CS2 only posts game state while it is running
+    if (this.getLocalGameState()) return true;
+    // The process watcher can only rule CS2 out; Steam confirms the rest
+    if (this.isProcessStopped()) return false;
+
+    if (!this.isInitialized || !this.credentials) {
+      logger.warn(
+        "CS2Manager",
+        "Not initialized or missing credentials provider",
+        {
+          isInitialized: this.isInitialized,
+          hasCredentialsProvider: !!this.credentials,
+        }
+      );
       return false;
     }
 
     try {
-      const steamId = this.appInputManager.getSteamId();
-      const auth = this.appInputManager.getAuth();
+      const steamId = this.credentials.getSteamId();
+      const hasAuth = this.credentials.hasAuth();
 
       logger.debug("CS2Manager", "Checking CS2 status for user", { steamId });
 
-      if (!steamId || !auth) {
+      if (!steamId || !hasAuth) {
         logger.warn("CS2Manager", "Missing steamId or auth", {
           hasSteamId: !!steamId,
-          hasAuth: !!auth,
+          hasAuth,
         });
         return false;
       }
 
-      const extractedAuth = Validators.extractApiKeyOrToken(auth);
-      const result = await SteamAPI.isPlayerInCS2(steamId, extractedAuth);
+      const result = await SteamServiceClient.isPlayerInCS2(steamId);
 
       logger.info("CS2Manager", "CS2 status result", { steamId, result });
       return result;
@@ -69,36 +198,39 @@ class CS2Manager {
    * @returns {Promise<boolean>} - Whether the user is playing CS2 and in lobby
    */
   async checkUserInCS2AndLobby() {
-    if (!this.isInitialized || !this.appInputManager) {
+    const local = this.getLocalGameState();
+    if (local) return CS2Manager.isLobbyState(local);
+    if (this.isProcessStopped()) return false;
+
+    if (!this.isInitialized || !this.credentials) {
       logger.warn(
         "CS2Manager",
-        "Not initialized or missing appInputManager for lobby check",
+        "Not initialized or missing credentials provider for lobby check",
         {
           isInitialized: this.isInitialized,
-          hasAppInputManager: !!this.appInputManager,
+          hasCredentialsProvider: !!this.credentials,
         }
       );
       return false;
     }
 
     try {
-      const steamId = this.appInputManager.getSteamId();
-      const auth = this.appInputManager.getAuth();
+      const steamId = this.credentials.getSteamId();
+      const hasAuth = this.credentials.hasAuth();
 
       logger.debug("CS2Manager", "Checking CS2 and lobby status for user", {
         steamId,
       });
 
-      if (!steamId || !auth) {
+      if (!steamId || !hasAuth) {
         logger.warn("CS2Manager", "Missing steamId or auth for lobby check", {
           hasSteamId: !!steamId,
-          hasAuth: !!auth,
+          hasAuth,
         });
         return false;
       }
 
-      const extractedAuth = Validators.extractApiKeyOrToken(auth);
-      const result = await SteamAPI.isPlayerInCS2(steamId, extractedAuth, true); // requireLobby = true
+      const result = await SteamServiceClient.isPlayerInCS2(steamId, true); // requireLobby = true
 
       logger.info("CS2Manager", "CS2 and lobby status result", {
         steamId,
@@ -118,40 +250,46 @@ class CS2Manager {
    * @returns {Promise<boolean>} - Whether the user is playing in Competitive or Premier mode
    */
   async checkUserInCompetitiveOrPremier() {
-    if (!this.isInitialized || !this.appInputManager) {
+    const local = this.getLocalGameState();
+    if (local) {
+      const mode = CS2Manager.getLocalGameMode(local);
+      return mode === GAME_MODES.COMPETITIVE || mode === GAME_MODES.PREMIER;
+    }
+    if (this.isProcessStopped()) return false;
+
+    if (!this.isInitialized || !this.credentials) {
       logger.warn(
         "CS2Manager",
-        "Not initialized or missing appInputManager for competitive mode check",
+        "Not initialized or missing credentials provider for competitive mode check",
         {
           isInitialized: this.isInitialized,
-          hasAppInputManager: !!this.appInputManager,
+          hasCredentialsProvider: !!this.credentials,
         }
       );
       return false;
     }
 
     try {
-      const steamId = this.appInputManager.getSteamId();
-      const auth = this.appInputManager.getAuth();
+      const steamId = this.credentials.getSteamId();
+      const hasAuth = this.credentials.hasAuth();
 
       logger.debug("CS2Manager", "Checking competitive/premier mode for user", {
         steamId,
       });
 
-      if (!steamId || !auth) {
+      if (!steamId || !hasAuth) {
         logger.warn(
           "CS2Manager",
           "Missing steamId or auth for competitive mode check",
           {
             hasSteamId: !!steamId,
-            hasAuth: !!auth,
+            hasAuth,
           }
         );
         return false;
       }
 
-      const extractedAuth = Validators.extractApiKeyOrToken(auth);
-      const result = await SteamAPI.checkUserGameMode(steamId, extractedAuth);
+      const result = await SteamServiceClient.checkUserGameMode(steamId);
 
       logger.info("CS2Manager", "Competitive/Premier mode check result", {
         steamId,
@@ -171,7 +309,7 @@ class CS2Manager {
    */
   launchCS2() {
     try {
-      const launchUrl = "steam://run/730/";
+      const launchUrl = LaunchOptions.buildRunUrl(this.launchArgs);
       window.open(launchUrl);
       logger.info("CS2Manager", "Launching CS2...", { launchUrl });
     } catch (error) {
@@ -188,10 +326,10 @@ class CS2Manager {
    * @returns {boolean} - Whether monitoring started successfully
    */
   startStatusMonitoring(onStatusChange, intervalMs = 3000) {
-    if (!this.isInitialized || !this.appInputManager) {
+    if (!this.isInitialized || !this.credentials) {
       logger.warn("CS2Manager", "Cannot start monitoring - not initialized", {
         isInitialized: this.isInitialized,
-        hasAppInputManager: !!this.appInputManager,
+        hasCredentialsProvider: !!this.credentials,
       });
       return false;
     }
@@ -202,6 +340,7 @@ class CS2Manager {
     }
 
     this.isMonitoring = true;
+    this.onStatusChange = onStatusChange;
     logger.info("CS2Manager", "Starting CS2 status monitoring", { intervalMs });
 
     this.statusCheckInterval = setInterval(async () => {
@@ -232,13 +371,15 @@ class CS2Manager {
       clearInterval(this.statusCheckInterval);
       this.statusCheckInterval = null;
       this.isMonitoring = false;
+      this.onStatusChange = null;
       logger.info("CS2Manager", "CS2 status monitoring stopped");
     }
   }
 
   /**
    * Launch CS2 and monitor until user is in game and lobby
-   * @param {Function} onProgress - Progress callback (optional)
+   * @param {Function} onProgress - Progress callback (optional), called with
+   *   "launching", "starting" (process seen), "closed" (exited before the lobby) or "ready"
    * @returns {Promise<boolean>} - Whether user successfully entered CS2 and lobby
    */
   async launchAndWaitForLobby(onProgress = null) {
@@ -250,10 +391,23 @@ class CS2Manager {
         onProgress("launching");
       }
 
+      // Follow the process so a crash or close ends the wait right away
+      this.unsubscribeLaunch?.();
+      this.unsubscribeLaunch = this.subscribeProcess(({ running }) => {
+        if (onProgress) onProgress(running ? "starting" : "closed");
+        if (!running) {
+          this.cancelLaunchOperations();
+          logger.warn("CS2Manager", "CS2 exited before reaching the lobby");
+          resolve(false);
+        }
+      });
+
       // Start monitoring for lobby entry
       const onStatusChange = (isInCS2AndLobby) => {
         if (isInCS2AndLobby) {
           this.stopStatusMonitoring();
+          this.unsubscribeLaunch?.();
+          this.unsubscribeLaunch = null;
           logger.info("CS2Manager", "User successfully entered CS2 and lobby");
           if (onProgress) {
             onProgress("ready");
@@ -268,6 +422,8 @@ class CS2Manager {
           "CS2Manager",
           "Failed to start monitoring for lobby entry"
         );
+        this.unsubscribeLaunch?.();
+        this.unsubscribeLaunch = null;
         resolve(false);
       }
     });
@@ -278,6 +434,8 @@ class CS2Manager {
    */
   cancelLaunchOperations() {
     this.stopStatusMonitoring();
+    this.unsubscribeLaunch?.();
+    this.unsubscribeLaunch = null;
     logger.info("CS2Manager", "Launch operations cancelled");
   }
 
@@ -286,7 +444,7 @@ class CS2Manager {
    */
   destroy() {
     this.stopStatusMonitoring();
-    this.appInputManager = null;
+    this.credentials = null;
     this.isInitialized = false;
     logger.info("CS2Manager", "CS2Manager destroyed");
   }
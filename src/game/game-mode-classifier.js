@@ -0,0 +1,105 @@
+// Shared constants
+import { GAME_MODES } from "../shared/constants.js";
+
+/**
+ * Raw rich presence game:mode values mapped to GAME_MODES
+ */
+const RAW_MODE_MAP = {
+  casual: GAME_MODES.CASUAL,
+  deathmatch: GAME_MODES.DEATHMATCH,
+  competitive: GAME_MODES.COMPETITIVE,
+  premier: GAME_MODES.PREMIER,
+  scrimcomp2v2: GAME_MODES.WINGMAN,
+  wingman: GAME_MODES.WINGMAN,
+  gungameprogressive: GAME_MODES.ARMS_RACE,
+  armsrace: GAME_MODES.ARMS_RACE,
+  retakes: GAME_MODES.RETAKES,
+  custom: GAME_MODES.WORKSHOP,
+  cooperative: GAME_MODES.WORKSHOP,
+  coopmission: GAME_MODES.WORKSHOP,
+  workshop: GAME_MODES.WORKSHOP,
+};
+
+/**
+ * Map group used by Premier matchmaking (reported as game:mode "competitive")
+ */
+const PREMIER_MAP_GROUP = "mg_lobby_mapveto";
+
+/**
+ * Display labels for each mode
+ */
+const MODE_LABELS = {
+  [GAME_MODES.CASUAL]: "Casual",
+  [GAME_MODES.DEATHMATCH]: "Deathmatch",
+  [GAME_MODES.COMPETITIVE]: "Competitive",
+  [GAME_MODES.PREMIER]: "Premier",
+  [GAME_MODES.WINGMAN]: "Wingman",
+  [GAME_MODES.ARMS_RACE]: "Arms Race",
+  [GAME_MODES.RETAKES]: "Retakes",
+  [GAME_MODES.WORKSHOP]: "Workshop",
+  [GAME_MODES.LOBBY]: "Lobby",
+  [GAME_MODES.MENU]: "Main Menu",
+  [GAME_MODES.UNKNOWN]: "Unknown",
+};
+
+/**
+ * Game mode classifier
+ * Single source of truth for turning CS2 rich presence into a game mode
+ */
+class GameModeClassifier {
+  /**
+   * Classify parsed rich presence into a game mode
+   * @param {import('../shared/types.js').RichPresence|null} richPresence - Parsed rich presence
+   * @returns {string} - One of GAME_MODES
+   */
+  static classify(richPresence) {
+    if (!richPresence) return GAME_MODES.UNKNOWN;
+
+    const state = (richPresence.game_state || "").toLowerCase();
+    const rawMode = (richPresence.game_mode || "").toLowerCase();
+    const map = (richPresence.game_map || "").toLowerCase();
+
+    if (state === "lobby") return GAME_MODES.LOBBY;
+    if (!state) return GAME_MODES.MENU;
+
+    if (map.startsWith("workshop/")) return GAME_MODES.WORKSHOP;
+
+    if (
+      rawMode === "competitive" &&
+      (richPresence.game_mapgroupname || "").toLowerCase() === PREMIER_MAP_GROUP
+    ) {
+      return GAME_MODES.PREMIER;
+    }
+
+    return RAW_MODE_MAP[rawMode] || GAME_MODES.UNKNOWN;
+  }
+
+  /**
+   * Check if a mode supports joining (casual or deathmatch in a match)
+   * @param {string} mode - One of GAME_MODES
+   * @returns {boolean} - True if supported
+   */
+  static isSupported(mode) {
+    return mode === GAME_MODES.CASUAL || mode === GAME_MODES.DEATHMATCH;
+  }
+
+  /**
+   * Check if a mode is ranked matchmaking (competitive or premier)
+   * @param {string} mode - One of GAME_MODES
+   * @returns {boolean} - True if competitive or premier
+   */
+  static isCompetitive(mode) {
+    return mode === GAME_MODES.COMPETITIVE || mode === GAME_MODES.PREMIER;
+  }
+
+  /**
+   * Get display label for a mode
+   * @param {string} mode - One of GAME_MODES
+   * @returns {string} - Human readable label
+   */
+  static getLabel(mode) {
+    return MODE_LABELS[mode] || MODE_LABELS[GAME_MODES.UNKNOWN];
+  }
+}
+
+export default GameModeClassifier;
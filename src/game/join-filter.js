@@ -0,0 +1,124 @@
+// Shared constants
+import { GAME_MODES, JOIN_FILTER_CONFIG } from "../shared/constants.js";
+
+// Game modules
+import GameModeClassifier from "./game-mode-classifier.js";
+
+// Modes a filter can restrict joins to
+const FILTERABLE_MODES = [GAME_MODES.CASUAL, GAME_MODES.DEATHMATCH];
+
+// game:score looks like "[ 5 : 7 ]"
+const SCORE_PATTERN = /(\d+)\s*:\s*(\d+)/;
+
+/**
+ * Join filters
+ * Decides whether a friend's current match is worth connecting to, based on
+ * the global filters from settings and optional per-join overrides.
+ */
+class JoinFilter {
+  /**
+   * Clean up filters loaded from settings or built by the UI
+   * @param {Partial<import('../shared/types.js').JoinFilters>} [filters] - Raw filters
+   * @returns {import('../shared/types.js').JoinFilters} - Complete filters
+   */
+  static normalize(filters = {}) {
+    const maps = (list) => [
+      ...new Set(
+        (Array.isArray(list) ? list : [])
+          .map((map) => String(map).trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+
+    return {
+      allowed_maps: maps(filters?.allowed_maps),
+      blocked_maps: maps(filters?.blocked_maps),
+      modes: (Array.isArray(filters?.modes) ? filters.modes : []).filter(
+        (mode) => FILTERABLE_MODES.includes(mode)
+      ),
+      skip_near_end: !!filters?.skip_near_end,
+    };
+  }
+
+  /**
+   * Apply per-join overrides on top of the global filters
+   * @param {import('../shared/types.js').JoinFilters} globalFilters - Filters from settings
+   * @param {Partial<import('../shared/types.js').JoinFilters>|null} [joinFilters] - Fields set for one join
+   * @returns {import('../shared/types.js').JoinFilters} - Effective filters
+   */
+  static merge(globalFilters, joinFilters) {
+    if (!joinFilters) return globalFilters;
+
+    const overrides = Object.fromEntries(
+      Object.entries(joinFilters).filter(([, value]) => value !== undefined)
+    );
+    return JoinFilter.normalize({ ...globalFilters, ...overrides });
+  }
+
+  /**
+   * Split a comma or space separated map list typed by the user
+   * @param {string} text - e.g. "de_dust2, de_inferno"
+   * @returns {string[]} - Map names
+   */
+  static parseMapList(text) {
+    return JoinFilter.normalize({
+      allowed_maps: (text || "").split(/[\s,;]+/),
+    }).allowed_maps;
+  }
+
+  /**
+   * Read both team scores from rich presence
+   * @param {string|null} score - game:score value
+   * @returns {number[]|null} - [first, second] or null if unknown
+   */
+  static parseScore(score) {
+    const match = SCORE_PATTERN.exec(score || "");
+    return match ? [Number(match[1]), Number(match[2])] : null;
+  }
+
+  /**
+   * Check if a round-based match is about to end
+   * @param {import('../shared/types.js').JoinCandidate} candidate - Friend presence
+   * @returns {boolean} - True if a team is about to win
+   */
+  static isNearEnd(candidate) {
+    if (candidate.game_mode !== GAME_MODES.CASUAL) return false;
+
+    const score = JoinFilter.parseScore(candidate.game_score);
+    if (!score) return false;
+
+    return (
+      Math.max(...score) >=
+      JOIN_FILTER_CONFIG.CASUAL_ROUNDS_TO_WIN -
+        JOIN_FILTER_CONFIG.NEAR_END_ROUNDS_LEFT
+    );
+  }
+
+  /**
+   * Explain why a friend's match should not be joined right now
+   * @param {import('../shared/types.js').JoinCandidate|undefined} candidate - Friend presence
+   * @param {import('../shared/types.js').JoinFilters} filters - Effective filters
+   * @returns {string|null} - Hold reason shown in the friend row, or null to join
+   */
+  static getHoldReason(candidate, filters) {
+    if (!candidate?.in_casual_mode) return null;
+
+    const map = (candidate.game_map || "").toLowerCase();
+
+    if (filters.modes.length && !filters.modes.includes(candidate.game_mode)) {
+      return `Holding: ${GameModeClassifier.getLabel(candidate.game_mode)} is filtered out`;
+    }
+    if (map && filters.blocked_maps.includes(map)) {
+      return `Holding: ${map} is blocked`;
+    }
+    if (filters.allowed_maps.length && !filters.allowed_maps.includes(map)) {
+      return `Holding: waiting for ${filters.allowed_maps.join(", ")}`;
+    }
+    if (filters.skip_near_end && JoinFilter.isNearEnd(candidate)) {
+      return `Holding: match almost over (${JoinFilter.parseScore(candidate.game_score).join(":")})`;
+    }
+    return null;
+  }
+}
+
+export default JoinFilter;
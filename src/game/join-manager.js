@@ -1,190 +1,514 @@
 // UI and utilities
-import { API_CONFIG, STATUS_TYPES } from "../shared/constants.js";
-import SteamAPI from "../steam/steam-api.js";
-import Validators from "../utils/validators.js";
+import {
+  API_CONFIG,
+  CANCEL_CAUSES,
+  CONSOLE_EVENTS,
+  JOIN_OUTCOMES,
+  JOIN_QUEUE_CONFIG,
+  STATUS_TYPES,
+  GROUP_JOIN_ORDERS,
+} from "../shared/constants.js";
+import SteamServiceClient from "../steam/steam-service-client.js";
 import ErrorHandler from "../utils/error-handler.js";
-import DOMUtils from "../utils/dom-utils.js";
+
+// Game modules
+import JoinStateMachine from "./join-state-machine.js";
+import JoinQueue from "./join-queue.js";
+import JoinVerifier from "./join-verifier.js";
+import JoinFilter from "./join-filter.js";
+import pollScheduler from "./poll-scheduler.js";
 
 /**
  * Join Manager module
  * Handles the process of joining friends' games
+ * Status changes are published by the state machine; see subscribe().
+ * Attempts run through a JoinQueue that caps how many poll Steam at once,
+ * and pace their polls with the shared PollScheduler.
  */
 class JoinManager {
   constructor() {
-    this.joinStates = {};
-    this.onUpdateDot = null;
-    this.onUpdateJoinButton = null;
+    this.stateMachine = new JoinStateMachine();
+    this.queue = new JoinQueue({
+      onChange: () => this.updateQueuePositions(),
+    });
+    this.verifier = new JoinVerifier(this.stateMachine);
+    this.filters = JoinFilter.normalize();
+    // Numbers each join attempt so a replaced attempt's loop can tell
+    this.attemptSequence = 0;
     this.cs2Manager = null;
+    this.unsubscribeProcess = null;
+    this.credentials = null;
+    this.unsubscribeCredentials = null;
     this.onRequestCS2Launch = null; // Callback for requesting CS2 launch from UI layer
   }
 
+  /**
+   * Set the credentials provider used to start joins
+   * Joins in progress are reset when the user's account changes.
+   * @param {import('../core/credentials-provider.js').CredentialsProvider} credentialsProvider - Source of the user's credentials
+   */
+  setCredentialsProvider(credentialsProvider) {
+    if (this.unsubscribeCredentials) this.unsubscribeCredentials();
+
+    this.credentials = credentialsProvider;
+    this.unsubscribeCredentials = credentialsProvider
+      ? credentialsProvider.subscribe((current, previous) => {
+          if (
+            current.steamId !== previous.steamId ||
+            current.hasAuth !== previous.hasAuth
+          ) {
+            this.resetAll();
+          }
+        })
+      : null;
+  }
+
+  /**
+   * Set the join filters applied to every join
+   * Running joins pick up the change on their next poll.
+   * @param {Partial<import('../shared/types.js').JoinFilters>} [filters] - Filters from settings
+   */
+  setFilters(filters) {
+    this.filters = JoinFilter.normalize(filters);
+  }
+
+  /**
+   * Get the join filters applied to every join
+   * @returns {import('../shared/types.js').JoinFilters} - Global join filters
+   */
+  getFilters() {
+    return { ...this.filters };
+  }
+
+  /**
+   * Subscribe to join state transitions
+   * @param {Function} callback - Called with {friendId, from, to, state}
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    return this.stateMachine.subscribe(callback);
+  }
+
   /**
    * Set CS2Manager instance
    * @param {CS2Manager} cs2Manager - CS2Manager instance
    */
   setCS2Manager(cs2Manager) {
     this.cs2Manager = cs2Manager;
+    this.verifier.setLocalStateProvider(() => cs2Manager.getLocalGameState());
+
+    // Stop every join the moment the game exits instead of on the next poll
+    this.unsubscribeProcess?.();
+    this.unsubscribeProcess = cs2Manager.subscribeProcess(({ running }) => {
+      if (running) return;
+      Object.keys(this.stateMachine.getAll()).forEach((friendId) => {
+        if (this.stateMachine.isActive(friendId)) {
+          this.failJoin(friendId, "CS2 was closed");
+        }
+      });
+    });
   }
 
   /**
-   * Start the process of joining a friend's game
+   * React to an event from the CS2 console log
+   * A full server or failed connection ends the running connect attempt at
+   * once, with the reason CS2 gave, instead of on a later presence sample.
+   * @param {import('../shared/types.js').ConsoleEvent} event - Console event
+   */
+  handleConsoleEvent(event) {
+    if (
+      event?.type === CONSOLE_EVENTS.SERVER_FULL ||
+      event?.type === CONSOLE_EVENTS.CONNECTION_FAILED
+    ) {
+      console.log("JoinManager: CS2 reported a failed connect:", event.reason);
+      this.verifier.reportConsoleFailure(event);
+    }
+  }
+
+  /**
+   * Queue the process of joining a friend's game
    * @param {string} friend_id - Steam ID of the friend to join
+   * @param {Object} [options] - Join options
+   * @param {boolean} [options.follow=false] - Keep following the friend to new servers after joining
+   * @param {number} [options.priority] - Queue priority, one of JOIN_QUEUE_CONFIG.PRIORITIES
+   * @param {number} [options.deadlineMs] - Give up this long after Join was pressed
+   * @param {number} [options.maxAttempts] - Give up after this many connect attempts
+   * @param {Partial<import('../shared/types.js').JoinFilters>} [options.filters] - Filters for this join, over the global ones
    */
-  async startJoin(friend_id) {
+  async startJoin(friend_id, options = {}) {
+    if (this.stateMachine.isActive(friend_id)) return;
+
     try {
       console.log("JoinManager: Starting join for friend:", friend_id);
 
-      // First check if user is in CS2
-      if (this.cs2Manager) {
-        console.log("JoinManager: Checking if user is in CS2...");
-        const isInCS2 = await this.cs2Manager.checkUserInCS2();
-        console.log("JoinManager: User in CS2 check result:", isInCS2);
-
-        if (!isInCS2) {
-          console.log("JoinManager: User not in CS2, requesting launch...");
-          // Request CS2 launch from UI layer
-          if (this.onRequestCS2Launch) {
-            const shouldLaunch = await this.onRequestCS2Launch(friend_id);
-            console.log("JoinManager: Launch request result:", shouldLaunch);
-            if (!shouldLaunch) {
-              // User cancelled, don't proceed with join
-              console.log("JoinManager: User cancelled launch, aborting join");
-              return;
-            }
-            // CS2 launch notification will handle waiting for CS2 to start
-          }
-        } else {
-          console.log(
-            "JoinManager: User already in CS2, proceeding with join..."
-          );
-        }
+      // The API key / token is held by the main process Steam service
+      if (!this.credentials || !this.credentials.isReady()) {
+        throw new Error("Steam ID and API auth are required");
       }
+      const steam_id = this.credentials.getSteamId();
+
+      // First check if user is in CS2
+      if (!(await this.ensureUserInCS2(friend_id))) return;
+
+      const data = this.createAttemptData(options);
+      this.stateMachine.transition(friend_id, STATUS_TYPES.QUEUED, data);
+      const queued = this.queue.enqueue({
+        key: `${friend_id}#${data.attemptId}`,
+        friendIds: [friend_id],
+        priority: options.priority ?? JOIN_QUEUE_CONFIG.PRIORITIES.NORMAL,
+        run: () => this.runJoin(friend_id, steam_id, data.attemptId),
+      });
+      if (!queued) throw new Error("The join is already queued");
+    } catch (error) {
+      ErrorHandler.logError("JoinManager.startJoin", error, { friend_id });
+      this.failJoin(friend_id, error.message);
+    }
+  }
 
-      const steamIdInput = DOMUtils.getElementById("steam-id");
-      const authInput = DOMUtils.getElementById("auth");
+  /**
+   * Run a queued join attempt once it gets a slot
+   * @param {string} friend_id - Steam ID of the friend to join
+   * @param {string} steam_id - Steam ID of the user
+   * @param {number} attemptId - Attempt the queue entry was made for
+   */
+  async runJoin(friend_id, steam_id, attemptId) {
+    if (
+      this.stateMachine.getStatus(friend_id) !== STATUS_TYPES.QUEUED ||
+      !this.isCurrentAttempt(friend_id, attemptId)
+    ) {
+      return;
+    }
+
+    try {
+      // Start the attempt from fresh presence data
+      await SteamServiceClient.invalidateCache("GetPlayerLinkDetails");
+
+      this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING, {
+        queuePosition: 0,
+      });
+
+      // Start the join loop
+      await this.joinLoop(friend_id, steam_id, attemptId);
+    } catch (error) {
+      ErrorHandler.logError("JoinManager.runJoin", error, { friend_id });
+      this.failJoin(friend_id, error.message);
+    }
+  }
 
-      if (!steamIdInput || !authInput) {
-        throw new Error("Required input elements not found");
+  /**
+   * Build the initial state data of a join attempt
+   * @param {Object} options - Join options (see startJoin)
+   * @returns {Partial<import('../shared/types.js').JoinState>} - Attempt data
+   */
+  createAttemptData({
+    follow = false,
+    deadlineMs = JOIN_QUEUE_CONFIG.DEFAULT_DEADLINE_MS,
+    maxAttempts = JOIN_QUEUE_CONFIG.DEFAULT_MAX_ATTEMPTS,
+    filters = null,
+    priority = JOIN_QUEUE_CONFIG.PRIORITIES.NORMAL,
+  } = {}) {
+    return {
+      attemptId: ++this.attemptSequence,
+      reason: null,
+      cancelCause: null,
+      holdReason: null,
+      filters,
+      follow,
+      priority,
+      group: null,
+      order: null,
+      cycleStartedAt: Date.now(),
+      attempts: 0,
+      maxAttempts,
+      deadlineMs,
+      deadlineAt: Date.now() + deadlineMs,
+      queuePosition: 0,
+    };
+  }
+
+  /**
+   * Check that a loop is still running the friend's current attempt
+   * A cancelled attempt can be replaced by a new one before its loop wakes up.
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {number} attemptId - Attempt the loop was started for
+   * @returns {boolean} - Whether the attempt is active and not replaced
+   */
+  isCurrentAttempt(friend_id, attemptId) {
+    return (
+      this.stateMachine.isActive(friend_id) &&
+      this.stateMachine.get(friend_id).attemptId === attemptId
+    );
+  }
+
+  /**
+   * Publish the queue position of every waiting attempt
+   */
+  updateQueuePositions() {
+    Object.entries(this.stateMachine.getAll()).forEach(([friendId, state]) => {
+      if (state.status === STATUS_TYPES.QUEUED) {
+        this.stateMachine.transition(friendId, STATUS_TYPES.QUEUED, {
+          queuePosition: this.queue.getPosition(friendId),
+        });
       }
+    });
+  }
+
+  /**
+   * Keep the map and mode the friend is playing on the join state and check
+   * them against the join filters
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {import('../shared/types.js').JoinCandidate|undefined} candidate - Latest presence
+   * @returns {string|null} - Why the join should hold off, or null
+   */
+  updateServerInfo(friend_id, candidate) {
+    const state = this.stateMachine.get(friend_id);
+    if (!state) return null;
+
+    const holdReason = JoinFilter.getHoldReason(
+      candidate,
+      JoinFilter.merge(this.filters, state.filters)
+    );
+    this.stateMachine.transition(
+      friend_id,
+      state.status,
+      candidate?.in_casual_mode
+        ? { map: candidate.game_map, mode: candidate.game_mode, holdReason }
+        : { holdReason }
+    );
+    return holdReason;
+  }
+
+  /**
+   * Check a join attempt against its deadline and retry limit
+   * @param {string} friend_id - Steam ID of the friend
+   * @returns {string|null} - Why the attempt must stop, or null
+   */
+  getLimitReason(friend_id) {
+    const state = this.stateMachine.get(friend_id);
+    if (!state) return null;
+
+    if (state.deadlineAt && Date.now() > state.deadlineAt) {
+      return "Gave up: the join deadline passed";
+    }
+    if (state.maxAttempts && state.attempts >= state.maxAttempts) {
+      return state.connectError
+        ? `Gave up after ${state.attempts} connect attempts: ${state.connectError}`
+        : `Gave up after ${state.attempts} connect attempts`;
+    }
+    return null;
+  }
+
+  /**
+   * Join whichever member of a group gets a free slot first
+   * All members are polled together in one batched request per iteration;
+   * once one join succeeds the remaining attempts are cancelled.
+   * @param {string[]} friend_ids - Group members in the user's order of preference
+   * @param {Object} [options] - Group join options (and startJoin limits)
+   * @param {string} [options.order] - One of GROUP_JOIN_ORDERS
+   * @param {number} [options.priority] - Queue priority, one of JOIN_QUEUE_CONFIG.PRIORITIES
+   */
+  async startGroupJoin(friend_ids, options = {}) {
+    const members = [...new Set(friend_ids)].filter(
+      (friend_id) => !this.stateMachine.isActive(friend_id)
+    );
+    if (!members.length) return;
 
-      const steam_id = steamIdInput.value.trim();
-      const auth_raw = authInput.value.trim();
-      const auth = Validators.extractApiKeyOrToken(auth_raw);
+    try {
+      console.log("JoinManager: Starting group join for:", members);
 
-      if (!steam_id || !auth) {
+      if (!this.credentials || !this.credentials.isReady()) {
         throw new Error("Steam ID and API auth are required");
       }
+      const steam_id = this.credentials.getSteamId();
 
-      this.joinStates[friend_id] = {
-        status: STATUS_TYPES.WAITING,
-        cancelled: false,
-        interval: null,
+      if (!(await this.ensureUserInCS2(members[0]))) return;
+
+      const order = options.order || GROUP_JOIN_ORDERS.ORDER;
+      const data = {
+        ...this.createAttemptData({ ...options, follow: false }),
+        group: [...members],
+        order,
       };
+      members.forEach((friend_id) => {
+        this.stateMachine.transition(friend_id, STATUS_TYPES.QUEUED, data);
+      });
+
+      // The whole group takes a single queue slot
+      const queued = this.queue.enqueue({
+        key: `group:${members.join(",")}#${data.attemptId}`,
+        friendIds: [...members],
+        priority: options.priority ?? JOIN_QUEUE_CONFIG.PRIORITIES.NORMAL,
+        run: () => this.runGroupJoin(members, steam_id, order, data.attemptId),
+      });
+      if (!queued) throw new Error("The group join is already queued");
+    } catch (error) {
+      ErrorHandler.logError("JoinManager.startGroupJoin", error, { members });
+      // The members fail together as one group attempt
+      const attempt = { group: [...members], cycleStartedAt: Date.now() };
+      members.forEach((friend_id) =>
+        this.failJoin(friend_id, error.message, attempt)
+      );
+    }
+  }
 
-      if (this.onUpdateJoinButton)
-        this.onUpdateJoinButton(friend_id, STATUS_TYPES.WAITING);
-      if (this.onUpdateDot) this.onUpdateDot(friend_id, STATUS_TYPES.WAITING);
+  /**
+   * Run a queued group join once it gets a slot
+   * @param {string[]} members - Group members in the user's order of preference
+   * @param {string} steam_id - Steam ID of the user
+   * @param {string} order - One of GROUP_JOIN_ORDERS
+   * @param {number} attemptId - Attempt the queue entry was made for
+   */
+  async runGroupJoin(members, steam_id, order, attemptId) {
+    // Members cancelled (or joined again) while queued are left out
+    const queued = members.filter(
+      (friend_id) =>
+        this.stateMachine.getStatus(friend_id) === STATUS_TYPES.QUEUED &&
+        this.isCurrentAttempt(friend_id, attemptId)
+    );
+    if (!queued.length) return;
 
-      // Setup periodic UI updates
-      this.joinStates[friend_id].interval = setInterval(() => {
-        const currentState = this.joinStates[friend_id];
-        if (currentState) {
-          if (this.onUpdateDot)
-            this.onUpdateDot(friend_id, currentState.status);
-          if (this.onUpdateJoinButton)
-            this.onUpdateJoinButton(friend_id, currentState.status);
+    try {
+      await SteamServiceClient.invalidateCache("GetPlayerLinkDetails");
 
-          if (
-            currentState.status === STATUS_TYPES.JOINED ||
-            currentState.status === STATUS_TYPES.CANCELLED
-          ) {
-            clearInterval(currentState.interval);
-          }
-        }
-      }, 1000);
+      queued.forEach((friend_id) => {
+        this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING, {
+          queuePosition: 0,
+        });
+      });
 
-      // Start the join loop
-      await this.joinLoop(friend_id, steam_id, auth);
+      await this.groupJoinLoop(queued, steam_id, order, attemptId);
     } catch (error) {
-      ErrorHandler.logError("JoinManager.startJoin", error, { friend_id });
-      this.cancelJoin(friend_id);
+      ErrorHandler.logError("JoinManager.runGroupJoin", error, { members });
+      queued.forEach((friend_id) => this.failJoin(friend_id, error.message));
+    }
+  }
+
+  /**
+   * Check that the user is in CS2, offering to launch it otherwise
+   * @param {string} friend_id - Steam ID of the friend about to be joined
+   * @returns {Promise<boolean>} - False when the user declined to launch CS2
+   */
+  async ensureUserInCS2(friend_id) {
+    if (!this.cs2Manager) return true;
+
+    console.log("JoinManager: Checking if user is in CS2...");
+    const isInCS2 = await this.cs2Manager.checkUserInCS2();
+    console.log("JoinManager: User in CS2 check result:", isInCS2);
+
+    if (isInCS2) {
+      console.log("JoinManager: User already in CS2, proceeding with join...");
+      return true;
+    }
+
+    console.log("JoinManager: User not in CS2, requesting launch...");
+    // Request CS2 launch from UI layer
+    if (this.onRequestCS2Launch) {
+      const shouldLaunch = await this.onRequestCS2Launch(friend_id);
+      console.log("JoinManager: Launch request result:", shouldLaunch);
+      if (!shouldLaunch) {
+        // User cancelled, don't proceed with join
+        console.log("JoinManager: User cancelled launch, aborting join");
+        return false;
+      }
+      // CS2 launch notification will handle waiting for CS2 to start
     }
+    return true;
   }
 
   /**
    * The main loop for joining a friend's game
    * @param {string} friend_id - Steam ID of the friend to join
    * @param {string} user_steam_id - Steam ID of the user
-   * @param {string} auth - API key or token for Steam API
+   * @param {number} attemptId - Attempt the loop runs; it ends once the attempt is replaced
    */
-  async joinLoop(friend_id, user_steam_id, auth) {
+  async joinLoop(friend_id, user_steam_id, attemptId) {
     let missingSince = null;
     let lastKnownPersona = null;
     let lastKnownAvatar = null;
+    // Friend presence must be at most one iteration old
+    const freshOptions = { maxAgeMs: API_CONFIG.JOIN_LOOP_INTERVAL_MS };
+
+    while (this.isCurrentAttempt(friend_id, attemptId)) {
+      if (this.stateMachine.getStatus(friend_id) === STATUS_TYPES.FOLLOWING) {
+        missingSince = null;
+        // The next cycle starts on a new server, poll it fast again
+        pollScheduler.forget(friend_id);
+        await this.followStep(friend_id, user_steam_id);
+        continue;
+      }
+
+      const limitReason = this.getLimitReason(friend_id);
+      if (limitReason) {
+        this.failJoin(friend_id, limitReason);
+        break;
+      }
 
-    while (
-      this.joinStates[friend_id] &&
-      !this.joinStates[friend_id].cancelled
-    ) {
       try {
-        // Check if user is still in CS2 during the connection process
-        if (this.cs2Manager) {
-          const isUserInCS2 = await this.cs2Manager.checkUserInCS2();
-          if (!isUserInCS2) {
-            console.log(
-              "JoinManager: User no longer in CS2, stopping join process for:",
-              friend_id
-            );
-            this.cancelJoin(friend_id);
-            break;
-          }
+        // Run the per-iteration lookups concurrently so the steam layer
+        // can coalesce them into a single GetPlayerLinkDetails request
+        const [isUserInCS2, isInCompetitiveOrPremier, [candidate]] =
+          await Promise.all([
+            this.cs2Manager ? this.cs2Manager.checkUserInCS2() : true,
+            this.cs2Manager
+              ? this.cs2Manager.checkUserInCompetitiveOrPremier()
+              : false,
+            // Try to get connect info (and score) for the friend
+            SteamServiceClient.getJoinCandidates([friend_id], freshOptions),
+          ]);
+        // Cancelled (and maybe joined again) while the lookups ran
+        if (!this.isCurrentAttempt(friend_id, attemptId)) break;
+
+        const currentConnect = candidate?.connect || null;
+        pollScheduler.observe(friend_id, {
+          connect: currentConnect,
+          score: candidate?.game_score ?? null,
+        });
+        const holdReason = this.updateServerInfo(friend_id, candidate);
 
-          // Check if user is in Competitive or Premier mode
-          const isInCompetitiveOrPremier =
-            await this.cs2Manager.checkUserInCompetitiveOrPremier();
-          if (isInCompetitiveOrPremier) {
-            console.log(
-              "JoinManager: User is in Competitive/Premier mode, stopping join process for:",
-              friend_id
-            );
-            this.cancelJoin(friend_id);
-            break;
-          }
+        // Check if user is still in CS2 during the connection process
+        if (!isUserInCS2) {
+          console.log(
+            "JoinManager: User no longer in CS2, stopping join process for:",
+            friend_id
+          );
+          this.failJoin(friend_id, "You are no longer in CS2");
+          break;
         }
 
-        // Try to get connect info for the friend
-        const currentConnect = await SteamAPI.getFriendConnectInfo(
-          friend_id,
-          auth
-        );
+        // Check if user is in Competitive or Premier mode
+        if (isInCompetitiveOrPremier) {
+          console.log(
+            "JoinManager: User is in Competitive/Premier mode, stopping join process for:",
+            friend_id
+          );
+          this.failJoin(friend_id, "You are in Competitive or Premier");
+          break;
+        }
 
         if (!currentConnect) {
           // Check if the friend is still in casual
-          const statuses = await SteamAPI.getFriendsStatuses([friend_id], auth);
+          const statuses = await SteamServiceClient.getFriendsStatuses([
+            friend_id,
+          ]);
           const friendStatus = statuses && statuses.length ? statuses[0] : null;
           if (!friendStatus || !friendStatus.in_casual_mode) {
             // Friend is not in supported mode - mark as "missing"
             if (!missingSince) {
               missingSince = Date.now();
+              const state = this.stateMachine.get(friend_id);
               lastKnownPersona =
-                friendStatus?.personaname ||
-                this.joinStates[friend_id]?.personaname ||
-                "Unknown";
-              lastKnownAvatar =
-                friendStatus?.avatar ||
-                this.joinStates[friend_id]?.avatar ||
-                "";
+                friendStatus?.personaname || state?.personaname || "Unknown";
+              lastKnownAvatar = friendStatus?.avatar || state?.avatar || "";
             }
 
-            this.updateJoinState(friend_id, {
-              status: STATUS_TYPES.MISSING,
+            this.stateMachine.transition(friend_id, STATUS_TYPES.MISSING, {
               personaname: lastKnownPersona,
               avatar: lastKnownAvatar,
             });
 
-            // If missing for more than timeout, cancel
+            // If missing for more than timeout, give up
             if (Date.now() - missingSince > API_CONFIG.MISSING_TIMEOUT_MS) {
-              this.cancelJoin(friend_id);
+              this.failJoin(friend_id, "Friend left the supported mode");
               break;
             }
           } else {
@@ -192,96 +516,337 @@ class JoinManager {
             missingSince = null;
             lastKnownPersona = friendStatus.personaname;
             lastKnownAvatar = friendStatus.avatar;
-            this.updateJoinState(friend_id, { status: STATUS_TYPES.WAITING });
+            this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING);
           }
 
-          await this.sleep(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+          await pollScheduler.wait(friend_id);
+          continue;
+        }
+
+        // Joinable, but the match does not pass the join filters
+        if (holdReason) {
+          this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING);
+          await pollScheduler.wait(friend_id);
           continue;
         }
 
         // We have connect info, try to join
-        this.updateJoinState(friend_id, { status: STATUS_TYPES.CONNECTING });
+        if (
+          await this.attemptConnect(friend_id, currentConnect, user_steam_id)
+        ) {
+          await this.completeJoin(friend_id);
+          continue;
+        }
 
-        // Attempt to join via Steam protocol
-        const url = `steam://rungame/730/${friend_id}/${currentConnect}`;
-        window.open(url, "_self");
+        await pollScheduler.wait(friend_id);
+      } catch (error) {
+        ErrorHandler.logError("JoinManager.joinLoop", error, {
+          friend_id,
+          user_steam_id,
+        });
+        await pollScheduler.wait(friend_id);
+      }
+    }
 
-        await this.sleep(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+    pollScheduler.forget(friend_id);
+  }
 
-        // Check if user has joined the same server as the friend
-        const [userServer, friendServer] = await Promise.all([
-          SteamAPI.getUserGameServerSteamId(user_steam_id, auth),
-          SteamAPI.getUserGameServerSteamId(friend_id, auth),
-        ]);
+  /**
+   * The loop for joining the first group member with a free slot
+   * @param {string[]} members - Group members in the user's order of preference
+   * @param {string} user_steam_id - Steam ID of the user
+   * @param {string} order - One of GROUP_JOIN_ORDERS
+   * @param {number} attemptId - Attempt the loop runs; members joined again since are left out
+   */
+  async groupJoinLoop(members, user_steam_id, order, attemptId) {
+    const missingSince = new Map();
+    const holdReasons = new Map();
+    const freshOptions = { maxAgeMs: API_CONFIG.JOIN_LOOP_INTERVAL_MS };
 
-        if (userServer && friendServer && userServer === friendServer) {
-          this.updateJoinState(friend_id, { status: STATUS_TYPES.JOINED });
+    const isActive = (friend_id) => this.isCurrentAttempt(friend_id, attemptId);
 
-          // Stop all other join loops
-          this.cancelAllExcept(friend_id);
+    while (members.some(isActive)) {
+      members.filter(isActive).forEach((friend_id) => {
+        const limitReason = this.getLimitReason(friend_id);
+        if (limitReason) this.failJoin(friend_id, limitReason);
+      });
 
-          // Keep the green status for a bit before resetting
-          await this.sleep(API_CONFIG.JOIN_SUCCESS_DISPLAY_MS);
-          this.cancelJoin(friend_id);
+      let active = members.filter(isActive);
+      if (!active.length) break;
+
+      try {
+        const [isUserInCS2, isInCompetitiveOrPremier, candidates] =
+          await Promise.all([
+            this.cs2Manager ? this.cs2Manager.checkUserInCS2() : true,
+            this.cs2Manager
+              ? this.cs2Manager.checkUserInCompetitiveOrPremier()
+              : false,
+            // One batched request for every member still in the race
+            SteamServiceClient.getJoinCandidates(active, freshOptions),
+          ]);
+        // Members cancelled (and maybe joined again) while the lookups ran
+        active = active.filter(isActive);
+        if (!active.length) break;
+
+        if (!isUserInCS2 || isInCompetitiveOrPremier) {
+          const reason = isUserInCS2
+            ? "You are in Competitive or Premier"
+            : "You are no longer in CS2";
+          active.forEach((friend_id) => this.failJoin(friend_id, reason));
           break;
         }
 
-        await this.sleep(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+        const candidatesById = new Map(candidates.map((c) => [c.steamid, c]));
+        active.forEach((friend_id) => {
+          const candidate = candidatesById.get(friend_id);
+          pollScheduler.observe(friend_id, {
+            connect: candidate?.connect || null,
+            score: candidate?.game_score ?? null,
+          });
+          holdReasons.set(
+            friend_id,
+            this.updateServerInfo(friend_id, candidate)
+          );
+
+          if (candidate?.in_casual_mode) {
+            missingSince.delete(friend_id);
+            this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING);
+            return;
+          }
+
+          if (!missingSince.has(friend_id)) {
+            missingSince.set(friend_id, Date.now());
+          }
+          this.stateMachine.transition(friend_id, STATUS_TYPES.MISSING);
+          if (
+            Date.now() - missingSince.get(friend_id) >
+            API_CONFIG.MISSING_TIMEOUT_MS
+          ) {
+            this.failJoin(friend_id, "Friend left the supported mode");
+          }
+        });
+
+        const [target] = this.rankJoinCandidates(
+          active
+            .map((friend_id) => candidatesById.get(friend_id))
+            .filter(
+              (c) =>
+                c?.connect && !holdReasons.get(c.steamid) && isActive(c.steamid)
+            ),
+          members,
+          order
+        );
+
+        if (!target) {
+          await pollScheduler.wait(members.filter(isActive));
+          continue;
+        }
+
+        if (
+          await this.attemptConnect(
+            target.steamid,
+            target.connect,
+            user_steam_id
+          )
+        ) {
+          await this.completeJoin(target.steamid);
+          break;
+        }
+
+        // No slot yet; let every member compete again next round
+        this.stateMachine.transition(target.steamid, STATUS_TYPES.WAITING);
+        await pollScheduler.wait(members.filter(isActive));
       } catch (error) {
-        ErrorHandler.logError("JoinManager.joinLoop", error, {
-          friend_id,
+        ErrorHandler.logError("JoinManager.groupJoinLoop", error, {
+          members,
           user_steam_id,
         });
-        await this.sleep(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+        await pollScheduler.wait(members.filter(isActive));
       }
     }
 
-    // Ensure final state is set
+    members.forEach((friend_id) => pollScheduler.forget(friend_id));
+  }
+
+  /**
+   * Order joinable group members by the chosen order
+   * @param {import('../shared/types.js').JoinCandidate[]} candidates - Members with a connect string
+   * @param {string[]} members - Group members in the user's order of preference
+   * @param {string} order - One of GROUP_JOIN_ORDERS
+   * @returns {import('../shared/types.js').JoinCandidate[]} - Candidates, best first
+   */
+  rankJoinCandidates(candidates, members, order) {
+    const byOrder = (a, b) =>
+      members.indexOf(a.steamid) - members.indexOf(b.steamid);
+
+    if (order !== GROUP_JOIN_ORDERS.FEWEST_PLAYERS) {
+      return [...candidates].sort(byOrder);
+    }
+
+    // Unknown player counts go last
+    const players = (c) => c.num_players ?? Infinity;
+    return [...candidates].sort(
+      (a, b) => players(a) - players(b) || byOrder(a, b)
+    );
+  }
+
+  /**
+   * Open a friend's connect string and verify the user landed on their server
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {string} connect - Connect string of the friend's server
+   * @param {string} user_steam_id - Steam ID of the user
+   * @returns {Promise<boolean>} - Whether the user is on the friend's server
+   */
+  async attemptConnect(friend_id, connect, user_steam_id) {
+    const attempts = (this.stateMachine.get(friend_id)?.attempts || 0) + 1;
     if (
-      this.joinStates[friend_id] &&
-      this.joinStates[friend_id].status !== STATUS_TYPES.JOINED
+      !this.stateMachine.transition(friend_id, STATUS_TYPES.CONNECTING, {
+        attempts,
+      })
     ) {
-      this.updateJoinState(friend_id, { status: STATUS_TYPES.CANCELLED });
+      return false;
     }
+
+    // Attempt to join via Steam protocol
+    const url = `steam://rungame/730/${friend_id}/${connect}`;
+    const openedAt = Date.now();
+    window.open(url, "_self");
+
+    await this.sleep(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+    if (!this.stateMachine.transition(friend_id, STATUS_TYPES.VERIFYING)) {
+      return false;
+    }
+
+    const outcome = await this.verifier.verify(
+      friend_id,
+      user_steam_id,
+      openedAt
+    );
+    return outcome === JOIN_OUTCOMES.JOINED;
   }
 
   /**
-   * Update join state for a friend
-   * @param {string} friend_id - Steam ID of the friend
-   * @param {Partial<import('../shared/types.js').JoinState>} updates - State updates
+   * Mark a join as successful and stop the other attempts
+   * Follow mode continues with the following status outside the join queue,
+   * otherwise the friend returns to idle after the success display.
+   * @param {string} friend_id - Steam ID of the joined friend
    */
-  updateJoinState(friend_id, updates) {
-    if (this.joinStates[friend_id]) {
-      Object.assign(this.joinStates[friend_id], updates);
+  async completeJoin(friend_id) {
+    this.stateMachine.transition(friend_id, STATUS_TYPES.JOINED);
+    const { attemptId } = this.stateMachine.get(friend_id) || {};
+
+    // Stop all other join loops
+    this.cancelAllExcept(friend_id);
+
+    // Keep the green status for a bit before resetting
+    await this.sleep(API_CONFIG.JOIN_SUCCESS_DISPLAY_MS);
+    // Cancelled (or reset) while the success was shown: do not start following
+    if (this.stateMachine.getStatus(friend_id) !== STATUS_TYPES.JOINED) return;
+
+    if (!this.stateMachine.get(friend_id)?.follow) {
+      this.stateMachine.transition(friend_id, STATUS_TYPES.IDLE);
+      return;
+    }
+
+    // Following can last all session: let queued joins have the slot
+    this.stateMachine.transition(friend_id, STATUS_TYPES.FOLLOWING);
+    this.queue.release(`${friend_id}#${attemptId}`);
+  }
+
+  /**
+   * One follow mode check after a successful join
+   * Starts a new join cycle when the friend is on a different supported
+   * server than the user; stops when the user leaves CS2.
+   * @param {string} friend_id - Steam ID of the followed friend
+   * @param {string} user_steam_id - Steam ID of the user
+   */
+  async followStep(friend_id, user_steam_id) {
+    try {
+      await pollScheduler.acquire();
+      const isUserInCS2 = this.cs2Manager
+        ? await this.cs2Manager.checkUserInCS2()
+        : true;
+      if (!isUserInCS2) {
+        console.log(
+          "JoinManager: User left CS2, stopping follow for:",
+          friend_id
+        );
+        this.failJoin(friend_id, "You are no longer in CS2");
+        return;
+      }
+
+      const [userServer, friendServer] = await Promise.all([
+        SteamServiceClient.getUserGameServerSteamId(user_steam_id),
+        SteamServiceClient.getUserGameServerSteamId(friend_id),
+      ]);
+
+      // Between matches the friend has no server; keep following
+      if (friendServer && friendServer !== userServer) {
+        const statuses = await SteamServiceClient.getFriendsStatuses([
+          friend_id,
+        ]);
+        if (statuses?.[0]?.in_casual_mode) {
+          console.log(
+            "JoinManager: Followed friend moved to another server:",
+            friend_id
+          );
+          await SteamServiceClient.invalidateCache("GetPlayerLinkDetails");
+
+          // Each new cycle gets a fresh deadline and retry budget
+          const { deadlineMs } = this.stateMachine.get(friend_id) || {};
+          this.stateMachine.transition(friend_id, STATUS_TYPES.WAITING, {
+            cycleStartedAt: Date.now(),
+            attempts: 0,
+            deadlineAt: Date.now() + (deadlineMs || 0),
+          });
+          return;
+        }
+      }
+    } catch (error) {
+      ErrorHandler.logError("JoinManager.followStep", error, { friend_id });
     }
+
+    await this.sleep(API_CONFIG.FOLLOW_POLL_INTERVAL_MS);
   }
 
   /**
    * Cancel an ongoing join attempt
    * @param {string} friend_id - Steam ID of the friend whose join attempt to cancel
+   * @param {string} [cause] - What cancelled it, one of CANCEL_CAUSES
    */
-  cancelJoin(friend_id) {
-    const state = this.joinStates[friend_id];
-    if (!state) return;
-
-    if (state.interval) {
-      clearInterval(state.interval);
+  cancelJoin(friend_id, cause = CANCEL_CAUSES.USER) {
+    const status = this.stateMachine.getStatus(friend_id);
+    if (
+      !this.stateMachine.isActive(friend_id) &&
+      status !== STATUS_TYPES.JOINED
+    ) {
+      return;
     }
-    this.updateJoinState(friend_id, {
-      status: STATUS_TYPES.CANCELLED,
-      cancelled: true,
+    this.queue.remove(friend_id);
+    this.stateMachine.transition(friend_id, STATUS_TYPES.CANCELLED, {
+      cancelCause: cause,
     });
+  }
 
-    if (this.onUpdateDot) this.onUpdateDot(friend_id, STATUS_TYPES.CANCELLED);
-    if (this.onUpdateJoinButton)
-      this.onUpdateJoinButton(friend_id, STATUS_TYPES.CANCELLED);
-
-    // Reset button and dot after a short time
-    setTimeout(() => {
-      if (this.onUpdateDot) this.onUpdateDot(friend_id, STATUS_TYPES.CANCELLED);
-      if (this.onUpdateJoinButton)
-        this.onUpdateJoinButton(friend_id, STATUS_TYPES.CANCELLED);
-    }, 200);
+  /**
+   * Stop a join attempt that cannot continue (or could not start)
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {string} reason - Why the attempt failed
+   * @param {Partial<import('../shared/types.js').JoinState>} [data] - Extra state for the failed attempt
+   */
+  failJoin(friend_id, reason, data = {}) {
+    const status = this.stateMachine.getStatus(friend_id);
+    if (
+      !this.stateMachine.isActive(friend_id) &&
+      status !== STATUS_TYPES.IDLE
+    ) {
+      return;
+    }
+    this.queue.remove(friend_id);
+    this.stateMachine.transition(friend_id, STATUS_TYPES.FAILED, {
+      ...data,
+      reason,
+    });
   }
 
   /**
@@ -289,31 +854,63 @@ class JoinManager {
    * @param {string} exceptFriendId - Friend ID to exclude from cancellation
    */
   cancelAllExcept(exceptFriendId) {
-    Object.keys(this.joinStates).forEach((friendId) => {
+    Object.keys(this.stateMachine.getAll()).forEach((friendId) => {
       if (friendId !== exceptFriendId) {
-        this.cancelJoin(friendId);
+        this.cancelJoin(friendId, CANCEL_CAUSES.OTHER_JOINED);
       }
     });
   }
 
   /**
    * Get the current join states for all tracked friends
-   * @returns {Object} - Copy of the joinStates object
+   * @returns {Object<string, import('../shared/types.js').JoinState>} - Copies of the join states
    */
   getJoinStates() {
-    return { ...this.joinStates };
+    return this.stateMachine.getAll();
+  }
+
+  /**
+   * Describe the running joins so they can be started again after a restart
+   * Group members are listed once, in the group's order of preference.
+   * @returns {import('../shared/types.js').ResumableJoin[]} - Active joins and follows
+   */
+  getResumableJoins() {
+    const joins = [];
+    const seenGroups = new Set();
+
+    Object.entries(this.stateMachine.getAll()).forEach(([friendId, state]) => {
+      // A followed friend stays a target while the join success is shown
+      const isFollowTarget =
+        state.follow && state.status === STATUS_TYPES.JOINED;
+      if (!this.stateMachine.isActive(friendId) && !isFollowTarget) return;
+
+      let friendIds = [friendId];
+      if (state.group) {
+        const key = state.group.join(",");
+        if (seenGroups.has(key)) return;
+        seenGroups.add(key);
+        friendIds = state.group.filter((id) => this.stateMachine.isActive(id));
+      }
+
+      joins.push({
+        friend_ids: friendIds,
+        follow: !!state.follow,
+        priority: state.priority ?? JOIN_QUEUE_CONFIG.PRIORITIES.NORMAL,
+        filters: state.filters || null,
+        order: state.group ? state.order : null,
+      });
+    });
+
+    return joins;
   }
 
   /**
    * Reset all join states and stop all join loops
    */
   resetAll() {
-    Object.keys(this.joinStates).forEach((friendId) => {
-      const state = this.joinStates[friendId];
-      if (state?.interval) {
-        clearInterval(state.interval);
-      }
-      delete this.joinStates[friendId];
+    this.queue.clear();
+    Object.keys(this.stateMachine.getAll()).forEach((friendId) => {
+      this.stateMachine.reset(friendId, { cancelCause: CANCEL_CAUSES.RESET });
     });
   }
 
@@ -324,14 +921,6 @@ class JoinManager {
    */
   sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
-  } /**
-   * Set UI update callbacks
-   * @param {Function} onUpdateDot - Callback for updating status dot
-   * @param {Function} onUpdateJoinButton - Callback for updating join button
-   */
-  setUICallbacks(onUpdateDot, onUpdateJoinButton) {
-    this.onUpdateDot = onUpdateDot;
-    this.onUpdateJoinButton = onUpdateJoinButton;
   }
 
   /**
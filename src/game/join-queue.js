@@ -0,0 +1,146 @@
+// Shared constants
+import { JOIN_QUEUE_CONFIG } from "../shared/constants.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Join queue
+ * Runs at most `maxConcurrent` join attempts at once and keeps the rest
+ * waiting in priority order (higher first, then first come first served).
+ */
+class JoinQueue {
+  /**
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.maxConcurrent] - Attempts allowed to run at once
+   * @param {Function} [options.onChange] - Called after the queue order changes
+   */
+  constructor(options = {}) {
+    this.maxConcurrent =
+      options.maxConcurrent ?? JOIN_QUEUE_CONFIG.MAX_CONCURRENT_ATTEMPTS;
+    this.onChange = options.onChange || null;
+    this.pending = [];
+    // Running attempts by key
+    this.running = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Add an attempt to the queue, starting it right away if a slot is free
+   * @param {Object} entry - Queue entry
+   * @param {string} entry.key - Unique key of the attempt
+   * @param {string[]} entry.friendIds - Friends the attempt is for
+   * @param {Function} entry.run - Starts the attempt, resolves when it ends
+   * @param {number} [entry.priority=0] - Higher runs first
+   * @returns {boolean} - False if an attempt with the same key is queued or running
+   */
+  enqueue({ key, friendIds, run, priority = 0 }) {
+    if (this.running.has(key) || this.pending.some((e) => e.key === key)) {
+      return false;
+    }
+
+    this.pending.push({ key, friendIds, run, priority, seq: this.sequence++ });
+    this.pending.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Take a friend out of the waiting attempts
+   * Group attempts keep their other members; attempts left empty are dropped.
+   * Running attempts end on their own once their join state is no longer active.
+   * @param {string} friendId - Friend Steam ID
+   * @returns {boolean} - Whether a waiting attempt included the friend
+   */
+  remove(friendId) {
+    const entry = this.pending.find((e) => e.friendIds.includes(friendId));
+    if (!entry) return false;
+
+    entry.friendIds = entry.friendIds.filter((id) => id !== friendId);
+    if (!entry.friendIds.length) {
+      this.pending = this.pending.filter((e) => e !== entry);
+    }
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Give up the slot of a running attempt that keeps going without one
+   * The attempt is no longer counted; when it ends nothing else changes.
+   * @param {string} key - Key of the running attempt
+   * @returns {boolean} - Whether a running attempt had the key
+   */
+  release(key) {
+    if (!this.running.delete(key)) return false;
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Drop every waiting attempt
+   */
+  clear() {
+    if (!this.pending.length) return;
+    this.pending = [];
+    this._notify();
+  }
+
+  /**
+   * Get the queue position of a friend's waiting attempt
+   * @param {string} friendId - Friend Steam ID
+   * @returns {number} - 1-based position, 0 if not waiting
+   */
+  getPosition(friendId) {
+    return this.pending.findIndex((e) => e.friendIds.includes(friendId)) + 1;
+  }
+
+  /**
+   * Get queue counters
+   * @returns {{running: number, waiting: number, maxConcurrent: number}}
+   */
+  getStatus() {
+    return {
+      running: this.running.size,
+      waiting: this.pending.length,
+      maxConcurrent: this.maxConcurrent,
+    };
+  }
+
+  /**
+   * Start waiting attempts while slots are free
+   * @private
+   */
+  _pump() {
+    while (this.running.size < this.maxConcurrent && this.pending.length) {
+      const entry = this.pending.shift();
+      this.running.set(entry.key, entry);
+
+      Promise.resolve()
+        .then(() => entry.run())
+        .catch((error) => {
+          logger.error("JoinQueue", "Join attempt failed", {
+            key: entry.key,
+            error: error.message,
+          });
+        })
+        .finally(() => {
+          // A released key may belong to a newer attempt by now
+          if (this.running.get(entry.key) === entry) {
+            this.running.delete(entry.key);
+          }
+          this._pump();
+        });
+    }
+    this._notify();
+  }
+
+  /**
+   * Tell the owner that queue positions may have changed
+   * @private
+   */
+  _notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+export default JoinQueue;
@@ -0,0 +1,250 @@
+// Shared constants
+import { STATUS_TYPES, ACTIVE_STATUS_TYPES } from "../shared/constants.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Allowed transitions per status
+ * idle → queued → waiting → connecting → verifying → joined, with missing while the
+ * friend is out of a supported mode and cancelled / failed as terminal states.
+ * In follow mode joined leads to following, which restarts at waiting when
+ * the friend moves to another server; a follow can be cancelled while the
+ * join success is still shown.
+ */
+const TRANSITIONS = {
+  [STATUS_TYPES.IDLE]: [
+    STATUS_TYPES.QUEUED,
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.QUEUED]: [
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.WAITING]: [
+    STATUS_TYPES.CONNECTING,
+    STATUS_TYPES.MISSING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.MISSING]: [
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.CONNECTING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.CONNECTING]: [
+    STATUS_TYPES.VERIFYING,
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.MISSING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.VERIFYING]: [
+    STATUS_TYPES.JOINED,
+    STATUS_TYPES.CONNECTING,
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.MISSING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.JOINED]: [
+    STATUS_TYPES.IDLE,
+    STATUS_TYPES.FOLLOWING,
+    STATUS_TYPES.CANCELLED,
+  ],
+  [STATUS_TYPES.FOLLOWING]: [
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.CANCELLED,
+    STATUS_TYPES.FAILED,
+  ],
+  [STATUS_TYPES.CANCELLED]: [
+    STATUS_TYPES.IDLE,
+    STATUS_TYPES.QUEUED,
+    STATUS_TYPES.WAITING,
+  ],
+  [STATUS_TYPES.FAILED]: [
+    STATUS_TYPES.IDLE,
+    STATUS_TYPES.QUEUED,
+    STATUS_TYPES.WAITING,
+  ],
+};
+
+/**
+ * Join state machine
+ * Tracks one join attempt per friend and dispatches a "transition" event
+ * (detail: {friendId, from, to, state}) for every status change.
+ */
+class JoinStateMachine extends EventTarget {
+  constructor() {
+    super();
+    this.states = new Map();
+  }
+
+  /**
+   * Check if a status belongs to a running join attempt
+   * @param {string} status - Join status
+   * @returns {boolean} - True for queued, waiting, connecting, verifying, missing and following
+   */
+  static isActiveStatus(status) {
+    return ACTIVE_STATUS_TYPES.includes(status);
+  }
+
+  /**
+   * Check if a transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean} - Whether the transition is allowed
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Get the status of a friend's join attempt
+   * @param {string} friendId - Friend Steam ID
+   * @returns {string} - Join status (idle when untracked)
+   */
+  getStatus(friendId) {
+    return this.states.get(friendId)?.status || STATUS_TYPES.IDLE;
+  }
+
+  /**
+   * Get a copy of a friend's join state
+   * @param {string} friendId - Friend Steam ID
+   * @returns {import('../shared/types.js').JoinState|null} - Join state or null
+   */
+  get(friendId) {
+    const state = this.states.get(friendId);
+    return state ? { ...state } : null;
+  }
+
+  /**
+   * Get copies of all tracked join states
+   * @returns {Object<string, import('../shared/types.js').JoinState>} - Join states by friend Steam ID
+   */
+  getAll() {
+    return Object.fromEntries(
+      [...this.states].map(([friendId, state]) => [friendId, { ...state }])
+    );
+  }
+
+  /**
+   * Check if a friend's join attempt is running
+   * @param {string} friendId - Friend Steam ID
+   * @returns {boolean} - Whether the attempt is active
+   */
+  isActive(friendId) {
+    return JoinStateMachine.isActiveStatus(this.getStatus(friendId));
+  }
+
+  /**
+   * Move a friend's join attempt to a new status
+   * Transitions to the current status merge data and emit an event (with
+   * from === to) only when a value actually changed.
+   * @param {string} friendId - Friend Steam ID
+   * @param {string} to - Target status
+   * @param {Partial<import('../shared/types.js').JoinState>} [data] - Extra state (reason, personaname, ...)
+   * @returns {boolean} - Whether the transition was applied
+   */
+  transition(friendId, to, data = {}) {
+    const current = this.states.get(friendId);
+    const from = current?.status || STATUS_TYPES.IDLE;
+
+    if (from === to) {
+      if (!current) return true;
+
+      const changed = Object.keys(data).some(
+        (key) => current[key] !== data[key]
+      );
+      if (changed) {
+        Object.assign(current, data, { updatedAt: Date.now() });
+        this._emit(friendId, from, to, current);
+      }
+      return true;
+    }
+
+    if (!JoinStateMachine.canTransition(from, to)) {
+      logger.warn("JoinStateMachine", `Rejected transition ${from} → ${to}`, {
+        friendId,
+      });
+      return false;
+    }
+
+    const now = Date.now();
+    const state = {
+      ...current,
+      ...data,
+      status: to,
+      startedAt: from === STATUS_TYPES.IDLE ? now : current?.startedAt || now,
+      updatedAt: now,
+    };
+
+    if (to === STATUS_TYPES.IDLE) {
+      this.states.delete(friendId);
+    } else {
+      this.states.set(friendId, state);
+    }
+
+    this._emit(friendId, from, to, state);
+    return true;
+  }
+
+  /**
+   * Dispatch a transition event
+   * @param {string} friendId - Friend Steam ID
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   * @param {import('../shared/types.js').JoinState} state - New state
+   * @private
+   */
+  _emit(friendId, from, to, state) {
+    this.dispatchEvent(
+      new CustomEvent("transition", {
+        detail: { friendId, from, to, state: { ...state } },
+      })
+    );
+  }
+
+  /**
+   * Return a friend to idle regardless of the current status
+   * Used when join states are discarded (e.g. credentials changed).
+   * @param {string} friendId - Friend Steam ID
+   * @param {Partial<import('../shared/types.js').JoinState>} [data] - Extra state for the cancellation of an active attempt
+   */
+  reset(friendId, data = {}) {
+    const from = this.getStatus(friendId);
+    if (from === STATUS_TYPES.IDLE) return;
+
+    if (JoinStateMachine.isActiveStatus(from)) {
+      this.transition(friendId, STATUS_TYPES.CANCELLED, data);
+    }
+    if (this.getStatus(friendId) !== STATUS_TYPES.IDLE) {
+      this.transition(friendId, STATUS_TYPES.IDLE);
+    }
+  }
+
+  /**
+   * Subscribe to transitions
+   * @param {Function} callback - Called with the transition detail
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    const listener = (event) => {
+      try {
+        callback(event.detail);
+      } catch (error) {
+        logger.error("JoinStateMachine", "Error in transition subscriber", {
+          error: error.message,
+        });
+      }
+    };
+
+    this.addEventListener("transition", listener);
+    return () => this.removeEventListener("transition", listener);
+  }
+}
+
+export default JoinStateMachine;
@@ -0,0 +1,242 @@
+// Shared constants
+import {
+  GAME_MODES,
+  JOIN_OUTCOMES,
+  JOIN_VERIFY_CONFIG,
+  PRESENCE_PHASES,
+  STATUS_TYPES,
+} from "../shared/constants.js";
+
+// Game modules
+import pollScheduler from "./poll-scheduler.js";
+
+// UI and utilities
+import SteamServiceClient from "../steam/steam-service-client.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Join verifier
+ * Watches the user's presence after a connect was opened until they have
+ * been on the friend's server for REQUIRED_SAMPLES samples in a row, or the
+ * attempt clearly failed. The outcome is recorded on the join state.
+ * A failure CS2 writes to its console log ends the attempt at once.
+ */
+class JoinVerifier {
+  /**
+   * @param {import('./join-state-machine.js').default} stateMachine - Join states to report to
+   */
+  constructor(stateMachine) {
+    this.stateMachine = stateMachine;
+    this.getLocalState = () => null;
+    this.consoleFailure = null;
+    // Connects being verified, by friend, with the time they were opened
+    this.openedAt = new Map();
+    this.wakers = new Set();
+  }
+
+  /**
+   * Report a connect failure read from the CS2 console log
+   * It ends the verification of the connect opened last before it.
+   * @param {import('../shared/types.js').ConsoleEvent} event - server_full or connection_failed event
+   */
+  reportConsoleFailure(event) {
+    this.consoleFailure = event;
+    this.wakers.forEach((wake) => wake());
+  }
+
+  /**
+   * Get the console failure that belongs to a friend's connect
+   * @param {string} friend_id - Steam ID of the friend
+   * @returns {import('../shared/types.js').ConsoleEvent|null} - Failure, or null
+   * @private
+   */
+  _getConsoleFailure(friend_id) {
+    const failure = this.consoleFailure;
+    const openedAt = this.openedAt.get(friend_id);
+    if (!failure || openedAt === undefined || failure.at < openedAt) {
+      return null;
+    }
+
+    // CS2 runs one connect at a time: the failure is the latest one's
+    const latest = Math.max(
+      ...[...this.openedAt.values()].filter((at) => at <= failure.at)
+    );
+    return openedAt === latest ? failure : null;
+  }
+
+  /**
+   * Use the local game state when it is available
+   * @param {Function} getLocalState - Returns a fresh GameState of the user, or null
+   */
+  setLocalStateProvider(getLocalState) {
+    this.getLocalState = getLocalState;
+  }
+
+  /**
+   * Get where the user is in a connect from their presence
+   * @param {import('../shared/types.js').JoinCandidate|undefined} presence - User presence
+   * @returns {string} - One of PRESENCE_PHASES
+   */
+  static getPresencePhase(presence) {
+    if (!presence?.in_cs2) return PRESENCE_PHASES.OFFLINE;
+    if (
+      presence.game_mode === GAME_MODES.LOBBY ||
+      presence.game_mode === GAME_MODES.MENU
+    ) {
+      return PRESENCE_PHASES.LOBBY;
+    }
+    return presence.game_server_id
+      ? PRESENCE_PHASES.IN_GAME
+      : PRESENCE_PHASES.LOADING;
+  }
+
+  /**
+   * Refine a Web API presence phase with the local game state
+   * The local state shows leaving a server or returning to the menu at once;
+   * only the Web API knows which server the user is on.
+   * @param {import('../shared/types.js').GameState|null} local - Local game state
+   * @param {string} apiPhase - Phase from the user's Web API presence
+   * @returns {string} - One of PRESENCE_PHASES
+   */
+  static getLocalPresencePhase(local, apiPhase) {
+    if (!local) return apiPhase;
+    if (!local.map) return PRESENCE_PHASES.LOBBY;
+    return apiPhase === PRESENCE_PHASES.IN_GAME
+      ? PRESENCE_PHASES.IN_GAME
+      : PRESENCE_PHASES.LOADING;
+  }
+
+  /**
+   * Verify a connect attempt while the friend's join state is verifying
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {string} user_steam_id - Steam ID of the user
+   * @param {number} [openedAt] - When the connect was opened
+   * @returns {Promise<string|null>} - One of JOIN_OUTCOMES, or null if the attempt was stopped
+   */
+  async verify(friend_id, user_steam_id, openedAt = Date.now()) {
+    const deadline = Date.now() + JOIN_VERIFY_CONFIG.TIMEOUT_MS;
+    const options = { maxAgeMs: JOIN_VERIFY_CONFIG.SAMPLE_INTERVAL_MS };
+    const isVerifying = () =>
+      this.stateMachine.getStatus(friend_id) === STATUS_TYPES.VERIFYING;
+
+    const phases = [];
+    let startServer;
+    let leftStart = false;
+    let matched = 0;
+    let wrongServer = null;
+    let wrongSamples = 0;
+    let outcome = null;
+    let connectError = null;
+    this.openedAt.set(friend_id, openedAt);
+
+    while (!outcome && isVerifying()) {
+      if (Date.now() > deadline) {
+        outcome = JOIN_OUTCOMES.TIMED_OUT;
+        break;
+      }
+
+      const failure = this._getConsoleFailure(friend_id);
+      if (failure) {
+        outcome = JOIN_OUTCOMES.REJECTED;
+        connectError = failure.reason;
+        break;
+      }
+
+      try {
+        await pollScheduler.acquire();
+        const presences = await SteamServiceClient.getJoinCandidates(
+          [user_steam_id, friend_id],
+          options
+        );
+        if (!isVerifying()) break;
+
+        const byId = new Map(presences.map((p) => [p.steamid, p]));
+        const user = byId.get(user_steam_id);
+        const friendServer = byId.get(friend_id)?.game_server_id || null;
+
+        const phase = JoinVerifier.getLocalPresencePhase(
+          this.getLocalState(),
+          JoinVerifier.getPresencePhase(user)
+        );
+        if (phase !== phases.at(-1)?.phase) {
+          phases.push({ phase, at: Date.now() });
+          this.stateMachine.transition(friend_id, STATUS_TYPES.VERIFYING, {
+            presencePhase: phase,
+          });
+        }
+
+        // The first sample may still show where the user was before
+        const userServer =
+          phase === PRESENCE_PHASES.IN_GAME ? user.game_server_id : null;
+        if (startServer === undefined) startServer = userServer;
+        if (phase === PRESENCE_PHASES.LOADING || userServer !== startServer) {
+          leftStart = true;
+        }
+
+        if (phase === PRESENCE_PHASES.OFFLINE) {
+          outcome = JOIN_OUTCOMES.REJECTED;
+        } else if (userServer && userServer === friendServer) {
+          wrongSamples = 0;
+          matched += 1;
+          if (matched >= JOIN_VERIFY_CONFIG.REQUIRED_SAMPLES) {
+            outcome = JOIN_OUTCOMES.JOINED;
+          }
+        } else if (userServer && userServer !== startServer) {
+          matched = 0;
+          wrongSamples = userServer === wrongServer ? wrongSamples + 1 : 1;
+          wrongServer = userServer;
+          if (wrongSamples >= JOIN_VERIFY_CONFIG.REQUIRED_SAMPLES) {
+            outcome = JOIN_OUTCOMES.WRONG_SERVER;
+          }
+        } else {
+          matched = 0;
+          wrongSamples = 0;
+          // Back where the connect started: the server refused or was full
+          if (leftStart && phase !== PRESENCE_PHASES.LOADING) {
+            outcome = JOIN_OUTCOMES.REJECTED;
+          }
+        }
+      } catch (error) {
+        logger.warn("JoinVerifier", "Verification sample failed", {
+          friend_id,
+          error: error.message,
+        });
+      }
+
+      // Sleep until the next sample, or until CS2 reports a failure
+      if (!outcome) {
+        await new Promise((resolve) => {
+          const wake = () => {
+            clearTimeout(timer);
+            this.wakers.delete(wake);
+            resolve();
+          };
+          const timer = setTimeout(wake, JOIN_VERIFY_CONFIG.SAMPLE_INTERVAL_MS);
+          this.wakers.add(wake);
+        });
+      }
+    }
+
+    this.openedAt.delete(friend_id);
+    if (!outcome || !isVerifying()) return null;
+
+    logger.info("JoinVerifier", `Connect attempt ${outcome}`, {
+      friend_id,
+      phases: phases.map((p) => p.phase),
+      connectError,
+    });
+
+    const state = this.stateMachine.get(friend_id);
+    this.stateMachine.transition(friend_id, STATUS_TYPES.VERIFYING, {
+      outcome,
+      connectError,
+      outcomes: [
+        ...(state?.outcomes || []),
+        { outcome, phases, connectError, finishedAt: Date.now() },
+      ],
+    });
+    return outcome;
+  }
+}
+
+export default JoinVerifier;
@@ -0,0 +1,61 @@
+// Shared constants
+import { LAUNCH_CONFIG } from "../shared/constants.js";
+
+const CS2_APP_ID = 730;
+
+/**
+ * CS2 launch options
+ * Checks launch arguments typed into a launch profile and builds the Steam
+ * URLs that start CS2 with them.
+ */
+class LaunchOptions {
+  /**
+   * Split launch arguments into tokens
+   * @param {string} text - e.g. "-novid -console +exec autoexec"
+   * @returns {string[]} - Arguments
+   */
+  static parse(text) {
+    return (text || "").split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Clean up launch arguments for saving
+   * @param {string} text - Launch arguments as typed
+   * @returns {string} - Arguments separated by single spaces
+   */
+  static normalize(text) {
+    return LaunchOptions.parse(text).join(" ");
+  }
+
+  /**
+   * Explain what is wrong with launch arguments
+   * @param {string} text - Launch arguments
+   * @returns {string|null} - Problem shown to the user, or null if valid
+   */
+  static validate(text) {
+    const args = LaunchOptions.normalize(text);
+    if (args.length > LAUNCH_CONFIG.MAX_ARGS_LENGTH) {
+      return `Launch options are limited to ${LAUNCH_CONFIG.MAX_ARGS_LENGTH} characters`;
+    }
+
+    const invalid = LaunchOptions.parse(args).find(
+      (arg) => !LAUNCH_CONFIG.ARG_PATTERN.test(arg)
+    );
+    return invalid ? `Unsupported launch option: ${invalid}` : null;
+  }
+
+  /**
+   * Build the Steam URL that starts CS2 with launch arguments
+   * @param {string} [text] - Launch arguments
+   * @returns {string} - steam://run URL
+   */
+  static buildRunUrl(text = "") {
+    const args = LaunchOptions.normalize(text);
+    if (!args || LaunchOptions.validate(args)) {
+      return `steam://run/${CS2_APP_ID}/`;
+    }
+    return `steam://run/${CS2_APP_ID}//${encodeURIComponent(args)}/`;
+  }
+}
+
+export default LaunchOptions;
@@ -0,0 +1,166 @@
+// Shared constants
+import { API_CONFIG, POLL_CONFIG } from "../shared/constants.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Adaptive poll scheduler
+ * Picks the delay before each join poll from what the target is doing: fast
+ * while a connect string is up or right after the score changed (slots open
+ * when rounds end), slower the longer the server stays full. Every poll, and
+ * every auto-refresh, draws from one shared request budget.
+ */
+export class PollScheduler {
+  constructor() {
+    this.targets = new Map();
+    this.tokens = POLL_CONFIG.BUDGET_BURST;
+    this.lastRefill = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Record what a poll saw for a target
+   * @param {string} key - Target key (friend Steam ID)
+   * @param {Object} observation - Poll result
+   * @param {string|null} [observation.connect] - Connect string, if any
+   * @param {string|null} [observation.score] - Friend's current score, if known
+   */
+  observe(key, { connect = null, score = null } = {}) {
+    const now = Date.now();
+    const target = this.targets.get(key);
+    if (!target) {
+      this.targets.set(key, { score, quietSince: now });
+      return;
+    }
+
+    const scoreChanged =
+      score !== null && target.score !== null && score !== target.score;
+    if (connect || scoreChanged) {
+      target.quietSince = now;
+    }
+    if (score !== null) target.score = score;
+  }
+
+  /**
+   * Stop tracking a target once its join loop ends
+   * @param {string} key - Target key
+   */
+  forget(key) {
+    this.targets.delete(key);
+  }
+
+  /**
+   * Get the delay before the next poll of a target
+   * Starts at JOIN_LOOP_INTERVAL_MS and doubles every BACKOFF_STEP_MS of quiet
+   * time past BACKOFF_AFTER_MS, up to MAX_INTERVAL_MS.
+   * @param {string} key - Target key
+   * @returns {number} - Delay in milliseconds
+   */
+  getInterval(key) {
+    const minInterval = API_CONFIG.JOIN_LOOP_INTERVAL_MS;
+    const target = this.targets.get(key);
+    if (!target) return minInterval;
+
+    const quietMs =
+      Date.now() - target.quietSince - POLL_CONFIG.BACKOFF_AFTER_MS;
+    if (quietMs < 0) return minInterval;
+
+    const steps = Math.floor(quietMs / POLL_CONFIG.BACKOFF_STEP_MS) + 1;
+    return Math.min(POLL_CONFIG.MAX_INTERVAL_MS, minInterval * 2 ** steps);
+  }
+
+  /**
+   * Wait until the next poll is due and the budget allows it
+   * Several keys (a group join) poll at the pace of the most urgent one.
+   * @param {string|string[]} keys - Target key(s)
+   * @returns {Promise<void>}
+   */
+  async wait(keys) {
+    const intervals = [].concat(keys).map((key) => this.getInterval(key));
+    const interval = intervals.length
+      ? Math.min(...intervals)
+      : API_CONFIG.JOIN_LOOP_INTERVAL_MS;
+    await new Promise((resolve) => setTimeout(resolve, interval));
+    await this.acquire();
+  }
+
+  /**
+   * Take requests from the shared budget, waiting for it to refill if needed
+   * Callers are served in order.
+   * @param {number} [cost=1] - Requests about to be made
+   * @returns {Promise<void>}
+   */
+  acquire(cost = 1) {
+    return new Promise((resolve) => {
+      this.waiters.push({ cost, resolve });
+      this._drain();
+    });
+  }
+
+  /**
+   * Get scheduler status (for debugging)
+   * @returns {Object} - Budget and tracked targets
+   */
+  getStatus() {
+    this._refill();
+    return {
+      tokens: Math.floor(this.tokens),
+      waiting: this.waiters.length,
+      intervals: Object.fromEntries(
+        [...this.targets.keys()].map((key) => [key, this.getInterval(key)])
+      ),
+    };
+  }
+
+  /**
+   * Refill the budget based on elapsed time
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(
+      POLL_CONFIG.BUDGET_BURST,
+      this.tokens + (elapsed / 1000) * POLL_CONFIG.BUDGET_PER_SECOND
+    );
+  }
+
+  /**
+   * Serve waiting callers while the budget lasts
+   * @private
+   */
+  _drain() {
+    if (this.timer) return;
+
+    while (this.waiters.length) {
+      this._refill();
+      // Costs above the burst size would never fit; let them drain it
+      const cost = Math.min(this.waiters[0].cost, POLL_CONFIG.BUDGET_BURST);
+      if (this.tokens < cost) {
+        const waitMs = Math.ceil(
+          ((cost - this.tokens) / POLL_CONFIG.BUDGET_PER_SECOND) * 1000
+        );
+        logger.debug("PollScheduler", "Request budget exhausted", {
+          waitMs,
+          waiting: this.waiters.length,
+        });
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._drain();
+        }, waitMs);
+        return;
+      }
+
+      this.tokens -= cost;
+      this.waiters.shift().resolve();
+    }
+  }
+}
+
+// Singleton instance
+const pollScheduler = new PollScheduler();
+
+export default pollScheduler;
@@ -0,0 +1,267 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { StringDecoder } from "string_decoder";
+
+// Shared constants
+import { CONSOLE_EVENTS, CONSOLE_LOG_CONFIG } from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+
+// Readable text for the NETWORK_DISCONNECT_* codes a join can end with
+const DISCONNECT_REASONS = {
+  SERVERFULL: "Server is full",
+  BADPASSWORD: "Wrong server password",
+  BANNED: "Banned from the server",
+  KICKED: "Kicked from the server",
+  TIMEDOUT: "Connection timed out",
+  STEAM_AUTH: "Steam authentication failed",
+};
+
+// Disconnect reasons that mean the server refused or never answered a connect;
+// anything else (left by the user, kicked, shut down) is a plain disconnect
+const CONNECT_FAILURE =
+  /NETWORK_DISCONNECT_(?:REJECT_|STEAM_|(?:CONNECT_REQUEST_)?TIMEDOUT)/i;
+
+// Console lines, checked in order; the first match wins
+const LINE_PATTERNS = [
+  {
+    type: CONSOLE_EVENTS.SERVER_FULL,
+    pattern: /server is full|SERVER_?FULL|RejectServerFull/i,
+  },
+  {
+    type: CONSOLE_EVENTS.CONNECTION_FAILED,
+    pattern:
+      /(connection failed(?: after \d+ retries)?|connection to \S+ failed|failed to connect[^.]*)/i,
+  },
+  {
+    type: CONSOLE_EVENTS.DISCONNECTED,
+    pattern: /\bDisconnect(?:ing|ed)?(?: from server)?\s*[:(]\s*(.*?)\)?\s*$/i,
+  },
+  {
+    type: CONSOLE_EVENTS.CONNECTING,
+    pattern: /\bConnecting to\s+'?([^\s']+?)'?(?:\.\.\.|\s|$)/i,
+  },
+  {
+    type: CONSOLE_EVENTS.CONNECTED,
+    pattern: /\bConnected to\s+'?([^\s']+?)'?(?:\s|$)/i,
+  },
+  {
+    type: CONSOLE_EVENTS.MAP_LOADED,
+    pattern: /\bHost activate: Loading \(([\w/-]+)\)|^\s*Map:\s*"?([\w/-]+)"?/i,
+  },
+];
+
+/**
+ * Turn a disconnect reason from the console into text for the user
+ * @param {string} text - e.g. "NETWORK_DISCONNECT_REJECT_BADPASSWORD"
+ * @returns {string} - Readable reason
+ */
+const describeReason = (text) => {
+  const code = /NETWORK_DISCONNECT_(?:REJECT_)?(\w+)/.exec(text)?.[1];
+  if (!code) return text.replace(/^#\w+_/, "").trim();
+  return (
+    DISCONNECT_REASONS[code] ||
+    code.charAt(0) + code.slice(1).toLowerCase().replace(/_/g, " ")
+  );
+};
+
+/**
+ * CS2 console log tailer
+ * Follows the console.log CS2 writes when launched with -condebug and tells
+ * subscribers about connects, disconnects, full servers, failed connections
+ * and map loads as they are written. A failure only counts while a connect
+ * is under way; outside one it is reported as a plain disconnect.
+ */
+export class ConsoleLogTailer {
+  constructor() {
+    this.filePath = null;
+    this.interval = null;
+    this.isReading = false;
+    this.offset = null;
+    this.partial = "";
+    this.decoder = new StringDecoder("utf8");
+    this.connectingTo = null;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Start following the console log of a CS2 install
+   * Lines written before this call are skipped. The log may not exist yet;
+   * it is picked up once CS2 creates it.
+   * @param {string} gameDir - "Counter-Strike Global Offensive" install folder
+   */
+  start(gameDir) {
+    this.stop();
+    this.filePath = path.join(gameDir, ...CONSOLE_LOG_CONFIG.RELATIVE_PATH);
+    this.offset = null;
+    this._resetText();
+    this.interval = setInterval(
+      () => this.check(),
+      CONSOLE_LOG_CONFIG.POLL_INTERVAL_MS
+    );
+    this.check();
+    MainLogger.info("Following CS2 console log", { path: this.filePath });
+  }
+
+  /**
+   * Stop following the console log
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Subscribe to console events
+   * @param {Function} callback - Called with each ConsoleEvent
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  /**
+   * Read what was appended to the log since the last check
+   */
+  async check() {
+    if (this.isReading || !this.filePath) return;
+    this.isReading = true;
+
+    let handle = null;
+    try {
+      const { size } = await fs.stat(this.filePath);
+
+      // First sight of the log: only new lines are of interest
+      if (this.offset === null) this.offset = size;
+
+      // -condebug starts a new log on every launch
+      if (size < this.offset) {
+        this.offset = 0;
+        this._resetText();
+      }
+      if (size === this.offset) return;
+
+      const length = Math.min(
+        size - this.offset,
+        CONSOLE_LOG_CONFIG.MAX_READ_BYTES
+      );
+      const buffer = Buffer.alloc(length);
+      handle = await fs.open(this.filePath, "r");
+      const { bytesRead } = await handle.read(buffer, 0, length, this.offset);
+      this.offset += bytesRead;
+
+      // The decoder holds back a character cut in half at the end of the read
+      const lines = (
+        this.partial + this.decoder.write(buffer.subarray(0, bytesRead))
+      ).split(/\r?\n/);
+      this.partial = lines.pop();
+      lines.forEach((line) => this.processLine(line));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        // No log until CS2 runs with -condebug; read it whole once it appears
+        this.offset = 0;
+        this._resetText();
+      } else {
+        MainLogger.warn("Reading CS2 console log failed", error.message);
+      }
+    } finally {
+      await handle?.close();
+      this.isReading = false;
+    }
+  }
+
+  /**
+   * Parse one line, keep track of the connect under way and notify subscribers
+   * @param {string} line - One line of console.log
+   */
+  processLine(line) {
+    const event = ConsoleLogTailer.parseLine(line);
+    if (!event) return;
+
+    if (event.type === CONSOLE_EVENTS.CONNECTING) {
+      this.connectingTo = event.address;
+    } else if (
+      event.type === CONSOLE_EVENTS.SERVER_FULL ||
+      event.type === CONSOLE_EVENTS.CONNECTION_FAILED
+    ) {
+      if (this.connectingTo === null) {
+        event.type = CONSOLE_EVENTS.DISCONNECTED;
+      } else {
+        event.address = this.connectingTo;
+      }
+      this.connectingTo = null;
+    }
+    this._emit(event);
+  }
+
+  /**
+   * Recognize a console line
+   * @param {string} line - One line of console.log
+   * @returns {import('../shared/types.js').ConsoleEvent|null} - Event, or null for other lines
+   */
+  static parseLine(line) {
+    for (const { type, pattern } of LINE_PATTERNS) {
+      const match = pattern.exec(line);
+      if (!match) continue;
+
+      const event = {
+        type,
+        address: null,
+        map: null,
+        reason: null,
+        at: Date.now(),
+      };
+
+      if (type === CONSOLE_EVENTS.SERVER_FULL) {
+        event.reason = DISCONNECT_REASONS.SERVERFULL;
+      } else if (type === CONSOLE_EVENTS.CONNECTION_FAILED) {
+        event.reason = match[1].charAt(0).toUpperCase() + match[1].slice(1);
+      } else if (type === CONSOLE_EVENTS.DISCONNECTED) {
+        const reason = match[1] || null;
+        if (reason && CONNECT_FAILURE.test(reason)) {
+          event.type = CONSOLE_EVENTS.CONNECTION_FAILED;
+        }
+        event.reason = reason && describeReason(reason);
+      } else if (type === CONSOLE_EVENTS.MAP_LOADED) {
+        event.map = match[1] || match[2];
+      } else {
+        event.address = match[1];
+      }
+      return event;
+    }
+    return null;
+  }
+
+  /**
+   * Forget text and connect state of the previous log
+   * @private
+   */
+  _resetText() {
+    this.partial = "";
+    this.decoder = new StringDecoder("utf8");
+    this.connectingTo = null;
+  }
+
+  /**
+   * Pass an event to the subscribers
+   * @param {import('../shared/types.js').ConsoleEvent|null} event - Parsed line
+   * @private
+   */
+  _emit(event) {
+    if (!event) return;
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event);
+      } catch (error) {
+        MainLogger.error("Error in console log subscriber", error.message);
+      }
+    });
+  }
+}
+
+// Singleton instance
+const consoleLogTailer = new ConsoleLogTailer();
+
+export default consoleLogTailer;
@@ -0,0 +1,245 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+import { promises as fs } from "fs";
+import http from "http";
+import path from "path";
+
+// Shared constants
+import { GSI_CONFIG } from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+import secretStore from "./secret-store.js";
+
+// Secret store entry holding the token CS2 sends with every post
+const TOKEN_SECRET = "gsi_token";
+
+// Folder of the cfg file inside the CS2 install
+const CFG_DIR = path.join("game", "csgo", "cfg");
+
+const toNumberOrNull = (value) =>
+  Number.isFinite(Number(value)) && value !== null && value !== ""
+    ? Number(value)
+    : null;
+
+const toStringOrNull = (value) =>
+  typeof value === "string" && value !== "" ? value : null;
+
+/**
+ * CS2 Game State Integration receiver
+ * Listens on localhost for the posts CS2 sends when a matching cfg file is
+ * installed, checks their auth token and passes the parsed local game state
+ * to subscribers.
+ */
+export class GsiServer {
+  constructor() {
+    this.server = null;
+    this.token = "";
+    this.state = null;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Load or create the auth token and start listening
+   * Must be called after the secret store is initialized.
+   */
+  async initialize() {
+    if (this.server) return;
+
+    this.token = secretStore.get(TOKEN_SECRET) || "";
+    if (!this.token) {
+      this.token = randomBytes(24).toString("hex");
+      await secretStore.set(TOKEN_SECRET, this.token);
+    }
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.server.on("error", (error) => {
+      MainLogger.error("Game state listener failed", error.message);
+      this.server = null;
+    });
+    this.server.listen(GSI_CONFIG.PORT, GSI_CONFIG.HOST, () => {
+      MainLogger.info("Game state listener started", {
+        port: GSI_CONFIG.PORT,
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  close() {
+    this.server?.close();
+    this.server = null;
+  }
+
+  /**
+   * Subscribe to parsed game states
+   * @param {Function} callback - Called with each GameState
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  /**
+   * Get the listener status for the UI
+   * @returns {import('../shared/types.js').GsiStatus} - Listener status
+   */
+  getStatus() {
+    return {
+      listening: !!this.server?.listening,
+      port: GSI_CONFIG.PORT,
+      state: this.state,
+    };
+  }
+
+  /**
+   * Build the cfg file telling CS2 where to post game state
+   * @returns {string} - cfg file contents (Valve KeyValues)
+   */
+  generateConfig() {
+    return [
+      '"Casual Enjoyer"',
+      "{",
+      `  "uri" "http://${GSI_CONFIG.HOST}:${GSI_CONFIG.PORT}/"`,
+      '  "timeout" "5.0"',
+      '  "buffer" "0.1"',
+      '  "throttle" "0.5"',
+      `  "heartbeat" "${GSI_CONFIG.HEARTBEAT_S.toFixed(1)}"`,
+      '  "auth"',
+      "  {",
+      `    "token" "${this.token}"`,
+      "  }",
+      '  "data"',
+      "  {",
+      '    "provider" "1"',
+      '    "map" "1"',
+      '    "round" "1"',
+      '    "player_id" "1"',
+      "  }",
+      "}",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Write the cfg file into a CS2 install
+   * CS2 reads it on its next launch.
+   * @param {string} gameDir - "Counter-Strike Global Offensive" install folder
+   * @returns {Promise<{ok: boolean, path?: string, error?: string}>} - Result
+   */
+  async installConfig(gameDir) {
+    const cfgDir = path.join(gameDir || "", CFG_DIR);
+    try {
+      if (!(await fs.stat(cfgDir)).isDirectory()) throw new Error();
+    } catch {
+      return { ok: false, error: `No ${CFG_DIR} folder in ${gameDir}` };
+    }
+
+    const cfgPath = path.join(cfgDir, GSI_CONFIG.CFG_FILENAME);
+    try {
+      await fs.writeFile(cfgPath, this.generateConfig(), "utf-8");
+      MainLogger.info("Game state config installed", { cfgPath });
+      return { ok: true, path: cfgPath };
+    } catch (error) {
+      MainLogger.error("Error writing game state config", error);
+      return { ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Turn a GSI post into the game state shared with the renderer
+   * @param {Object} payload - Parsed GSI post
+   * @returns {import('../shared/types.js').GameState} - Game state
+   */
+  static parseGameState(payload) {
+    const map = payload?.map || {};
+    return {
+      steamid: toStringOrNull(payload?.provider?.steamid),
+      activity: toStringOrNull(payload?.player?.activity),
+      map: toStringOrNull(map.name),
+      mode: toStringOrNull(map.mode),
+      phase: toStringOrNull(map.phase),
+      round: toNumberOrNull(map.round),
+      round_phase: toStringOrNull(payload?.round?.phase),
+      score_ct: toNumberOrNull(map.team_ct?.score),
+      score_t: toNumberOrNull(map.team_t?.score),
+      received_at: Date.now(),
+    };
+  }
+
+  /**
+   * Check the token of a post against ours in constant time
+   * @param {Object} payload - Parsed GSI post
+   * @returns {boolean} - Whether the post is from our cfg file
+   * @private
+   */
+  _isAuthorized(payload) {
+    const received = Buffer.from(String(payload?.auth?.token ?? ""));
+    const expected = Buffer.from(this.token);
+    return (
+      received.length === expected.length && timingSafeEqual(received, expected)
+    );
+  }
+
+  /**
+   * Handle one HTTP request from CS2
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @private
+   */
+  _handle(req, res) {
+    const reply = (statusCode) => {
+      res.writeHead(statusCode, { "Content-Type": "text/plain" });
+      res.end();
+    };
+
+    if (req.method !== "POST") {
+      reply(405);
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > GSI_CONFIG.MAX_BODY_BYTES) {
+        reply(413);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+      } catch {
+        reply(400);
+        return;
+      }
+
+      if (!this._isAuthorized(payload)) {
+        MainLogger.warn("Rejected game state post with a wrong token");
+        reply(401);
+        return;
+      }
+
+      reply(200);
+      this.state = GsiServer.parseGameState(payload);
+      this.subscribers.forEach((callback) => {
+        try {
+          callback(this.state);
+        } catch (error) {
+          MainLogger.error("Error in game state subscriber", error.message);
+        }
+      });
+    });
+  }
+}
+
+// Singleton instance
+const gsiServer = new GsiServer();
+
+export default gsiServer;
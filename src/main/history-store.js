@@ -0,0 +1,265 @@
+import { app } from "electron";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Shared constants
+import {
+  HISTORY_CONFIG,
+  STATUS_TYPES,
+  VALIDATION_PATTERNS,
+} from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+
+const HISTORY_PATH = path.join(app.getPath("userData"), "history.json");
+const TEMP_PATH = `${HISTORY_PATH}.tmp`;
+
+// Final statuses an attempt can be recorded with
+const OUTCOMES = [
+  STATUS_TYPES.JOINED,
+  STATUS_TYPES.CANCELLED,
+  STATUS_TYPES.FAILED,
+];
+
+const isTimestamp = (value) => Number.isFinite(value) && value > 0;
+const isOptionalString = (value) => value === null || typeof value === "string";
+
+/**
+ * Field validators matching the HistoryEntry typedef in shared/types.js
+ */
+const ENTRY_VALIDATORS = {
+  friend_id: (value) => VALIDATION_PATTERNS.STEAM_ID.test(value),
+  personaname: isOptionalString,
+  started_at: isTimestamp,
+  ended_at: isTimestamp,
+  connect_attempts: (value) => Number.isInteger(value) && value >= 0,
+  time_to_join_ms: (value) =>
+    value === null || (Number.isFinite(value) && value >= 0),
+  outcome: (value) => OUTCOMES.includes(value),
+  reason: isOptionalString,
+  verify_outcome: isOptionalString,
+  map: isOptionalString,
+  mode: isOptionalString,
+};
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} - Median or null for an empty list
+ */
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Join attempt history
+ * Keeps the last HISTORY_CONFIG.MAX_ENTRIES finished join attempts in
+ * history.json and derives the statistics shown in the History panel.
+ */
+class HistoryStore {
+  constructor() {
+    this.entries = [];
+    this.loaded = false;
+    this.pendingWrite = Promise.resolve(true);
+  }
+
+  /**
+   * Load recorded attempts
+   * Must be called after the app is ready.
+   */
+  async initialize() {
+    if (this.loaded) return;
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(HISTORY_PATH, "utf-8"));
+      const entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+      this.entries = entries.filter((entry) => this._isValid(entry));
+      if (this.entries.length !== entries.length) {
+        MainLogger.warn("Dropped invalid history entries", {
+          dropped: entries.length - this.entries.length,
+        });
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        MainLogger.error("Error reading join history", error);
+      }
+      this.entries = [];
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Record a finished join attempt
+   * @param {import('../shared/types.js').HistoryEntry} entry - Attempt to record
+   * @returns {Promise<boolean>} - Success status
+   */
+  async add(entry) {
+    if (!this._isValid(entry)) {
+      MainLogger.warn("Rejected invalid history entry", {
+        friend_id: entry?.friend_id,
+      });
+      return false;
+    }
+
+    const recorded = Object.fromEntries(
+      Object.keys(ENTRY_VALIDATORS).map((key) => [key, entry[key]])
+    );
+    this.entries = [...this.entries, recorded].slice(
+      -HISTORY_CONFIG.MAX_ENTRIES
+    );
+    return this._write();
+  }
+
+  /**
+   * Get recorded attempts, newest first
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {import('../shared/types.js').HistoryEntry[]} - Entries
+   */
+  list(limit = HISTORY_CONFIG.MAX_ENTRIES) {
+    return this.entries.slice(-limit).reverse();
+  }
+
+  /**
+   * Remove all recorded attempts
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clear() {
+    this.entries = [];
+    return this._write();
+  }
+
+  /**
+   * Aggregate the recorded attempts
+   * Cancelled attempts count as attempts but not towards success rates.
+   * Hours are local to this machine.
+   * @returns {import('../shared/types.js').HistoryStats} - Statistics
+   */
+  getStats() {
+    const joined = this.entries.filter(
+      (e) => e.outcome === STATUS_TYPES.JOINED
+    );
+    const failed = this.entries.filter(
+      (e) => e.outcome === STATUS_TYPES.FAILED
+    );
+    const successRate = (joinedCount, failedCount) =>
+      joinedCount + failedCount
+        ? joinedCount / (joinedCount + failedCount)
+        : null;
+
+    const waitsByMap = new Map();
+    joined.forEach((entry) => {
+      if (entry.time_to_join_ms === null) return;
+      const map = entry.map || "unknown";
+      waitsByMap.set(map, [
+        ...(waitsByMap.get(map) || []),
+        entry.time_to_join_ms,
+      ]);
+    });
+
+    const friends = new Map();
+    this.entries.forEach((entry) => {
+      const friend = friends.get(entry.friend_id) || {
+        friend_id: entry.friend_id,
+        personaname: null,
+        joined: 0,
+        failed: 0,
+        cancelled: 0,
+      };
+      friend.personaname = entry.personaname || friend.personaname;
+      friend[entry.outcome] += 1;
+      friends.set(entry.friend_id, friend);
+    });
+
+    const hours = new Array(24).fill(0);
+    this.entries.forEach((entry) => {
+      hours[new Date(entry.started_at).getHours()] += 1;
+    });
+
+    return {
+      total: this.entries.length,
+      joined: joined.length,
+      success_rate: successRate(joined.length, failed.length),
+      median_wait_ms: median(
+        joined.map((e) => e.time_to_join_ms).filter((value) => value !== null)
+      ),
+      maps: [...waitsByMap]
+        .map(([map, waits]) => ({
+          map,
+          joins: waits.length,
+          median_wait_ms: median(waits),
+        }))
+        .sort((a, b) => b.joins - a.joins),
+      friends: [...friends.values()]
+        .map((friend) => ({
+          ...friend,
+          success_rate: successRate(friend.joined, friend.failed),
+        }))
+        .sort(
+          (a, b) =>
+            b.joined +
+            b.failed +
+            b.cancelled -
+            (a.joined + a.failed + a.cancelled)
+        ),
+      hours,
+    };
+  }
+
+  /**
+   * Check a history entry against ENTRY_VALIDATORS
+   * @param {Object} entry - Entry to check
+   * @returns {boolean} - Whether every field is valid
+   * @private
+   */
+  _isValid(entry) {
+    return (
+      entry !== null &&
+      typeof entry === "object" &&
+      Object.entries(ENTRY_VALIDATORS).every(([key, validator]) =>
+        validator(entry[key])
+      )
+    );
+  }
+
+  /**
+   * Queue a write so quick successive changes do not race on the temp file
+   * @returns {Promise<boolean>} - Success status
+   * @private
+   */
+  _write() {
+    this.pendingWrite = this.pendingWrite.then(() => this._writeFile());
+    return this.pendingWrite;
+  }
+
+  /**
+   * Write the history file atomically
+   * @returns {Promise<boolean>} - Success status
+   * @private
+   */
+  async _writeFile() {
+    try {
+      await fs.writeFile(
+        TEMP_PATH,
+        JSON.stringify({ entries: this.entries }),
+        "utf-8"
+      );
+      await fs.rename(TEMP_PATH, HISTORY_PATH);
+      return true;
+    } catch (error) {
+      MainLogger.error("Error writing join history", error);
+      await fs.unlink(TEMP_PATH).catch(() => {});
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+const historyStore = new HistoryStore();
+
+export default historyStore;
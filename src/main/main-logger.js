@@ -0,0 +1,32 @@
+/**
+ * Simple main process logger
+ */
+class MainLogger {
+  static log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [MAIN] [${level.toUpperCase()}] ${message}`;
+
+    console.log(logMessage);
+    if (data) {
+      console.log("Data:", data);
+    }
+  }
+
+  static info(message, data = null) {
+    this.log("info", message, data);
+  }
+
+  static warn(message, data = null) {
+    this.log("warn", message, data);
+  }
+
+  static error(message, data = null) {
+    this.log("error", message, data);
+  }
+
+  static debug(message, data = null) {
+    this.log("debug", message, data);
+  }
+}
+
+export default MainLogger;
@@ -1,8 +1,17 @@
-import { app, BrowserWindow, ipcMain, shell } from "electron";
-import { promises as fs } from "fs";
-import path from "path";
+import { app, BrowserWindow, dialog, ipcMain, shell } from "electron";
 import { fileURLToPath } from "url";
 
+// Main process modules
+import MainLogger from "./main-logger.js";
+import consoleLogTailer from "./console-log-tailer.js";
+import gsiServer from "./gsi-server.js";
+import historyStore from "./history-store.js";
+import processWatcher from "./process-watcher.js";
+import secretStore from "./secret-store.js";
+import settingsStore from "./settings-store.js";
+import steamLocator from "./steam-locator.js";
+import steamService from "./steam-service.js";
+
 // Constants
 const WINDOW_CONFIG = {
   WIDTH: 850,
@@ -11,79 +20,41 @@ const WINDOW_CONFIG = {
   MIN_HEIGHT: 800,
 };
 
-const SETTINGS_PATH = path.join(app.getPath("userData"), "settings.json");
-
-/**
- * Simple main process logger
- */
-class MainLogger {
-  static log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [MAIN] [${level.toUpperCase()}] ${message}`;
-
-    console.log(logMessage);
-    if (data) {
-      console.log("Data:", data);
-    }
-  }
-
-  static info(message, data = null) {
-    this.log("info", message, data);
-  }
-
-  static warn(message, data = null) {
-    this.log("warn", message, data);
-  }
-
-  static error(message, data = null) {
-    this.log("error", message, data);
-  }
-
-  static debug(message, data = null) {
-    this.log("debug", message, data);
-  }
-}
-
 /**
  * Settings management utilities
  */
 class SettingsManager {
   /**
-   * Read settings from file
-   * @returns {Object|null} - Settings object or null if not found
+   * Read settings through the versioned settings store
+   * @returns {Promise<{settings: Object|null, issue: Object|null}>} - Settings and any load problem
    */
   static async readSettings() {
-    try {
-      if (
-        await fs
-          .access(SETTINGS_PATH)
-          .then(() => true)
-          .catch(() => false)
-      ) {
-        const data = await fs.readFile(SETTINGS_PATH, "utf-8");
-        MainLogger.info("Settings loaded successfully");
-        return JSON.parse(data);
-      }
-    } catch (error) {
-      MainLogger.error("Error reading settings", error);
-    }
-    return null;
+    const { settings, issue } = await settingsStore.load();
+    steamService.setSteamId(settings?.steam_id);
+    return {
+      settings: settings
+        ? { ...settings, has_auth: secretStore.has("auth") }
+        : null,
+      issue,
+    };
   }
 
   /**
    * Write settings to file
+   * Secrets are never written here; the renderer sets them through steam:setCredentials.
    * @param {Object} data - Settings data to write
    * @returns {boolean} - Success status
    */
   static async writeSettings(data) {
-    try {
-      await fs.writeFile(SETTINGS_PATH, JSON.stringify(data, null, 2), "utf-8");
-      MainLogger.info("Settings saved successfully");
-      return true;
-    } catch (error) {
-      MainLogger.error("Error writing settings", error);
-      return false;
+    const settings = { ...data };
+    delete settings.auth;
+    delete settings.has_auth;
+
+    if (settings.steam_id !== undefined) {
+      steamService.setSteamId(settings.steam_id);
     }
+
+    return settingsStore.save(settings);
   }
 }
 
@@ -108,6 +79,8 @@ class WindowManager {
       webPreferences: {
         nodeIntegration: false,
         contextIsolation: true,
+        // Keep join polling on time while the window is hidden or minimized
+        backgroundThrottling: false,
         preload: fileURLToPath(new URL("preload.js", import.meta.url)),
       },
     });
@@ -169,6 +142,63 @@ class IPCManager {
       return SettingsManager.writeSettings(data);
     });
 
+    // Secret handlers - the secrets themselves never leave the main process
+    ipcMain.handle("secrets-status", () => {
+      return secretStore.getStatus();
+    });
+
+    // Join history handlers
+    ipcMain.handle("history-add", (event, entry) => {
+      return historyStore.add(entry);
+    });
+
+    ipcMain.handle("history-list", (event, limit) => {
+      return historyStore.list(limit);
+    });
+
+    ipcMain.handle("history-stats", () => {
+      return historyStore.getStats();
+    });
+
+    ipcMain.handle("history-clear", () => {
+      return historyStore.clear();
+    });
+
+    // Game state integration handlers
+    ipcMain.handle("gsi-status", () => {
+      return gsiServer.getStatus();
+    });
+
+    ipcMain.handle("gsi-install", async (event) => {
+      // Install straight into the detected CS2 folder when there is one
+      const { steam_root, cs2_path } = await steamLocator.locate();
+      if (cs2_path) return gsiServer.installConfig(cs2_path);
+
+      const { canceled, filePaths } = await dialog.showOpenDialog(
+        BrowserWindow.fromWebContents(event.sender),
+        {
+          title: "Select your Counter-Strike Global Offensive folder",
+          defaultPath: steam_root || undefined,
+          properties: ["openDirectory"],
+        }
+      );
+      if (canceled || !filePaths.length) return { ok: false, error: null };
+      return gsiServer.installConfig(filePaths[0]);
+    });
+
+    // Local Steam installation handlers
+    ipcMain.handle("steam-locate", () => {
+      return steamLocator.locate();
+    });
+
+    // CS2 process handlers
+    ipcMain.handle("cs2-process-status", () => {
+      return processWatcher.getStatus();
+    });
+
+    // Steam API handlers (steam:<method>)
+    steamService.registerIpcHandlers(ipcMain);
+
     // App info handlers
     ipcMain.handle("get-app-version", () => {
       return app.getVersion();
@@ -201,10 +231,32 @@ class AppManager {
     this.mainWindow = null;
   }
 
+  /**
+   * Run one startup step, logging a failure instead of ending startup
+   * The window still opens; the feature behind the step stays unavailable.
+   * @param {string} name - What the step starts, for the log
+   * @param {Function} step - Startup work, may return a promise
+   * @returns {Promise<boolean>} - Whether the step succeeded
+   */
+  async runStartupStep(name, step) {
+    try {
+      await step();
+      return true;
+    } catch (error) {
+      MainLogger.error(`Failed to start ${name}`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Initialize the application
    */
   async initialize() {
+    // Load encrypted secrets before settings can be requested
+    await this.runStartupStep("secret store", () => secretStore.initialize());
+    await this.runStartupStep("join history", () => historyStore.initialize());
+    steamService.initialize();
+
     // Setup IPC handlers
     IPCManager.setupHandlers();
 
@@ -213,6 +265,35 @@ class AppManager {
 
     // Setup window controls
     WindowManager.setupWindowControls(this.mainWindow);
+
+    // Push local game state to the renderer as CS2 posts it
+    await this.runStartupStep("game state listener", () =>
+      gsiServer.initialize()
+    );
+    gsiServer.subscribe((state) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send("gsi-state", state);
+      }
+    });
+
+    // Tell the renderer when CS2 starts or exits
+    processWatcher.subscribe((state) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send("cs2-process", state);
+      }
+    });
+    processWatcher.start();
+
+    // Pass connect results from the CS2 console log to the renderer
+    consoleLogTailer.subscribe((event) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send("console-event", event);
+      }
+    });
+    await this.runStartupStep("CS2 console log", async () => {
+      const { cs2_path } = await steamLocator.locate();
+      if (cs2_path) consoleLogTailer.start(cs2_path);
+    });
   }
 }
 
@@ -220,13 +301,23 @@ class AppManager {
 const appManager = new AppManager();
 
 // App event handlers
-app.whenReady().then(async () => {
-  MainLogger.info("Application starting...");
-  await appManager.initialize();
-  MainLogger.info("Application initialized successfully");
-});
+app
+  .whenReady()
+  .then(async () => {
+    MainLogger.info("Application starting...");
+    await appManager.initialize();
+    MainLogger.info("Application initialized successfully");
+  })
+  .catch((error) => {
+    MainLogger.error("Application failed to start", error.message);
+    dialog.showErrorBox("Casual Enjoyer could not start", error.message);
+    app.quit();
+  });
 
 app.on("window-all-closed", () => {
   MainLogger.info("All windows closed, quitting application");
+  gsiServer.close();
+  processWatcher.stop();
+  consoleLogTailer.stop();
   app.quit();
 });
@@ -1,5 +1,22 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
+// Steam service methods (see STEAM_SERVICE_METHODS in steam-service.js)
+const STEAM_METHODS = [
+  "setCredentials",
+  "getCredentialsStatus",
+  "getFriendsList",
+  "getFriendsStatuses",
+  "getFriendConnectInfo",
+  "getJoinCandidates",
+  "getUserGameServerSteamId",
+  "resolveVanityUrl",
+  "isPlayerInCS2",
+  "checkUserGameMode",
+  "invalidateCache",
+  "getRateLimitStatus",
+  "getCacheStats",
+];
+
 /**
  * Electron API bridge for renderer process
  * Provides secure access to main process functionality
@@ -22,7 +39,10 @@ const electronAPI = {
         return await ipcRenderer.invoke("settings-load");
       } catch (error) {
         console.error("Failed to load settings:", error);
-        return null;
+        return {
+          settings: null,
+          issue: { type: "read_error", message: error.message },
+        };
       }
     },
     save: async (data) => {
@@ -35,6 +55,147 @@ const electronAPI = {
     },
   },
 
+  /**
+   * Secret storage methods
+   */
+  secrets: {
+    getStatus: async () => {
+      try {
+        return await ipcRenderer.invoke("secrets-status");
+      } catch (error) {
+        console.error("Failed to get secrets status:", error);
+        return null;
+      }
+    },
+  },
+
+  /**
+   * Join history methods
+   */
+  history: {
+    add: async (entry) => {
+      try {
+        return await ipcRenderer.invoke("history-add", entry);
+      } catch (error) {
+        console.error("Failed to record join history:", error);
+        return false;
+      }
+    },
+    list: async (limit) => {
+      try {
+        return await ipcRenderer.invoke("history-list", limit);
+      } catch (error) {
+        console.error("Failed to load join history:", error);
+        return [];
+      }
+    },
+    getStats: async () => {
+      try {
+        return await ipcRenderer.invoke("history-stats");
+      } catch (error) {
+        console.error("Failed to load join statistics:", error);
+        return null;
+      }
+    },
+    clear: async () => {
+      try {
+        return await ipcRenderer.invoke("history-clear");
+      } catch (error) {
+        console.error("Failed to clear join history:", error);
+        return false;
+      }
+    },
+  },
+
+  /**
+   * CS2 Game State Integration methods
+   */
+  gsi: {
+    getStatus: async () => {
+      try {
+        return await ipcRenderer.invoke("gsi-status");
+      } catch (error) {
+        console.error("Failed to get game state status:", error);
+        return null;
+      }
+    },
+    install: async () => {
+      try {
+        return await ipcRenderer.invoke("gsi-install");
+      } catch (error) {
+        console.error("Failed to install game state config:", error);
+        return { ok: false, error: error.message };
+      }
+    },
+    onState: (callback) => {
+      const listener = (event, state) => callback(state);
+      ipcRenderer.on("gsi-state", listener);
+      return () => ipcRenderer.removeListener("gsi-state", listener);
+    },
+  },
+
+  /**
+   * Local Steam installation methods
+   */
+  locator: {
+    locate: async () => {
+      try {
+        return await ipcRenderer.invoke("steam-locate");
+      } catch (error) {
+        console.error("Failed to locate Steam:", error);
+        return null;
+      }
+    },
+  },
+
+  /**
+   * Local CS2 process methods
+   */
+  cs2Process: {
+    getStatus: async () => {
+      try {
+        return await ipcRenderer.invoke("cs2-process-status");
+      } catch (error) {
+        console.error("Failed to get CS2 process status:", error);
+        return null;
+      }
+    },
+    onChange: (callback) => {
+      const listener = (event, state) => callback(state);
+      ipcRenderer.on("cs2-process", listener);
+      return () => ipcRenderer.removeListener("cs2-process", listener);
+    },
+  },
+
+  /**
+   * CS2 console log methods
+   */
+  consoleLog: {
+    onEvent: (callback) => {
+      const listener = (event, consoleEvent) => callback(consoleEvent);
+      ipcRenderer.on("console-event", listener);
+      return () => ipcRenderer.removeListener("console-event", listener);
+    },
+  },
+
+  /**
+   * Steam Web API methods, executed in the main process
+   * Each resolves to {ok: true, data} or {ok: false, error: {message, code}}
+   */
+  steam: Object.fromEntries(
+    STEAM_METHODS.map((name) => [
+      name,
+      async (...args) => {
+        try {
+          return await ipcRenderer.invoke(`steam:${name}`, ...args);
+        } catch (error) {
+          console.error(`Steam ${name} failed:`, error);
+          return { ok: false, error: { message: error.message, code: null } };
+        }
+      },
+    ])
+  ),
+
   /**
    * App information methods
    */
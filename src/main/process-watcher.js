@@ -0,0 +1,230 @@
+import { execFile } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Shared constants
+import { PROCESS_WATCH_CONFIG } from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+
+// Linux keeps only this many characters of a process name in /proc/<pid>/comm
+const COMM_MAX_LENGTH = 15;
+
+// Last part of a path, Windows paths included (Proton command lines)
+const isCS2Executable = (name) =>
+  PROCESS_WATCH_CONFIG.EXECUTABLES.includes(
+    String(name).trim().split(/[\\/]/).pop().toLowerCase()
+  );
+
+/**
+ * Run a command and resolve with its stdout
+ * @param {string} file - Executable
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} - Standard output
+ */
+const run = (file, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      file,
+      args,
+      { timeout: PROCESS_WATCH_CONFIG.SCAN_TIMEOUT_MS, windowsHide: true },
+      (error, stdout) => (error ? reject(error) : resolve(stdout))
+    );
+  });
+
+/**
+ * CS2 process watcher
+ * Scans the local process table for the CS2 executable and tells
+ * subscribers when the game starts or exits, without asking Steam. A scan
+ * that fails or cannot tell reports running as null, so callers fall back
+ * to Steam instead of taking CS2 for closed.
+ */
+export class ProcessWatcher {
+  constructor() {
+    this.interval = null;
+    this.isScanning = false;
+    this.state = { running: false, pid: null, since: null };
+    this.known = false;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Start scanning
+   */
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(
+      () => this.check(),
+      PROCESS_WATCH_CONFIG.INTERVAL_MS
+    );
+    this.check();
+  }
+
+  /**
+   * Stop scanning
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Subscribe to CS2 starting and exiting
+   * @param {Function} callback - Called with a CS2ProcessState on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  /**
+   * Get the last scan result
+   * @returns {import('../shared/types.js').CS2ProcessState|null} - Process state, or null before the first successful scan
+   */
+  getStatus() {
+    return this.known ? { ...this.state } : null;
+  }
+
+  /**
+   * Scan once and notify subscribers if CS2 started, exited or became unknown
+   */
+  async check() {
+    if (this.isScanning) return;
+    this.isScanning = true;
+
+    try {
+      const pid = await this.findCS2Pid();
+      this._update(pid !== null, pid);
+    } catch (error) {
+      MainLogger.warn("CS2 process scan failed", error.message);
+      this._update(null, null);
+    } finally {
+      this.isScanning = false;
+    }
+  }
+
+  /**
+   * Store a scan result and notify subscribers if it changed
+   * @param {boolean|null} running - Whether CS2 runs, null if unknown
+   * @param {number|null} pid - PID of CS2
+   * @private
+   */
+  _update(running, pid) {
+    const changed = !this.known || running !== this.state.running;
+    this.known = true;
+    if (!changed) return;
+
+    this.state = { running, pid, since: Date.now() };
+    if (running === null) {
+      MainLogger.warn("CS2 process state unknown");
+    } else {
+      MainLogger.info(running ? "CS2 process started" : "CS2 process exited", {
+        pid,
+      });
+    }
+    this.subscribers.forEach((callback) => {
+      try {
+        callback({ ...this.state });
+      } catch (error) {
+        MainLogger.error("Error in process subscriber", error.message);
+      }
+    });
+  }
+
+  /**
+   * Find the CS2 process
+   * Rejects when the scan cannot tell whether CS2 runs.
+   * @returns {Promise<number|null>} - PID of CS2, or null if it is not running
+   */
+  async findCS2Pid() {
+    if (process.platform === "win32") return this._scanTasklist();
+    if (process.platform === "linux") return this._scanProc();
+    return this._scanPs();
+  }
+
+  /**
+   * Windows: ask tasklist for the CS2 image
+   * @returns {Promise<number|null>} - PID or null
+   * @private
+   */
+  async _scanTasklist() {
+    const stdout = await run("tasklist", [
+      "/FI",
+      "IMAGENAME eq cs2.exe",
+      "/FO",
+      "CSV",
+      "/NH",
+    ]);
+    // "cs2.exe","1234","Console","1","2,000,000 K"
+    const line = stdout
+      .split(/\r?\n/)
+      .find((row) => isCS2Executable(row.split(",")[0]?.replace(/"/g, "")));
+    return line ? Number(line.split(",")[1].replace(/"/g, "")) : null;
+  }
+
+  /**
+   * Linux: read the name of every process from /proc
+   * Native builds show up as cs2, Proton runs as cs2.exe. Names cut off at
+   * the comm length are checked against the command line instead.
+   * @returns {Promise<number|null>} - PID or null
+   * @private
+   */
+  async _scanProc() {
+    const pids = (await fs.readdir("/proc")).filter((entry) =>
+      /^\d+$/.test(entry)
+    );
+
+    let readable = 0;
+    for (const pid of pids) {
+      try {
+        const comm = (await fs.readFile(`/proc/${pid}/comm`, "utf-8")).trim();
+        readable++;
+        if (isCS2Executable(comm)) return Number(pid);
+        if (comm.length >= COMM_MAX_LENGTH && (await this._isCS2Cmdline(pid))) {
+          return Number(pid);
+        }
+      } catch {
+        // The process exited during the scan
+      }
+    }
+
+    if (!readable) throw new Error("No process names readable in /proc");
+    return null;
+  }
+
+  /**
+   * Linux: check the executable in a process command line
+   * @param {string} pid - Process ID
+   * @returns {Promise<boolean>} - Whether argv[0] is the CS2 executable
+   * @private
+   */
+  async _isCS2Cmdline(pid) {
+    const cmdline = await fs.readFile(`/proc/${pid}/cmdline`, "utf-8");
+    return isCS2Executable(cmdline.split("\0")[0]);
+  }
+
+  /**
+   * macOS and other platforms: list processes with ps
+   * @returns {Promise<number|null>} - PID or null
+   * @private
+   */
+  async _scanPs() {
+    const stdout = await run("ps", ["-A", "-o", "pid=,comm="]);
+    const rows = stdout
+      .split("\n")
+      .map((row) => /^\s*(\d+)\s+(.+)$/.exec(row))
+      .filter(Boolean);
+
+    // ps always lists itself; no rows means the output was not understood
+    if (!rows.length) throw new Error("No processes listed by ps");
+    const match = rows.find((row) => isCS2Executable(row[2]));
+    return match ? Number(match[1]) : null;
+  }
+}
+
+// Singleton instance
+const processWatcher = new ProcessWatcher();
+
+export default processWatcher;
@@ -0,0 +1,182 @@
+import { app, safeStorage } from "electron";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+
+const SECRETS_PATH = path.join(app.getPath("userData"), "secrets.json");
+
+// Linux backend that "encrypts" with a hardcoded key
+const WEAK_LINUX_BACKEND = "basic_text";
+
+/**
+ * Secret storage for credentials (API key / web API token)
+ * Values are encrypted with Electron safeStorage and kept out of settings.json.
+ * Falls back to plaintext only when the OS offers no encryption.
+ */
+class SecretStore {
+  constructor() {
+    this.entries = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Load stored secrets and re-encrypt any plaintext entries if possible
+   * Must be called after the app is ready.
+   */
+  async initialize() {
+    if (this.loaded) return;
+
+    try {
+      const data = await fs.readFile(SECRETS_PATH, "utf-8");
+      this.entries = JSON.parse(data) || {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        MainLogger.error("Error reading secrets", error);
+      }
+      this.entries = {};
+    }
+    this.loaded = true;
+
+    const status = this.getStatus();
+    if (!status.encryptionAvailable) {
+      MainLogger.warn(
+        "OS encryption is not available - secrets will be stored in plaintext"
+      );
+    } else if (status.weakEncryption) {
+      MainLogger.warn(
+        "No OS keyring found - secrets are only obfuscated (basic_text backend)"
+      );
+    }
+
+    const plaintextNames = Object.keys(this.entries).filter(
+      (name) => !this.entries[name].encrypted
+    );
+    if (status.encryptionAvailable && plaintextNames.length > 0) {
+      for (const name of plaintextNames) {
+        this.entries[name] = this._encode(this.entries[name].value);
+      }
+      await this._write();
+      MainLogger.info("Plaintext secrets encrypted", { names: plaintextNames });
+    }
+  }
+
+  /**
+   * Check if a secret is stored
+   * @param {string} name - Secret name
+   * @returns {boolean} - True if stored
+   */
+  has(name) {
+    return !!this.entries[name];
+  }
+
+  /**
+   * Get a decrypted secret
+   * @param {string} name - Secret name
+   * @returns {string|null} - Secret value or null if missing/unreadable
+   */
+  get(name) {
+    const entry = this.entries[name];
+    if (!entry) return null;
+
+    if (!entry.encrypted) return entry.value;
+
+    try {
+      return safeStorage.decryptString(Buffer.from(entry.value, "base64"));
+    } catch (error) {
+      MainLogger.error(`Failed to decrypt secret "${name}"`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a secret, or remove it when the value is empty
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   * @returns {Promise<boolean>} - Success status
+   */
+  async set(name, value) {
+    if (!value) return this.delete(name);
+
+    if (this.has(name) && this.get(name) === value) return true;
+
+    this.entries[name] = this._encode(value);
+    return this._write();
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} name - Secret name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete(name) {
+    if (!this.has(name)) return true;
+
+    delete this.entries[name];
+    return this._write();
+  }
+
+  /**
+   * Get encryption status for display in the UI
+   * @returns {{encryptionAvailable: boolean, weakEncryption: boolean, backend: string|null, plaintextSecrets: boolean}}
+   */
+  getStatus() {
+    const encryptionAvailable = safeStorage.isEncryptionAvailable();
+    const backend =
+      process.platform === "linux" &&
+      typeof safeStorage.getSelectedStorageBackend === "function"
+        ? safeStorage.getSelectedStorageBackend()
+        : null;
+
+    return {
+      encryptionAvailable,
+      weakEncryption: backend === WEAK_LINUX_BACKEND,
+      backend,
+      plaintextSecrets: Object.values(this.entries).some(
+        (entry) => !entry.encrypted
+      ),
+    };
+  }
+
+  /**
+   * Build a stored entry, encrypting when available
+   * @param {string} value - Secret value
+   * @returns {{encrypted: boolean, value: string}} - Stored entry
+   * @private
+   */
+  _encode(value) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      MainLogger.warn("Storing secret without encryption");
+      return { encrypted: false, value };
+    }
+
+    return {
+      encrypted: true,
+      value: safeStorage.encryptString(value).toString("base64"),
+    };
+  }
+
+  /**
+   * Write secrets to disk (owner-only permissions where supported)
+   * @returns {Promise<boolean>} - Success status
+   * @private
+   */
+  async _write() {
+    try {
+      await fs.writeFile(SECRETS_PATH, JSON.stringify(this.entries, null, 2), {
+        encoding: "utf-8",
+        mode: 0o600,
+      });
+      return true;
+    } catch (error) {
+      MainLogger.error("Error writing secrets", error);
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+const secretStore = new SecretStore();
+
+export default secretStore;
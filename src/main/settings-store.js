@@ -0,0 +1,420 @@
+import { app } from "electron";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Shared constants
+import {
+  GAME_MODES,
+  GROUP_JOIN_ORDERS,
+  LAUNCH_CONFIG,
+  VALIDATION_PATTERNS,
+} from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+import secretStore from "./secret-store.js";
+
+const SETTINGS_PATH = path.join(app.getPath("userData"), "settings.json");
+const TEMP_PATH = `${SETTINGS_PATH}.tmp`;
+const BACKUP_PATH = `${SETTINGS_PATH}.bak`;
+
+/**
+ * Current settings schema version
+ * Files without schemaVersion are treated as version 0.
+ */
+export const SETTINGS_SCHEMA_VERSION = 2;
+
+/**
+ * Problems found while loading settings, reported to the renderer
+ */
+export const SETTINGS_ISSUES = {
+  CORRUPT: "corrupt",
+  RESTORED_FROM_BACKUP: "restored_from_backup",
+  INVALID_FIELDS: "invalid_fields",
+  NEWER_VERSION: "newer_version",
+  READ_ERROR: "read_error",
+};
+
+/**
+ * Ordered migrations, each upgrading settings to its `version`
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Normalize legacy untyped settings",
+    migrate: async (settings) => ({
+      ...settings,
+      steam_id: settings.steam_id ? String(settings.steam_id).trim() : "",
+      friends_ids: Array.isArray(settings.friends_ids)
+        ? settings.friends_ids.map(String)
+        : [],
+    }),
+  },
+  {
+    version: 2,
+    description: "Move plaintext auth into the secret store",
+    migrate: async (settings) => {
+      if (settings.auth === undefined) return settings;
+
+      const { auth, ...rest } = settings;
+      if (!(await secretStore.set("auth", auth))) {
+        throw new Error("Failed to move auth to secret store");
+      }
+      return rest;
+    },
+  },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+const isSteamIdArray = (value) =>
+  Array.isArray(value) &&
+  value.every((id) => VALIDATION_PATTERNS.STEAM_ID.test(id));
+
+/**
+ * Field validators matching the AppSettings typedef in shared/types.js
+ * Each returns true when the value is acceptable.
+ */
+const FIELD_VALIDATORS = {
+  schemaVersion: (value) => Number.isInteger(value),
+  steam_id: (value) =>
+    value === "" ||
+    (typeof value === "string" && VALIDATION_PATTERNS.STEAM_ID.test(value)),
+  friends_ids: (value) =>
+    Array.isArray(value) &&
+    value.every((id) => VALIDATION_PATTERNS.STEAM_ID.test(id)),
+  avatars: (value) =>
+    isPlainObject(value) &&
+    Object.values(value).every(
+      (entry) =>
+        isPlainObject(entry) &&
+        typeof entry.avatarfull === "string" &&
+        typeof entry.fetched_at === "number"
+    ),
+  auto_join: (value) =>
+    isPlainObject(value) &&
+    Array.isArray(value.watchlist) &&
+    value.watchlist.every((id) => VALIDATION_PATTERNS.STEAM_ID.test(id)) &&
+    (value.active_hours === null ||
+      (isPlainObject(value.active_hours) &&
+        TIME_PATTERN.test(value.active_hours.start) &&
+        TIME_PATTERN.test(value.active_hours.end))),
+  squads: (value) =>
+    Array.isArray(value) &&
+    value.every(
+      (squad) =>
+        isPlainObject(squad) &&
+        typeof squad.name === "string" &&
+        squad.name.trim() !== "" &&
+        Array.isArray(squad.members) &&
+        squad.members.every((id) => VALIDATION_PATTERNS.STEAM_ID.test(id))
+    ),
+  join_filters: (value) =>
+    isPlainObject(value) &&
+    isStringArray(value.allowed_maps) &&
+    isStringArray(value.blocked_maps) &&
+    Array.isArray(value.modes) &&
+    value.modes.every(
+      (mode) => mode === GAME_MODES.CASUAL || mode === GAME_MODES.DEATHMATCH
+    ) &&
+    typeof value.skip_near_end === "boolean",
+  active_joins: (value) =>
+    Array.isArray(value) &&
+    value.every(
+      (join) =>
+        isPlainObject(join) &&
+        isSteamIdArray(join.friend_ids) &&
+        join.friend_ids.length > 0 &&
+        typeof join.follow === "boolean" &&
+        Number.isInteger(join.priority) &&
+        (join.filters === null || isPlainObject(join.filters)) &&
+        (join.order === null ||
+          Object.values(GROUP_JOIN_ORDERS).includes(join.order))
+    ),
+  auto_resume: (value) => typeof value === "boolean",
+  launch_profiles: (value) =>
+    Array.isArray(value) &&
+    value.every(
+      (profile) =>
+        isPlainObject(profile) &&
+        typeof profile.name === "string" &&
+        profile.name.trim() !== "" &&
+        typeof profile.args === "string" &&
+        profile.args.length <= LAUNCH_CONFIG.MAX_ARGS_LENGTH
+    ),
+  launch_profile: (value) => typeof value === "string",
+  launch_direct: (value) => typeof value === "boolean",
+};
+
+/**
+ * Versioned settings persistence
+ * Migrates and validates settings on load, writes atomically with a backup,
+ * and quarantines corrupt files instead of treating them as a first run.
+ */
+class SettingsStore {
+  constructor() {
+    this.pendingWrite = Promise.resolve(true);
+    // Version of a settings file from a newer app; it is never overwritten
+    this.newerVersion = null;
+  }
+
+  /**
+   * Load settings
+   * @returns {Promise<{settings: Object|null, issue: {type: string, message: string, details?: Object}|null}>}
+   *   settings is null with no issue only on a genuine first run
+   */
+  async load() {
+    let text;
+    try {
+      text = await fs.readFile(SETTINGS_PATH, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { settings: null, issue: null };
+      }
+      MainLogger.error("Error reading settings", error);
+      return {
+        settings: null,
+        issue: this._issue(SETTINGS_ISSUES.READ_ERROR, error.message),
+      };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+      if (!isPlainObject(parsed)) {
+        throw new Error("Settings root is not an object");
+      }
+    } catch (error) {
+      return this._recoverFromCorruption(error);
+    }
+
+    return this._prepare(parsed);
+  }
+
+  /**
+   * Save settings atomically, keeping the previous file as a backup
+   * Saves are queued so quick successive saves do not race on the temp file.
+   * A file written by a newer app version is never overwritten.
+   * @param {Object} settings - Settings to save (without secrets)
+   * @returns {Promise<boolean>} - Success status
+   */
+  save(settings) {
+    if (this.newerVersion !== null) {
+      MainLogger.warn("Not saving over settings from a newer app version", {
+        version: this.newerVersion,
+      });
+      return Promise.resolve(false);
+    }
+
+    const { valid } = this._validate(settings);
+    const data = { ...valid, schemaVersion: SETTINGS_SCHEMA_VERSION };
+    this.pendingWrite = this.pendingWrite.then(() => this._writeFile(data));
+    return this.pendingWrite;
+  }
+
+  /**
+   * Write the settings file atomically
+   * @param {Object} data - Validated settings with their schema version
+   * @returns {Promise<boolean>} - Success status
+   * @private
+   */
+  async _writeFile(data) {
+    try {
+      await fs.writeFile(TEMP_PATH, JSON.stringify(data, null, 2), "utf-8");
+      await fs.copyFile(SETTINGS_PATH, BACKUP_PATH).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+      await fs.rename(TEMP_PATH, SETTINGS_PATH);
+      MainLogger.info("Settings saved successfully");
+      return true;
+    } catch (error) {
+      MainLogger.error("Error writing settings", error);
+      await fs.unlink(TEMP_PATH).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * Migrate and validate parsed settings, persisting the result if it changed
+   * @param {Object} parsed - Parsed settings file
+   * @param {{type: string, message: string, details?: Object}|null} [issue] - Issue already found
+   * @returns {Promise<{settings: Object, issue: Object|null}>}
+   * @private
+   */
+  async _prepare(parsed, issue = null) {
+    const version = Number.isInteger(parsed.schemaVersion)
+      ? parsed.schemaVersion
+      : 0;
+
+    this.newerVersion = version > SETTINGS_SCHEMA_VERSION ? version : null;
+    if (this.newerVersion !== null) {
+      MainLogger.warn("Settings were written by a newer app version", {
+        version,
+        supported: SETTINGS_SCHEMA_VERSION,
+      });
+      return {
+        settings: parsed,
+        issue:
+          issue ||
+          this._issue(
+            SETTINGS_ISSUES.NEWER_VERSION,
+            "Settings were saved by a newer version of the app"
+          ),
+      };
+    }
+
+    let settings;
+    try {
+      settings = await this._migrate(parsed, version);
+    } catch (error) {
+      // Leave the file untouched so the migration is retried next launch
+      MainLogger.error("Settings migration failed", error.message);
+      const { valid } = this._validate(parsed);
+      delete valid.auth;
+      return { settings: valid, issue };
+    }
+
+    const { valid, invalidFields } = this._validate(settings);
+    if (invalidFields.length > 0) {
+      MainLogger.warn("Dropped invalid settings fields", { invalidFields });
+      issue =
+        issue ||
+        this._issue(
+          SETTINGS_ISSUES.INVALID_FIELDS,
+          "Some settings were invalid and have been reset",
+          { invalidFields }
+        );
+    }
+
+    // Persist when migrated, cleaned or restored from backup
+    if (issue || version !== SETTINGS_SCHEMA_VERSION) {
+      await this.save(valid);
+    }
+
+    MainLogger.info("Settings loaded successfully", {
+      schemaVersion: SETTINGS_SCHEMA_VERSION,
+    });
+    return {
+      settings: { ...valid, schemaVersion: SETTINGS_SCHEMA_VERSION },
+      issue,
+    };
+  }
+
+  /**
+   * Run migrations newer than the file's version, in order
+   * @param {Object} settings - Settings at fromVersion
+   * @param {number} fromVersion - Version of the loaded file
+   * @returns {Promise<Object>} - Migrated settings
+   * @private
+   */
+  async _migrate(settings, fromVersion) {
+    let result = { ...settings };
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= fromVersion) continue;
+
+      result = await migration.migrate(result);
+      result.schemaVersion = migration.version;
+      MainLogger.info(
+        `Settings migrated to v${migration.version}: ${migration.description}`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Split settings into valid known fields and the names of invalid ones
+   * Unknown fields are kept so newer features do not lose data.
+   * @param {Object} settings - Settings to validate
+   * @returns {{valid: Object, invalidFields: string[]}}
+   * @private
+   */
+  _validate(settings) {
+    const valid = {};
+    const invalidFields = [];
+
+    Object.entries(settings || {}).forEach(([key, value]) => {
+      const validator = FIELD_VALIDATORS[key];
+      if (!validator || validator(value)) {
+        valid[key] = value;
+      } else {
+        invalidFields.push(key);
+      }
+    });
+
+    return { valid, invalidFields };
+  }
+
+  /**
+   * Quarantine a corrupt settings file and try the backup
+   * @param {Error} error - Parse error
+   * @returns {Promise<{settings: Object|null, issue: Object}>}
+   * @private
+   */
+  async _recoverFromCorruption(error) {
+    const quarantinePath = path.join(
+      path.dirname(SETTINGS_PATH),
+      `settings.corrupt-${Date.now()}.json`
+    );
+
+    try {
+      await fs.rename(SETTINGS_PATH, quarantinePath);
+      MainLogger.error("Corrupt settings file quarantined", {
+        error: error.message,
+        quarantinePath,
+      });
+    } catch (renameError) {
+      MainLogger.error("Failed to quarantine settings file", renameError);
+    }
+
+    try {
+      const backup = JSON.parse(await fs.readFile(BACKUP_PATH, "utf-8"));
+      if (isPlainObject(backup)) {
+        MainLogger.info("Settings restored from backup");
+        return this._prepare(
+          backup,
+          this._issue(
+            SETTINGS_ISSUES.RESTORED_FROM_BACKUP,
+            "Settings file was corrupt and has been restored from a backup",
+            { quarantinePath }
+          )
+        );
+      }
+    } catch {
+      // No usable backup
+    }
+
+    return {
+      settings: null,
+      issue: this._issue(
+        SETTINGS_ISSUES.CORRUPT,
+        "Settings file was corrupt and could not be restored",
+        { quarantinePath }
+      ),
+    };
+  }
+
+  /**
+   * Build an issue object
+   * @param {string} type - One of SETTINGS_ISSUES
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra details
+   * @returns {{type: string, message: string, details?: Object}}
+   * @private
+   */
+  _issue(type, message, details = undefined) {
+    return details ? { type, message, details } : { type, message };
+  }
+}
+
+// Singleton instance
+const settingsStore = new SettingsStore();
+
+export default settingsStore;
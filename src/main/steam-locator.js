@@ -0,0 +1,232 @@
+import { execFile } from "child_process";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// Shared constants
+import { VALIDATION_PATTERNS } from "../shared/constants.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+
+// UI and utilities
+import KVParser from "../utils/kv-parser.js";
+
+const CS2_APP_ID = "730";
+
+/**
+ * Usual Steam install folders per platform, most likely first
+ * @returns {string[]} - Candidate Steam roots
+ */
+const getCandidateRoots = () => {
+  const home = os.homedir();
+
+  if (process.platform === "win32") {
+    return [
+      process.env["ProgramFiles(x86)"] &&
+        path.join(process.env["ProgramFiles(x86)"], "Steam"),
+      process.env.ProgramFiles && path.join(process.env.ProgramFiles, "Steam"),
+      "C:\\Program Files (x86)\\Steam",
+    ].filter(Boolean);
+  }
+
+  if (process.platform === "darwin") {
+    return [path.join(home, "Library", "Application Support", "Steam")];
+  }
+
+  return [
+    path.join(home, ".steam", "steam"),
+    path.join(home, ".steam", "root"),
+    path.join(home, ".local", "share", "Steam"),
+    // Flatpak and Snap installs
+    path.join(
+      home,
+      ".var",
+      "app",
+      "com.valvesoftware.Steam",
+      ".local",
+      "share",
+      "Steam"
+    ),
+    path.join(home, "snap", "steam", "common", ".local", "share", "Steam"),
+  ];
+};
+
+/**
+ * Read and parse a KeyValues file, unwrapping its root block
+ * @param {string} filePath - .vdf / .acf file
+ * @returns {Promise<Object|null>} - Parsed contents, or null if unreadable
+ */
+const readKVFile = async (filePath) => {
+  try {
+    return KVParser.parseRoot(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+const isDirectory = async (dirPath) => {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Local Steam installation locator
+ * Finds the Steam folder, the most recent Steam user and the CS2 install
+ * from Steam's own files. Anything not found is reported as null.
+ */
+export class SteamLocator {
+  constructor() {
+    this.result = null;
+  }
+
+  /**
+   * Locate Steam, the signed in user and CS2
+   * The result is cached for the session; pass refresh to look again.
+   * @param {boolean} [refresh=false] - Ignore the cached result
+   * @returns {Promise<import('../shared/types.js').SteamInstallation>} - What was found
+   */
+  async locate(refresh = false) {
+    if (this.result && !refresh) return this.result;
+
+    const result = {
+      steam_root: null,
+      steamid: null,
+      personaname: null,
+      cs2_path: null,
+    };
+
+    try {
+      result.steam_root = await this.findSteamRoot();
+      if (result.steam_root) {
+        Object.assign(result, await this.findRecentUser(result.steam_root));
+        result.cs2_path = await this.findCS2(result.steam_root);
+      }
+    } catch (error) {
+      MainLogger.warn("Steam locator failed", error.message);
+    }
+
+    MainLogger.info("Steam installation located", {
+      steam_root: result.steam_root,
+      has_steamid: !!result.steamid,
+      cs2_path: result.cs2_path,
+    });
+    this.result = result;
+    return result;
+  }
+
+  /**
+   * Find the Steam folder
+   * @returns {Promise<string|null>} - Steam root or null
+   */
+  async findSteamRoot() {
+    const registryRoot = await this._readRegistrySteamPath();
+    const candidates = [registryRoot, ...getCandidateRoots()].filter(Boolean);
+
+    for (const candidate of candidates) {
+      if (await isDirectory(path.join(candidate, "steamapps"))) {
+        return path.resolve(candidate);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the most recently signed in user in config/loginusers.vdf
+   * @param {string} steamRoot - Steam root
+   * @returns {Promise<{steamid: string|null, personaname: string|null}>} - Recent user
+   */
+  async findRecentUser(steamRoot) {
+    const users = await readKVFile(
+      path.join(steamRoot, "config", "loginusers.vdf")
+    );
+
+    // Older clients write "mostrecent", newer ones "MostRecent"
+    const field = (user, name) =>
+      user[name] ?? user[name.toLowerCase()] ?? null;
+
+    const [steamid, user] =
+      Object.entries(users || {})
+        .filter(
+          ([id, entry]) =>
+            VALIDATION_PATTERNS.STEAM_ID.test(id) &&
+            entry !== null &&
+            typeof entry === "object"
+        )
+        .sort(
+          ([, a], [, b]) =>
+            Number(field(b, "MostRecent") === "1") -
+              Number(field(a, "MostRecent") === "1") ||
+            Number(field(b, "Timestamp") || 0) -
+              Number(field(a, "Timestamp") || 0)
+        )[0] || [];
+
+    return {
+      steamid: steamid || null,
+      personaname: user ? field(user, "PersonaName") : null,
+    };
+  }
+
+  /**
+   * Find the CS2 install folder through the Steam libraries
+   * @param {string} steamRoot - Steam root
+   * @returns {Promise<string|null>} - "Counter-Strike Global Offensive" folder or null
+   */
+  async findCS2(steamRoot) {
+    const folders = await readKVFile(
+      path.join(steamRoot, "steamapps", "libraryfolders.vdf")
+    );
+
+    // Libraries that list CS2 go first; the Steam root is always a library
+    const libraries = Object.values(folders || {})
+      .filter((folder) => folder && typeof folder.path === "string")
+      .sort(
+        (a, b) =>
+          Number(CS2_APP_ID in (b.apps || {})) -
+          Number(CS2_APP_ID in (a.apps || {}))
+      )
+      .map((folder) => folder.path);
+    libraries.push(steamRoot);
+
+    for (const library of [...new Set(libraries)]) {
+      const steamapps = path.join(library, "steamapps");
+      const manifest = await readKVFile(
+        path.join(steamapps, `appmanifest_${CS2_APP_ID}.acf`)
+      );
+      if (!manifest?.installdir) continue;
+
+      const installPath = path.join(steamapps, "common", manifest.installdir);
+      if (await isDirectory(installPath)) return installPath;
+    }
+    return null;
+  }
+
+  /**
+   * Windows: ask the registry where Steam is installed
+   * @returns {Promise<string|null>} - Steam path or null
+   * @private
+   */
+  _readRegistrySteamPath() {
+    if (process.platform !== "win32") return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      execFile(
+        "reg",
+        ["query", "HKCU\\Software\\Valve\\Steam", "/v", "SteamPath"],
+        { timeout: 5000, windowsHide: true },
+        (error, stdout) => {
+          const match = /SteamPath\s+REG_SZ\s+(.+)/.exec(stdout || "");
+          resolve(error || !match ? null : path.normalize(match[1].trim()));
+        }
+      );
+    });
+  }
+}
+
+// Singleton instance
+const steamLocator = new SteamLocator();
+
+export default steamLocator;
@@ -0,0 +1,260 @@
+// Shared constants
+import { ERROR_CODES } from "../shared/constants.js";
+
+// Steam modules
+import SteamAPI from "../steam/steam-api.js";
+
+// Main process modules
+import MainLogger from "./main-logger.js";
+import secretStore from "./secret-store.js";
+
+// UI and utilities
+import Validators from "../utils/validators.js";
+import ErrorHandler from "../utils/error-handler.js";
+
+/**
+ * Steam service methods callable from the renderer, mapped to "steam:<name>" channels
+ */
+export const STEAM_SERVICE_METHODS = [
+  "setCredentials",
+  "getCredentialsStatus",
+  "getFriendsList",
+  "getFriendsStatuses",
+  "getFriendConnectInfo",
+  "getJoinCandidates",
+  "getUserGameServerSteamId",
+  "resolveVanityUrl",
+  "isPlayerInCS2",
+  "checkUserGameMode",
+  "invalidateCache",
+  "getRateLimitStatus",
+  "getCacheStats",
+];
+
+/**
+ * Main process host for the steam layer
+ * Holds the credentials and injects them into every Steam API call,
+ * so the renderer never sees the API key / token.
+ */
+class SteamService {
+  constructor() {
+    this.steamId = "";
+    this.auth = "";
+  }
+
+  /**
+   * Load the stored auth from the secret store
+   * Must be called after the secret store is initialized.
+   */
+  initialize() {
+    this.auth = secretStore.get("auth") || "";
+  }
+
+  /**
+   * Register an IPC handler per service method
+   * Results are wrapped as {ok, data} / {ok, error} so error codes survive IPC.
+   * @param {Electron.IpcMain} ipcMain - Electron IPC main
+   */
+  registerIpcHandlers(ipcMain) {
+    STEAM_SERVICE_METHODS.forEach((name) => {
+      ipcMain.handle(`steam:${name}`, async (event, ...args) => {
+        try {
+          return { ok: true, data: await this[name](...args) };
+        } catch (error) {
+          MainLogger.warn(`steam:${name} failed: ${error.message}`);
+          return {
+            ok: false,
+            error: { message: error.message, code: error.code || null },
+          };
+        }
+      });
+    });
+  }
+
+  // ===== CREDENTIALS =====
+
+  /**
+   * Update the user's SteamID64 (not secret, kept in settings.json)
+   * @param {string} steamId - SteamID64
+   */
+  setSteamId(steamId) {
+    this.steamId = steamId || "";
+  }
+
+  /**
+   * Set credentials; a provided auth is validated and stored encrypted
+   * Omitting auth keeps the stored one, an empty string clears it.
+   * @param {{steamId?: string, auth?: string}} credentials - New credentials
+   * @returns {Promise<Object>} - Credentials status (see getCredentialsStatus)
+   */
+  async setCredentials({ steamId, auth } = {}) {
+    if (steamId !== undefined) this.setSteamId(steamId);
+
+    if (auth !== undefined) {
+      const extracted = Validators.extractApiKeyOrToken((auth || "").trim());
+      if (extracted && !Validators.validateApiAuth(extracted)) {
+        throw ErrorHandler.createError(ERROR_CODES.INVALID_CREDENTIALS);
+      }
+
+      if (!(await secretStore.set("auth", extracted))) {
+        throw new Error("Failed to store API key / token");
+      }
+      this.auth = extracted || "";
+      SteamAPI.invalidateCache();
+      MainLogger.info("Steam credentials updated", { hasAuth: !!this.auth });
+    }
+
+    return this.getCredentialsStatus();
+  }
+
+  /**
+   * Describe the stored credentials without exposing the secret
+   * @returns {{steamId: string, hasAuth: boolean, authType: string|null, tokenInfo: {steamid: string, expires: number}|null, tokenExpired: boolean}}
+   */
+  getCredentialsStatus() {
+    const token = Validators.extractTokenIfAny(this.auth);
+    const info = token ? Validators.parseWebApiToken(token) : null;
+
+    return {
+      steamId: this.steamId,
+      hasAuth: !!this.auth,
+      authType: this.auth ? (token ? "token" : "key") : null,
+      tokenInfo: info ? { steamid: info.steamid, expires: info.expires } : null,
+      tokenExpired: info ? info.expires * 1000 < Date.now() : false,
+    };
+  }
+
+  /**
+   * Get the stored auth or throw a coded error
+   * @returns {string} - API key or token
+   * @private
+   */
+  _requireAuth() {
+    if (!this.auth) {
+      throw ErrorHandler.createError(ERROR_CODES.MISSING_CREDENTIALS);
+    }
+    return this.auth;
+  }
+
+  // ===== STEAM API =====
+
+  /**
+   * Get the user's friends list
+   * @param {string} [steamId] - SteamID64, defaults to the stored one
+   * @returns {Promise<string[]>} - Friend Steam IDs
+   */
+  async getFriendsList(steamId = this.steamId) {
+    return SteamAPI.getFriendsList(steamId, this._requireAuth());
+  }
+
+  /**
+   * Get friends' game status and avatars
+   * @param {string[]} friendIds - Friend Steam IDs
+   * @param {Object} [avatarsCache] - Cached avatars by Steam ID
+   * @returns {Promise<import('../shared/types.js').Friend[]>} - Friends
+   */
+  async getFriendsStatuses(friendIds, avatarsCache = {}) {
+    return SteamAPI.getFriendsStatuses(
+      friendIds,
+      this._requireAuth(),
+      avatarsCache
+    );
+  }
+
+  /**
+   * Get connect information for a friend
+   * @param {string} friendId - Friend's Steam ID
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<string|null>} - Connect string or null
+   */
+  async getFriendConnectInfo(friendId, options = {}) {
+    return SteamAPI.getFriendConnectInfo(
+      friendId,
+      this._requireAuth(),
+      options
+    );
+  }
+
+  /**
+   * Get connect information for several friends in one batched request
+   * @param {string[]} friendIds - Friends' Steam IDs
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<import('../shared/types.js').JoinCandidate[]>} - Join candidates
+   */
+  async getJoinCandidates(friendIds, options = {}) {
+    return SteamAPI.getJoinCandidates(friendIds, this._requireAuth(), options);
+  }
+
+  /**
+   * Get the game server Steam ID for a user
+   * @param {string} steamId - Steam ID to check
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<string|null>} - Game server Steam ID or null
+   */
+  async getUserGameServerSteamId(steamId, options = {}) {
+    return SteamAPI.getUserGameServerSteamId(
+      steamId,
+      this._requireAuth(),
+      options
+    );
+  }
+
+  /**
+   * Resolve a vanity URL to a SteamID64
+   * @param {string} vanityUrl - Vanity URL name
+   * @returns {Promise<string|null>} - Steam ID or null
+   */
+  async resolveVanityUrl(vanityUrl) {
+    return SteamAPI.resolveVanityUrl(vanityUrl, this._requireAuth());
+  }
+
+  /**
+   * Check if a player is playing CS2
+   * @param {string} [steamId] - Steam ID, defaults to the stored one
+   * @param {boolean} [requireLobby] - Whether to require lobby state
+   * @returns {Promise<boolean>} - Whether the player is in CS2
+   */
+  async isPlayerInCS2(steamId = this.steamId, requireLobby = false) {
+    return SteamAPI.isPlayerInCS2(steamId, this._requireAuth(), requireLobby);
+  }
+
+  /**
+   * Check if a player is in Competitive or Premier
+   * @param {string} [steamId] - Steam ID, defaults to the stored one
+   * @returns {Promise<boolean>} - Whether the player is in ranked matchmaking
+   */
+  async checkUserGameMode(steamId = this.steamId) {
+    return SteamAPI.checkUserGameMode(steamId, this._requireAuth());
+  }
+
+  // ===== DIAGNOSTICS =====
+
+  /**
+   * Invalidate cached API responses
+   * @param {string|null} [method] - API method, or everything
+   */
+  invalidateCache(method = null) {
+    SteamAPI.invalidateCache(method);
+  }
+
+  /**
+   * Get the shared rate limiter status
+   * @returns {Object} - Rate limiter status
+   */
+  getRateLimitStatus() {
+    return SteamAPI.getRateLimitStatus();
+  }
+
+  /**
+   * Get response cache statistics
+   * @returns {Object} - Cache statistics
+   */
+  getCacheStats() {
+    return SteamAPI.getCacheStats();
+  }
+}
+
+// Singleton instance
+const steamService = new SteamService();
+
+export default steamService;
@@ -8,6 +8,65 @@ export const API_CONFIG = {
   JOIN_LOOP_INTERVAL_MS: 200,
   MISSING_TIMEOUT_MS: 60000,
   JOIN_SUCCESS_DISPLAY_MS: 1500,
+  // How often follow mode compares the friend's server with the user's
+  FOLLOW_POLL_INTERVAL_MS: 3000,
+  // Window for merging concurrent GetPlayerLinkDetails calls into one request
+  LINK_DETAILS_COALESCE_WINDOW_MS: 25,
+  LINK_DETAILS_MAX_BATCH_SIZE: 100,
+};
+
+export const POLL_CONFIG = {
+  // Join polls back off from JOIN_LOOP_INTERVAL_MS to this while a server stays full
+  MAX_INTERVAL_MS: 3000,
+  // Time without a connect string or score change before backing off
+  BACKOFF_AFTER_MS: 15000,
+  // The poll interval doubles after every further step of quiet time
+  BACKOFF_STEP_MS: 15000,
+  // Budget shared by join polls and auto-refresh, below RATE_LIMIT_CONFIG
+  // to leave room for CS2 checks and user actions
+  BUDGET_PER_SECOND: 8,
+  BUDGET_BURST: 8,
+  // An auto-refresh fetches summaries and link details
+  AUTO_REFRESH_COST: 2,
+};
+
+export const JOIN_QUEUE_CONFIG = {
+  // Join attempts polling Steam at the same time; the rest wait in the queue
+  MAX_CONCURRENT_ATTEMPTS: 2,
+  // Per target, counted from the moment Join was pressed
+  DEFAULT_DEADLINE_MS: 5 * 60 * 1000,
+  DEFAULT_MAX_ATTEMPTS: 30,
+  PRIORITIES: {
+    LOW: -1,
+    NORMAL: 0,
+    HIGH: 1,
+  },
+};
+
+export const RETRY_CONFIG = {
+  // Statuses worth retrying: rate limiting and transient server failures
+  RETRYABLE_STATUSES: [429, 500, 502, 503, 504],
+  BASE_DELAY_MS: 250,
+  MAX_DELAY_MS: 8000,
+  // Used when Steam sends 429 without a usable Retry-After header
+  DEFAULT_RETRY_AFTER_MS: 5000,
+  MAX_RETRY_AFTER_MS: 60000,
+};
+
+export const RATE_LIMIT_CONFIG = {
+  // Shared by every caller (auto-refresh, join loops, CS2 checks)
+  MAX_REQUESTS_PER_SECOND: 10,
+  BURST_SIZE: 10,
+  MAX_CONCURRENT_REQUESTS: 4,
+};
+
+export const CACHE_CONFIG = {
+  LINK_DETAILS_TTL_MS: 1000,
+  PLAYER_SUMMARIES_TTL_MS: 10 * 60 * 1000,
+  VANITY_URL_TTL_MS: 60 * 60 * 1000,
+  // Persisted avatars older than this are fetched again
+  SAVED_AVATAR_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+  SAVED_AVATARS_SAVE_DELAY_MS: 2000,
 };
 
 export const WINDOW_CONFIG = {
@@ -18,11 +77,132 @@ export const WINDOW_CONFIG = {
 };
 
 export const STATUS_TYPES = {
+  IDLE: "idle",
+  QUEUED: "queued",
   WAITING: "waiting",
   CONNECTING: "connecting",
+  VERIFYING: "verifying",
   JOINED: "joined",
+  FOLLOWING: "following",
   CANCELLED: "cancelled",
   MISSING: "missing",
+  FAILED: "failed",
+};
+
+// Statuses of a join attempt that is still running
+export const ACTIVE_STATUS_TYPES = [
+  STATUS_TYPES.QUEUED,
+  STATUS_TYPES.WAITING,
+  STATUS_TYPES.CONNECTING,
+  STATUS_TYPES.VERIFYING,
+  STATUS_TYPES.MISSING,
+  STATUS_TYPES.FOLLOWING,
+];
+
+// What cancelled a join attempt
+export const CANCEL_CAUSES = {
+  USER: "user",
+  // Another join succeeded (cancelAllExcept), e.g. a group sibling
+  OTHER_JOINED: "other_joined",
+  // Join states were discarded (resetAll)
+  RESET: "reset",
+};
+
+// How a join group picks between members with an open slot
+export const GROUP_JOIN_ORDERS = {
+  ORDER: "order",
+  FEWEST_PLAYERS: "fewest_players",
+};
+
+export const JOIN_FILTER_CONFIG = {
+  // Casual matches end when a team wins this many rounds
+  CASUAL_ROUNDS_TO_WIN: 8,
+  // "Almost over": a team is this many rounds (or fewer) from winning
+  NEAR_END_ROUNDS_LEFT: 1,
+};
+
+export const HISTORY_CONFIG = {
+  // Finished join attempts kept in history.json
+  MAX_ENTRIES: 1000,
+  // Attempts listed in the History panel
+  PANEL_ENTRIES: 20,
+};
+
+export const GSI_CONFIG = {
+  // Local listener for CS2 Game State Integration posts
+  HOST: "127.0.0.1",
+  PORT: 47830,
+  MAX_BODY_BYTES: 64 * 1024,
+  CFG_FILENAME: "gamestate_integration_casualenjoyer.cfg",
+  // CS2 posts at least this often while running
+  HEARTBEAT_S: 10,
+  // Local state older than this is ignored in favour of the Web API
+  STALE_AFTER_MS: 15000,
+};
+
+export const CONSOLE_LOG_CONFIG = {
+  // Written by CS2 when launched with -condebug, relative to the CS2 install
+  RELATIVE_PATH: ["game", "csgo", "console.log"],
+  // How often the log is checked for new lines
+  POLL_INTERVAL_MS: 500,
+  // Most bytes read per check; a longer backlog is read over several checks
+  MAX_READ_BYTES: 65536,
+};
+
+// Structured events read from the CS2 console log
+export const CONSOLE_EVENTS = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  DISCONNECTED: "disconnected",
+  SERVER_FULL: "server_full",
+  CONNECTION_FAILED: "connection_failed",
+  MAP_LOADED: "map_loaded",
+};
+
+export const PROCESS_WATCH_CONFIG = {
+  // How often the process table is scanned for CS2
+  INTERVAL_MS: 2000,
+  // Executable names, lowercase (cs2.exe also under Proton on Linux)
+  EXECUTABLES: ["cs2", "cs2.exe"],
+  // Limit for one scan command before it counts as failed
+  SCAN_TIMEOUT_MS: 5000,
+};
+
+export const LAUNCH_CONFIG = {
+  // One launch argument: -flag, +command or a plain value, no quotes or URL syntax
+  ARG_PATTERN: /^[+-]?[\w.:/\\-]+$/,
+  MAX_ARGS_LENGTH: 512,
+  // Shown as the example in an empty profile
+  SUGGESTED_ARGS: "-novid -console -condebug",
+};
+
+export const SESSION_CONFIG = {
+  // Batches quick successive join transitions into one settings write
+  SAVE_DELAY_MS: 1000,
+};
+
+export const JOIN_VERIFY_CONFIG = {
+  // How long a connect attempt may take to land on the friend's server
+  TIMEOUT_MS: 30000,
+  SAMPLE_INTERVAL_MS: 1000,
+  // Consecutive samples the user's server must hold to count as joined
+  REQUIRED_SAMPLES: 3,
+};
+
+// Verification outcome of a connect attempt
+export const JOIN_OUTCOMES = {
+  JOINED: "joined",
+  REJECTED: "rejected",
+  WRONG_SERVER: "wrong_server",
+  TIMED_OUT: "timed_out",
+};
+
+// The user's progress through a connect, from rich presence
+export const PRESENCE_PHASES = {
+  OFFLINE: "offline",
+  LOBBY: "lobby",
+  LOADING: "loading",
+  IN_GAME: "in_game",
 };
 
 export const ERROR_CODES = {
@@ -30,6 +210,8 @@ export const ERROR_CODES = {
   EMPTY_FRIENDS_LIST: "EMPTY_FRIENDS_LIST",
   API_ERROR_403: "API_ERROR_403",
   API_ERROR_401: "API_ERROR_401",
+  MISSING_CREDENTIALS: "MISSING_CREDENTIALS",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
 };
 
 export const VALIDATION_PATTERNS = {
@@ -72,6 +254,13 @@ export const GAME_MODES = {
   COMPETITIVE: "competitive",
   PREMIER: "premier",
   DEATHMATCH: "deathmatch",
+  WINGMAN: "wingman",
+  ARMS_RACE: "armsrace",
+  RETAKES: "retakes",
+  WORKSHOP: "workshop",
+  LOBBY: "lobby",
+  MENU: "menu",
+  UNKNOWN: "unknown",
 };
 
 /**
@@ -93,6 +282,7 @@ export const TUTORIAL_MOCK_FRIEND = {
   profilestate: 1,
   personastate: 0,
   status: "Casual Dust2 [ 7 : 0 ]",
+  mode: GAME_MODES.CASUAL,
   in_casual_mode: true,
   join_available: true,
 };
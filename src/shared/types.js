@@ -8,6 +8,7 @@
  * @property {string} steamid - Steam ID of the friend
  * @property {string} personaname - Display name
  * @property {string} status - Game status text
+ * @property {string} mode - Classified game mode (one of GAME_MODES)
  * @property {boolean} in_casual_mode - Whether friend is in supported mode (casual or deathmatch)
  * @property {boolean} join_available - Whether join is available
  * @property {string} game_map - Current map
@@ -17,20 +18,209 @@
  * @property {string} avatar - Avatar URL
  */
 
+/**
+ * @typedef {Object} RichPresence
+ * @property {string|null} status - Localized status line
+ * @property {string|null} game_state - game:state (lobby, game, ...)
+ * @property {string|null} game_mode - game:mode (casual, deathmatch, ...)
+ * @property {string|null} game_map - game:map
+ * @property {string|null} game_mapgroupname - game:mapgroupname
+ * @property {string|null} game_score - game:score
+ * @property {string|null} game_act - game:act
+ * @property {string|null} connect - Connect string for joining
+ * @property {string|null} game_server_steam_id - Game server Steam ID
+ * @property {string|null} player_group - steam_player_group
+ * @property {number|null} player_group_size - steam_player_group_size
+ * @property {number|null} num_players - members:numPlayers
+ * @property {Object<string, string>} raw - Every key from the KV data, nested blocks joined with "/"
+ */
+
+/**
+ * @typedef {Object} JoinCandidate
+ * @property {string} steamid - Friend Steam ID
+ * @property {boolean} in_cs2 - Whether the player is running CS2
+ * @property {string} game_mode - One of GAME_MODES
+ * @property {boolean} in_casual_mode - Whether the friend is in a supported mode
+ * @property {string|null} connect - Connect string while in a supported mode
+ * @property {string|null} game_server_id - Game server Steam ID
+ * @property {number|null} num_players - Players on the friend's server (members:numPlayers)
+ * @property {string|null} game_map - Friend's current map (game:map)
+ * @property {string|null} game_score - Friend's current score (game:score)
+ */
+
 /**
  * @typedef {Object} JoinState
- * @property {string} status - Join status (waiting|connecting|joined|cancelled|missing)
- * @property {boolean} cancelled - Whether the join was cancelled
- * @property {number|null} interval - Interval ID for join loop
+ * @property {string} status - Join status (queued|waiting|connecting|verifying|joined|following|cancelled|missing|failed)
+ * @property {boolean} [follow] - Whether to keep following the friend after joining
+ * @property {number} [attemptId] - Number of the join attempt, new for every Join press
+ * @property {number} [queuePosition] - 1-based position while queued, 0 otherwise
+ * @property {number} [attempts] - Connect attempts made so far
+ * @property {number} [maxAttempts] - Connect attempts allowed
+ * @property {number} [priority] - Queue priority, one of JOIN_QUEUE_CONFIG.PRIORITIES
+ * @property {string[]|null} [group] - Members of the group join this attempt belongs to
+ * @property {string|null} [order] - Group order, one of GROUP_JOIN_ORDERS
+ * @property {number} [deadlineMs] - Time allowed per join cycle
+ * @property {number} [deadlineAt] - Timestamp after which the attempt gives up
+ * @property {number} [cycleStartedAt] - Timestamp the current join cycle started (follow mode starts new cycles)
+ * @property {string|null} [map] - Map the friend was last seen on
+ * @property {string} [mode] - Mode the friend was last seen in, one of GAME_MODES
+ * @property {Partial<JoinFilters>|null} [filters] - Filters set for this join, over the global ones
+ * @property {string|null} [holdReason] - Why the join is holding off on a joinable server
+ * @property {string|null} [reason] - Why the attempt failed
+ * @property {string|null} [cancelCause] - What cancelled the attempt, one of CANCEL_CAUSES
+ * @property {string} [presencePhase] - User's progress while verifying, one of PRESENCE_PHASES
+ * @property {string} [outcome] - Outcome of the latest connect attempt, one of JOIN_OUTCOMES
+ * @property {string|null} [connectError] - Why CS2 said the latest connect attempt failed, e.g. "Server is full"
+ * @property {{outcome: string, phases: {phase: string, at: number}[], connectError: string|null, finishedAt: number}[]} [outcomes] - Outcomes of every connect attempt
  * @property {string} [personaname] - Cached friend name
  * @property {string} [avatar] - Cached friend avatar
+ * @property {number} startedAt - Timestamp when the attempt started
+ * @property {number} updatedAt - Timestamp of the last transition
+ */
+
+/**
+ * @typedef {Object} SavedAvatar
+ * @property {string} avatarfull - Avatar URL
+ * @property {number} fetched_at - Timestamp when the avatar was fetched
  */
 
 /**
  * @typedef {Object} AppSettings
+ * @property {number} schemaVersion - Settings schema version (see main/settings-store.js)
  * @property {string} steam_id - User's Steam ID
- * @property {string} auth - API key or token
+ * @property {boolean} [has_auth] - Whether an API key / token is stored (set on load; the secret stays in the main process)
  * @property {string[]} friends_ids - Array of friend Steam IDs
+ * @property {Object<string, SavedAvatar>} [avatars] - Persisted avatars by Steam ID
+ * @property {AutoJoinSettings} [auto_join] - Watchlist and auto-join rules
+ * @property {Squad[]} [squads] - Saved join groups
+ * @property {JoinFilters} [join_filters] - Filters applied to every join
+ * @property {ResumableJoin[]} [active_joins] - Joins and follows running when the app last saved them
+ * @property {boolean} [auto_resume] - Resume active_joins on launch without asking
+ * @property {LaunchProfile[]} [launch_profiles] - Saved CS2 launch options
+ * @property {string} [launch_profile] - Name of the profile used to launch CS2, empty for none
+ * @property {boolean} [launch_direct] - Launch CS2 and join without asking first
+ */
+
+/**
+ * @typedef {Object} ResumableJoin
+ * @property {string[]} friend_ids - Friend to join, or group members in order of preference
+ * @property {boolean} follow - Whether the friend was being followed
+ * @property {number} priority - Queue priority, one of JOIN_QUEUE_CONFIG.PRIORITIES
+ * @property {Partial<JoinFilters>|null} filters - Filters set for this join
+ * @property {string|null} order - Group order, one of GROUP_JOIN_ORDERS, null for a single friend
+ */
+
+/**
+ * @typedef {Object} LaunchProfile
+ * @property {string} name - Profile name
+ * @property {string} args - Launch arguments, e.g. "-novid -console"
+ */
+
+/**
+ * @typedef {Object} Squad
+ * @property {string} name - Squad name
+ * @property {string[]} members - Steam IDs in order of preference
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} friend_id - Steam ID of the target friend
+ * @property {string|null} personaname - Friend name at the time
+ * @property {number} started_at - Timestamp the attempt (or follow cycle) started
+ * @property {number} ended_at - Timestamp the attempt ended
+ * @property {number} connect_attempts - Connect strings opened
+ * @property {number|null} time_to_join_ms - Time until joined, null if not joined
+ * @property {string} outcome - Final status (joined|cancelled|failed)
+ * @property {string|null} reason - Why the attempt failed
+ * @property {string|null} verify_outcome - Last verification outcome, one of JOIN_OUTCOMES
+ * @property {string|null} map - Friend's map
+ * @property {string|null} mode - Friend's mode, one of GAME_MODES
+ */
+
+/**
+ * @typedef {Object} HistoryStats
+ * @property {number} total - Recorded attempts
+ * @property {number} joined - Successful attempts
+ * @property {number|null} success_rate - Joined / (joined + failed), null without finished attempts
+ * @property {number|null} median_wait_ms - Median time to join
+ * @property {{map: string, joins: number, median_wait_ms: number}[]} maps - Median wait per map, most joined first
+ * @property {{friend_id: string, personaname: string|null, joined: number, failed: number, cancelled: number, success_rate: number|null}[]} friends - Per friend results, most attempted first
+ * @property {number[]} hours - Attempts started in each local hour (0-23)
+ */
+
+/**
+ * @typedef {Object} GameState
+ * @property {string|null} steamid - Steam ID of the player running CS2 (provider.steamid)
+ * @property {string|null} activity - menu, playing or textinput
+ * @property {string|null} map - Map name, null in the main menu
+ * @property {string|null} mode - Raw game mode (casual, deathmatch, competitive, ...)
+ * @property {string|null} phase - Match phase (warmup, live, intermission, gameover)
+ * @property {number|null} round - Rounds played so far
+ * @property {string|null} round_phase - Round phase (freezetime, live, over)
+ * @property {number|null} score_ct - CT rounds won
+ * @property {number|null} score_t - T rounds won
+ * @property {number} received_at - Timestamp the post arrived
+ */
+
+/**
+ * @typedef {Object} GsiStatus
+ * @property {boolean} listening - Whether the local listener is up
+ * @property {number} port - Listener port on 127.0.0.1
+ * @property {GameState|null} state - Latest game state, if any arrived
+ */
+
+/**
+ * @typedef {Object} SteamInstallation
+ * @property {string|null} steam_root - Steam install folder
+ * @property {string|null} steamid - SteamID64 of the most recent Steam user
+ * @property {string|null} personaname - Name of that user
+ * @property {string|null} cs2_path - "Counter-Strike Global Offensive" install folder
+ */
+
+/**
+ * @typedef {Object} CS2ProcessState
+ * @property {boolean|null} running - Whether the CS2 executable is running, null if the last scan could not tell
+ * @property {number|null} pid - Process ID while running
+ * @property {number} since - Timestamp CS2 was seen starting, exiting or the scan failing
+ */
+
+/**
+ * @typedef {Object} ConsoleEvent
+ * @property {string} type - One of CONSOLE_EVENTS
+ * @property {string|null} address - Server address while connecting or connected, or of the connect that failed
+ * @property {string|null} map - Map that was loaded
+ * @property {string|null} reason - Why the connection failed or ended
+ * @property {number} at - Timestamp the line was read
+ */
+
+/**
+ * @typedef {Object} AutoJoinSettings
+ * @property {string[]} watchlist - Steam IDs of friends to join automatically
+ * @property {{start: string, end: string}|null} active_hours - Local "HH:MM" window for auto-join, null for any time
+ */
+
+/**
+ * @typedef {Object} JoinFilters
+ * @property {string[]} allowed_maps - Only join on these maps (lowercase), empty for any
+ * @property {string[]} blocked_maps - Never join on these maps (lowercase)
+ * @property {string[]} modes - Modes to join (casual, deathmatch), empty for both
+ * @property {boolean} skip_near_end - Hold off while a casual match is about to end
+ */
+
+/**
+ * @typedef {Object} CredentialsStatus
+ * @property {string} steamId - SteamID64 known to the main process
+ * @property {boolean} hasAuth - Whether an API key / token is stored
+ * @property {string|null} authType - "key", "token" or null
+ * @property {{steamid: string, expires: number}|null} tokenInfo - Web API token details
+ * @property {boolean} tokenExpired - Whether the stored token has expired
+ */
+
+/**
+ * @typedef {Object} SettingsIssue
+ * @property {string} type - corrupt|restored_from_backup|invalid_fields|newer_version|read_error
+ * @property {string} message - Human readable description
+ * @property {Object} [details] - Extra details (quarantinePath, invalidFields)
  */
 
 /**
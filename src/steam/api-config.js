@@ -1,5 +1,5 @@
 // Shared constants
-import { API_CONFIG } from "../shared/constants.js";
+import { API_CONFIG, CACHE_CONFIG } from "../shared/constants.js";
 
 // UI and utilities
 import Validators from "../utils/validators.js";
@@ -59,6 +59,38 @@ class SteamAPIConfig {
     return isToken ? config.token : config.key;
   }
 
+  /**
+   * Get the retry budget for a specific method
+   * Polled endpoints get a small budget since the next poll is a retry anyway
+   * @param {string} method - API method name
+   * @returns {number} - Maximum number of retries after the first attempt
+   */
+  static getRetryBudget(method) {
+    const budgets = {
+      GetFriendsList: 3,
+      GetPlayerSummaries: 2,
+      GetPlayerLinkDetails: 1,
+      ResolveVanityURL: 2,
+    };
+
+    return budgets[method] ?? 0;
+  }
+
+  /**
+   * Get the response cache TTL for a specific method
+   * @param {string} method - API method name
+   * @returns {number} - TTL in milliseconds (0 disables caching)
+   */
+  static getCacheTtl(method) {
+    const ttls = {
+      GetPlayerLinkDetails: CACHE_CONFIG.LINK_DETAILS_TTL_MS,
+      GetPlayerSummaries: CACHE_CONFIG.PLAYER_SUMMARIES_TTL_MS,
+      ResolveVanityURL: CACHE_CONFIG.VANITY_URL_TTL_MS,
+    };
+
+    return ttls[method] ?? 0;
+  }
+
   /**
    * Build complete URL for Steam API request
    * @param {string} method - API method name
@@ -75,6 +75,20 @@ class SteamAPILogger {
     );
   }
 
+  /**
+   * Log a scheduled retry
+   * @param {string} method - API method name
+   * @param {number} attempt - Retry attempt number (1-based)
+   * @param {number} delayMs - Delay before the retry
+   * @param {Object} context - Additional context
+   */
+  static logRetry(method, attempt, delayMs, context = {}) {
+    logger.warn("SteamAPI", `Retrying ${method} (attempt ${attempt})`, {
+      ...context,
+      delayMs,
+    });
+  }
+
   /**
    * Extract endpoint from URL for logging
    * @param {string} url - Full URL
@@ -0,0 +1,114 @@
+// Shared constants
+import { API_CONFIG } from "../shared/constants.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Request coalescer for IPlayerService/GetPlayerLinkDetails
+ * Gathers steamids requested within a short window into one batched request
+ * and hands each caller only the accounts it asked for
+ */
+class PlayerLinkDetailsCoalescer {
+  /**
+   * @param {Function} fetchBatch - (steamids, auth, context) => Promise<Object|null>
+   * @param {Object} [options] - Coalescer options
+   * @param {number} [options.windowMs] - Time to wait for more callers
+   * @param {number} [options.maxBatchSize] - Maximum steamids merged into one request
+   */
+  constructor(fetchBatch, options = {}) {
+    this.fetchBatch = fetchBatch;
+    this.windowMs =
+      options.windowMs ?? API_CONFIG.LINK_DETAILS_COALESCE_WINDOW_MS;
+    this.maxBatchSize =
+      options.maxBatchSize ?? API_CONFIG.LINK_DETAILS_MAX_BATCH_SIZE;
+    this.pending = new Map(); // auth -> pending batch
+  }
+
+  /**
+   * Request link details for one or more steamids
+   * @param {string|string[]} steamids - Steam ID(s) to get details for
+   * @param {string} auth - API key or token
+   * @returns {Promise<Object|null>} - Response shaped like the raw API response,
+   * containing only the requested accounts
+   */
+  request(steamids, auth) {
+    const ids = (Array.isArray(steamids) ? steamids : [steamids]).map(String);
+
+    return new Promise((resolve, reject) => {
+      let batch = this.pending.get(auth);
+
+      // Flush the pending batch early if merging would exceed the size cap
+      if (batch) {
+        const merged = new Set([...batch.ids, ...ids]);
+        if (merged.size > this.maxBatchSize) {
+          this._flush(auth);
+          batch = null;
+        }
+      }
+
+      if (!batch) {
+        batch = {
+          ids: new Set(),
+          waiters: [],
+          timer: setTimeout(() => this._flush(auth), this.windowMs),
+        };
+        this.pending.set(auth, batch);
+      }
+
+      ids.forEach((id) => batch.ids.add(id));
+      batch.waiters.push({ ids: new Set(ids), resolve, reject });
+    });
+  }
+
+  /**
+   * Send the pending batch for an auth value and distribute the result
+   * @param {string} auth - API key or token
+   * @private
+   */
+  async _flush(auth) {
+    const batch = this.pending.get(auth);
+    if (!batch) return;
+
+    this.pending.delete(auth);
+    clearTimeout(batch.timer);
+
+    const steamids = [...batch.ids];
+    if (batch.waiters.length > 1) {
+      logger.debug("PlayerLinkDetailsCoalescer", "Coalesced link details", {
+        callers: batch.waiters.length,
+        steamids: steamids.length,
+      });
+    }
+
+    try {
+      const data = await this.fetchBatch(steamids, auth, {
+        batchSize: steamids.length,
+        callers: batch.waiters.length,
+      });
+
+      const accounts = data?.response?.accounts;
+      batch.waiters.forEach(({ ids, resolve }) => {
+        if (!data) {
+          resolve(null);
+          return;
+        }
+        resolve({
+          ...data,
+          response: {
+            ...data.response,
+            accounts: Array.isArray(accounts)
+              ? accounts.filter((acc) =>
+                  ids.has(String(acc.public_data?.steamid))
+                )
+              : [],
+          },
+        });
+      });
+    } catch (error) {
+      batch.waiters.forEach(({ reject }) => reject(error));
+    }
+  }
+}
+
+export default PlayerLinkDetailsCoalescer;
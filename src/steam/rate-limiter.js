@@ -0,0 +1,137 @@
+// Shared constants
+import { RATE_LIMIT_CONFIG } from "../shared/constants.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Shared rate limiter for Steam API requests
+ * Token bucket with a concurrency cap and a global pause for Retry-After
+ */
+class SteamAPIRateLimiter {
+  constructor() {
+    this.tokens = RATE_LIMIT_CONFIG.BURST_SIZE;
+    this.lastRefill = Date.now();
+    this.activeRequests = 0;
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Run a request function once the limiter grants a slot
+   * @param {Function} requestFn - Async function performing the request
+   * @returns {Promise<any>} - Result of the request function
+   */
+  schedule(requestFn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ requestFn, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Pause all requests, e.g. when Steam answers 429 with Retry-After
+   * @param {number} delayMs - Pause duration in milliseconds
+   */
+  pause(delayMs) {
+    const until = Date.now() + delayMs;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      logger.warn("SteamAPIRateLimiter", "Requests paused", { delayMs });
+    }
+  }
+
+  /**
+   * Get limiter status (for debugging)
+   * @returns {Object} - Current limiter status
+   */
+  getStatus() {
+    this._refill();
+    return {
+      tokens: Math.floor(this.tokens),
+      activeRequests: this.activeRequests,
+      queued: this.queue.length,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+    };
+  }
+
+  /**
+   * Refill tokens based on elapsed time
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(
+      RATE_LIMIT_CONFIG.BURST_SIZE,
+      this.tokens + (elapsed / 1000) * RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_SECOND
+    );
+  }
+
+  /**
+   * Start as many queued requests as the limits allow
+   * @private
+   */
+  _drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0) {
+      if (this.activeRequests >= RATE_LIMIT_CONFIG.MAX_CONCURRENT_REQUESTS) {
+        // Resumed from _release when a request finishes
+        return;
+      }
+
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        this._scheduleDrain(this.pausedUntil - now);
+        return;
+      }
+
+      this._refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil(
+          ((1 - this.tokens) / RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_SECOND) * 1000
+        );
+        this._scheduleDrain(waitMs);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.activeRequests += 1;
+
+      const { requestFn, resolve, reject } = this.queue.shift();
+      Promise.resolve()
+        .then(requestFn)
+        .then(resolve, reject)
+        .finally(() => this._release());
+    }
+  }
+
+  /**
+   * Retry draining after a delay
+   * @param {number} delayMs - Delay in milliseconds
+   * @private
+   */
+  _scheduleDrain(delayMs) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, delayMs);
+  }
+
+  /**
+   * Release a concurrency slot and continue draining
+   * @private
+   */
+  _release() {
+    this.activeRequests -= 1;
+    this._drain();
+  }
+}
+
+// Create singleton instance
+const steamRateLimiter = new SteamAPIRateLimiter();
+
+export default steamRateLimiter;
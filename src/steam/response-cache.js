@@ -0,0 +1,141 @@
+// Steam modules
+import SteamAPIConfig from "./api-config.js";
+
+// UI and utilities
+import logger from "../utils/logger.js";
+
+/**
+ * Short-lived response cache for Steam API data
+ * Entries expire after a per-method TTL and can be invalidated on demand
+ */
+class SteamAPIResponseCache {
+  constructor() {
+    this.entries = new Map();
+    this.stats = {};
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} method - API method name
+   * @param {string} key - Cache key within the method
+   * @param {number} [maxAgeMs] - Reject entries older than this even if TTL allows
+   * @returns {any} - Cached value or undefined on miss
+   */
+  get(method, key, maxAgeMs = Infinity) {
+    const stats = this._getMethodStats(method);
+    const entry = this.entries.get(this._buildKey(method, key));
+    const now = Date.now();
+
+    if (
+      entry &&
+      entry.expiresAt > now &&
+      now - entry.storedAt <= Math.max(0, maxAgeMs)
+    ) {
+      stats.hits++;
+      return entry.value;
+    }
+
+    stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value using the method's TTL
+   * @param {string} method - API method name
+   * @param {string} key - Cache key within the method
+   * @param {any} value - Value to cache
+   */
+  set(method, key, value) {
+    const ttlMs = SteamAPIConfig.getCacheTtl(method);
+    if (ttlMs <= 0) return;
+
+    const now = Date.now();
+    this.entries.set(this._buildKey(method, key), {
+      method,
+      value,
+      storedAt: now,
+      expiresAt: now + ttlMs,
+    });
+    this._pruneExpired(now);
+  }
+
+  /**
+   * Invalidate cached entries
+   * @param {string|null} [method] - Method to invalidate, or all methods if omitted
+   * @param {string|null} [key] - Single key to invalidate within the method
+   */
+  invalidate(method = null, key = null) {
+    if (method && key !== null) {
+      this.entries.delete(this._buildKey(method, key));
+    } else if (method) {
+      for (const [entryKey, entry] of this.entries) {
+        if (entry.method === method) {
+          this.entries.delete(entryKey);
+        }
+      }
+    } else {
+      this.entries.clear();
+    }
+
+    logger.debug("SteamAPIResponseCache", "Cache invalidated", {
+      method: method || "all",
+      key,
+    });
+  }
+
+  /**
+   * Get hit/miss counters
+   * @returns {Object} - Totals and per-method counters
+   */
+  getStats() {
+    const methods = Object.values(this.stats);
+    return {
+      size: this.entries.size,
+      hits: methods.reduce((sum, s) => sum + s.hits, 0),
+      misses: methods.reduce((sum, s) => sum + s.misses, 0),
+      byMethod: JSON.parse(JSON.stringify(this.stats)),
+    };
+  }
+
+  /**
+   * Build the internal cache key
+   * @param {string} method - API method name
+   * @param {string} key - Cache key within the method
+   * @returns {string} - Internal key
+   * @private
+   */
+  _buildKey(method, key) {
+    return `${method}:${key}`;
+  }
+
+  /**
+   * Get (and create) counters for a method
+   * @param {string} method - API method name
+   * @returns {{hits: number, misses: number}} - Method counters
+   * @private
+   */
+  _getMethodStats(method) {
+    if (!this.stats[method]) {
+      this.stats[method] = { hits: 0, misses: 0 };
+    }
+    return this.stats[method];
+  }
+
+  /**
+   * Drop expired entries
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  _pruneExpired(now) {
+    for (const [entryKey, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(entryKey);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const steamResponseCache = new SteamAPIResponseCache();
+
+export default steamResponseCache;
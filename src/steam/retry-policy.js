@@ -0,0 +1,80 @@
+// Shared constants
+import { RETRY_CONFIG } from "../shared/constants.js";
+
+/**
+ * Retry policy for Steam API requests
+ * Responsible only for deciding whether and how long to wait before a retry
+ */
+class SteamAPIRetryPolicy {
+  /**
+   * Check if an HTTP status is worth retrying
+   * @param {number} status - HTTP status code
+   * @returns {boolean} - True if the request may succeed on retry
+   */
+  static isRetryableStatus(status) {
+    return RETRY_CONFIG.RETRYABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Get exponential backoff delay with full jitter
+   * @param {number} attempt - Zero-based retry attempt number
+   * @returns {number} - Delay in milliseconds
+   */
+  static getBackoffDelay(attempt) {
+    const exponential = Math.min(
+      RETRY_CONFIG.MAX_DELAY_MS,
+      RETRY_CONFIG.BASE_DELAY_MS * 2 ** attempt
+    );
+    return Math.round(Math.random() * exponential);
+  }
+
+  /**
+   * Parse Retry-After header value (seconds or HTTP date)
+   * @param {string|null} headerValue - Raw Retry-After header value
+   * @returns {number|null} - Delay in milliseconds or null if not usable
+   */
+  static parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+
+    const seconds = Number(headerValue);
+    let delayMs = null;
+
+    if (Number.isFinite(seconds)) {
+      delayMs = seconds * 1000;
+    } else {
+      const date = Date.parse(headerValue);
+      if (!Number.isNaN(date)) {
+        delayMs = date - Date.now();
+      }
+    }
+
+    if (delayMs === null || delayMs < 0) return null;
+    return Math.min(delayMs, RETRY_CONFIG.MAX_RETRY_AFTER_MS);
+  }
+
+  /**
+   * Get delay before retrying a failed response
+   * @param {Response} response - HTTP response that failed
+   * @param {number} attempt - Zero-based retry attempt number
+   * @returns {number} - Delay in milliseconds
+   */
+  static getRetryDelay(response, attempt) {
+    const retryAfter = this.parseRetryAfter(
+      response?.headers?.get?.("Retry-After") ?? null
+    );
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    if (response?.status === 429) {
+      return Math.max(
+        RETRY_CONFIG.DEFAULT_RETRY_AFTER_MS,
+        this.getBackoffDelay(attempt)
+      );
+    }
+
+    return this.getBackoffDelay(attempt);
+  }
+}
+
+export default SteamAPIRetryPolicy;
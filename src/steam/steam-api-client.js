@@ -4,9 +4,20 @@ import SteamAPIConfig from "./api-config.js";
 import SteamAPILogger from "./api-logger.js";
 import SteamAPIResponseProcessor from "./steam-api-response-processor.js";
 import SteamAPIUtils from "./steam-api-utils.js";
+import SteamAPIRetryPolicy from "./retry-policy.js";
+import steamRateLimiter from "./rate-limiter.js";
+import PlayerLinkDetailsCoalescer from "./link-details-coalescer.js";
+import steamResponseCache from "./response-cache.js";
 
 // UI and utilities
 import Validators from "../utils/validators.js";
+import logger from "../utils/logger.js";
+
+// Merges concurrent link detail lookups (join loops, auto-refresh, CS2 checks)
+const linkDetailsCoalescer = new PlayerLinkDetailsCoalescer(
+  (steamids, auth, context) =>
+    SteamAPIClient._fetchPlayerLinkDetails(steamids, auth, context)
+);
 
 /**
  * Steam API client with proper separation of concerns
@@ -28,11 +39,53 @@ class SteamAPIClient {
     try {
       // Build URL using config manager
       const url = SteamAPIConfig.buildUrl(method, params, auth);
+      const maxRetries = SteamAPIConfig.getRetryBudget(method);
 
       // Log request
       SteamAPILogger.logRequest(method, url, context);
-      // Make HTTP request
-      const response = await SteamAPIHttpClient.makeRequest(url);
+
+      let response = null;
+      for (let attempt = 0; ; attempt++) {
+        try {
+          // Make HTTP request through the shared limiter
+          response = await steamRateLimiter.schedule(() =>
+            SteamAPIHttpClient.makeRequest(url)
+          );
+        } catch (error) {
+          // Network failure - retry with backoff while budget remains
+          if (attempt >= maxRetries) throw error;
+
+          const delayMs = SteamAPIRetryPolicy.getBackoffDelay(attempt);
+          SteamAPILogger.logRetry(method, attempt + 1, delayMs, {
+            ...context,
+            error: error.message,
+          });
+          await this._sleep(delayMs);
+          continue;
+        }
+
+        if (
+          response.ok ||
+          !SteamAPIRetryPolicy.isRetryableStatus(response.status)
+        ) {
+          break;
+        }
+
+        const delayMs = SteamAPIRetryPolicy.getRetryDelay(response, attempt);
+
+        // Rate limited - hold every caller back, not just this one
+        if (response.status === 429) {
+          steamRateLimiter.pause(delayMs);
+        }
+
+        if (attempt >= maxRetries) break;
+
+        SteamAPILogger.logRetry(method, attempt + 1, delayMs, {
+          ...context,
+          status: response.status,
+        });
+        await this._sleep(delayMs);
+      }
 
       // Handle HTTP errors
       const errorHandlers = await SteamAPIUtils.getMethodErrorHandlers(method);
@@ -65,6 +118,16 @@ class SteamAPIClient {
     }
   }
 
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   /**
    * Get user's friends list
    * @param {string} steam_id - Steam ID of the user
@@ -101,12 +164,25 @@ class SteamAPIClient {
 
     const result = {};
 
+    // Serve what we can from the cache
+    const missingIds = [];
+    steamids.map(String).forEach((steamid) => {
+      const player = steamResponseCache.get("GetPlayerSummaries", steamid);
+      if (player) {
+        result[steamid] = player;
+      } else {
+        missingIds.push(steamid);
+      }
+    });
+
+    if (!missingIds.length) return result;
+
     try {
       // Process in chunks of 100
-      for (let i = 0; i < steamids.length; i += 100) {
-        const chunk = steamids.slice(i, i + 100).map(String);
+      for (let i = 0; i < missingIds.length; i += 100) {
+        const chunk = missingIds.slice(i, i + 100);
         const chunkIndex = Math.floor(i / 100) + 1;
-        const totalChunks = Math.ceil(steamids.length / 100);
+        const totalChunks = Math.ceil(missingIds.length / 100);
 
         const params = { steamids: chunk.join(",") };
         const data = await this._makeRequest(
@@ -131,6 +207,7 @@ class SteamAPIClient {
 
         for (const player of players) {
           result[player.steamid] = player;
+          steamResponseCache.set("GetPlayerSummaries", player.steamid, player);
         }
       }
     } catch (error) {
@@ -145,23 +222,101 @@ class SteamAPIClient {
 
   /**
    * Get player link details (private method)
+   * Served from the response cache when fresh enough; concurrent misses are
+   * coalesced into a single batched request
    * @param {string|string[]} steamids - Steam ID(s) to get details for
    * @param {string} auth - API key or token
    * @param {Object} context - Additional context for logging
+   * @param {Object} [options] - Lookup options
+   * @param {number} [options.maxAgeMs] - Maximum accepted age of cached data
+   * @returns {Promise<Object|null>} - Player link details response
+   * @private
+   */
+  static async _getPlayerLinkDetails(
+    steamids,
+    auth,
+    context = {},
+    options = {}
+  ) {
+    const { maxAgeMs = Infinity } = options;
+    const ids = (Array.isArray(steamids) ? steamids : [steamids]).map(String);
+
+    const cachedAccounts = [];
+    const missingIds = [];
+    ids.forEach((id) => {
+      const account = steamResponseCache.get(
+        "GetPlayerLinkDetails",
+        `${auth}:${id}`,
+        maxAgeMs
+      );
+      if (account) {
+        cachedAccounts.push(account);
+      } else {
+        missingIds.push(id);
+      }
+    });
+
+    if (!missingIds.length) {
+      return { response: { accounts: cachedAccounts } };
+    }
+
+    logger.trace("SteamAPIClient", "Queueing link details lookup", {
+      ...context,
+      cached: cachedAccounts.length,
+      missing: missingIds.length,
+    });
+    const data = await linkDetailsCoalescer.request(missingIds, auth);
+
+    if (!data) {
+      return cachedAccounts.length
+        ? { response: { accounts: cachedAccounts } }
+        : null;
+    }
+
+    const fetchedAccounts = data.response?.accounts || [];
+    fetchedAccounts.forEach((account) => {
+      const steamid = account.public_data?.steamid;
+      if (steamid) {
+        steamResponseCache.set(
+          "GetPlayerLinkDetails",
+          `${auth}:${steamid}`,
+          account
+        );
+      }
+    });
+
+    // Preserve the requested order
+    const accountsById = new Map(
+      [...cachedAccounts, ...fetchedAccounts].map((account) => [
+        String(account.public_data?.steamid),
+        account,
+      ])
+    );
+
+    return {
+      ...data,
+      response: {
+        ...data.response,
+        accounts: ids.map((id) => accountsById.get(id)).filter(Boolean),
+      },
+    };
+  }
+
+  /**
+   * Fetch player link details in one request (private method)
+   * @param {string[]} steamids - Steam IDs to get details for
+   * @param {string} auth - API key or token
+   * @param {Object} context - Additional context for logging
    * @returns {Promise<Object|null>} - Player link details response
    * @private
    */
-  static async _getPlayerLinkDetails(steamids, auth, context = {}) {
+  static async _fetchPlayerLinkDetails(steamids, auth, context = {}) {
     // Build special params for this API call
     const params = {};
 
-    if (Array.isArray(steamids)) {
-      steamids.forEach((sid, idx) => {
-        params[`steamids[${idx}]`] = sid;
-      });
-    } else {
-      params["steamids[0]"] = steamids;
-    }
+    steamids.forEach((sid, idx) => {
+      params[`steamids[${idx}]`] = sid;
+    });
 
     return await this._makeRequest("GetPlayerLinkDetails", params, auth, {
       allowFailure: true,
@@ -257,13 +412,17 @@ class SteamAPIClient {
    * Get connect information for a specific friend
    * @param {string} friend_id - Friend's Steam ID
    * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
    * @returns {Promise<string|null>} - Connect string or null
    */
-  static async getFriendConnectInfo(friend_id, auth) {
+  static async getFriendConnectInfo(friend_id, auth, options = {}) {
     try {
-      const data = await this._getPlayerLinkDetails(friend_id, auth, {
+      const data = await this._getPlayerLinkDetails(
         friend_id,
-      });
+        auth,
+        { friend_id },
+        options
+      );
 
       if (!data) return null;
 
@@ -274,17 +433,48 @@ class SteamAPIClient {
     }
   }
 
+  /**
+   * Get connect information for several friends in one batched request
+   * @param {string[]} friend_ids - Friends' Steam IDs
+   * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<import('../shared/types.js').JoinCandidate[]>} - Join candidates
+   */
+  static async getJoinCandidates(friend_ids, auth, options = {}) {
+    if (!friend_ids.length) return [];
+
+    try {
+      const data = await this._getPlayerLinkDetails(
+        friend_ids,
+        auth,
+        { friendsCount: friend_ids.length },
+        options
+      );
+
+      return SteamAPIResponseProcessor.processJoinCandidatesResponse(data);
+    } catch (error) {
+      SteamAPILogger.logError("getJoinCandidates", error, {
+        friendsCount: friend_ids.length,
+      });
+      return [];
+    }
+  }
+
   /**
    * Get the game server Steam ID for a user
    * @param {string} steam_id - Steam ID to check
    * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
    * @returns {Promise<string|null>} - Game server Steam ID or null
    */
-  static async getUserGameServerSteamId(steam_id, auth) {
+  static async getUserGameServerSteamId(steam_id, auth, options = {}) {
     try {
-      const data = await this._getPlayerLinkDetails(steam_id, auth, {
+      const data = await this._getPlayerLinkDetails(
         steam_id,
-      });
+        auth,
+        { steam_id },
+        options
+      );
 
       if (!data) return null;
 
@@ -302,6 +492,10 @@ class SteamAPIClient {
    * @returns {Promise<string|null>} - Steam ID or null
    */
   static async resolveVanityUrl(vanityUrl, auth) {
+    const cacheKey = String(vanityUrl).toLowerCase();
+    const cached = steamResponseCache.get("ResolveVanityURL", cacheKey);
+    if (cached) return cached;
+
     try {
       const params = { vanityurl: vanityUrl };
       const data = await this._makeRequest("ResolveVanityURL", params, auth, {
@@ -311,7 +505,11 @@ class SteamAPIClient {
 
       if (!data) return null;
 
-      return SteamAPIResponseProcessor.processVanityUrlResponse(data);
+      const steamId = SteamAPIResponseProcessor.processVanityUrlResponse(data);
+      if (steamId) {
+        steamResponseCache.set("ResolveVanityURL", cacheKey, steamId);
+      }
+      return steamId;
     } catch (error) {
       SteamAPILogger.logError("resolveVanityUrl", error, { vanityUrl });
       return null;
@@ -1,9 +1,12 @@
 // Shared constants
-import { ERROR_CODES } from "../shared/constants.js";
+import { ERROR_CODES, GAME_MODES } from "../shared/constants.js";
 
 // Steam modules
 import SteamAPIUtils from "./steam-api-utils.js";
 
+// Game modules
+import GameModeClassifier from "../game/game-mode-classifier.js";
+
 // UI and utilities
 import ErrorHandler from "../utils/error-handler.js";
 import logger from "../utils/logger.js";
@@ -200,6 +203,40 @@ class SteamAPIResponseProcessor {
     return null;
   }
 
+  /**
+   * Process a batched player link details response for a join group
+   * @param {Object} rawData - Raw response from Steam API
+   * @returns {import('../shared/types.js').JoinCandidate[]} - One entry per returned account
+   */
+  static processJoinCandidatesResponse(rawData) {
+    const accounts = rawData?.response?.accounts || [];
+
+    return accounts.map((account) => {
+      const priv = account.private_data || {};
+      const richPresence = SteamAPIUtils.parseRichPresence(
+        priv.rich_presence_kv || ""
+      );
+      const inCS2 = SteamAPIUtils.isPlayerInCS2(priv);
+      const inSupportedMode =
+        inCS2 && SteamAPIUtils.isInSupportedMode(richPresence);
+
+      return {
+        steamid: String(account.public_data?.steamid || ""),
+        in_cs2: inCS2,
+        game_mode: GameModeClassifier.classify(richPresence),
+        in_casual_mode: inSupportedMode,
+        connect: inSupportedMode ? richPresence.connect || null : null,
+        game_server_id:
+          richPresence.game_server_steam_id ||
+          priv.game_server_steam_id ||
+          null,
+        num_players: richPresence.num_players,
+        game_map: richPresence.game_map || null,
+        game_score: richPresence.game_score || null,
+      };
+    });
+  }
+
   /**
    * Process player link details response for game server Steam ID
    * @param {Object} rawData - Raw response from Steam API
@@ -360,7 +397,8 @@ class SteamAPIResponseProcessor {
     const richPresence = SteamAPIUtils.parseRichPresence(
       priv.rich_presence_kv || ""
     );
-    const isInLobby = richPresence.game_state === "lobby";
+    const isInLobby =
+      GameModeClassifier.classify(richPresence) === GAME_MODES.LOBBY;
 
     logger.info(
       "SteamAPIResponseProcessor",
@@ -460,7 +498,7 @@ class SteamAPIResponseProcessor {
         isInCS2: true,
         isInCompetitiveOrPremier,
         game_extra: priv.game_extra,
-        rich_presence: priv.rich_presence,
+        rich_presence_kv: priv.rich_presence_kv,
       }
     );
 
@@ -589,7 +627,8 @@ class SteamAPIResponseProcessor {
         priv.rich_presence_kv || ""
       );
       const status = richPresence.status || "";
-      const inSupportedMode = SteamAPIUtils.isInSupportedMode(richPresence);
+      const mode = GameModeClassifier.classify(richPresence);
+      const inSupportedMode = GameModeClassifier.isSupported(mode);
       const joinAvailable = SteamAPIUtils.isJoinAvailable(richPresence);
 
       const steamid = pub.steamid || "";
@@ -603,6 +642,7 @@ class SteamAPIResponseProcessor {
         status,
 
         // Game state info
+        mode,
         game_mode: richPresence.game_mode,
         game_state: richPresence.game_state,
         game_map: richPresence.game_map || "",
@@ -639,13 +679,7 @@ class SteamAPIResponseProcessor {
         status: f.status,
         game_mode: f.game_mode || "Unknown",
         game_state: f.game_state || "Unknown",
-        reason: !f.game_mode
-          ? "No game mode"
-          : !["casual", "deathmatch"].includes(f.game_mode)
-            ? `Playing ${f.game_mode}`
-            : ["", null, "lobby"].includes(f.game_state)
-              ? `In ${f.game_state || "lobby"}`
-              : "Other reason",
+        reason: `In ${GameModeClassifier.getLabel(f.mode)}`,
       })),
     });
 
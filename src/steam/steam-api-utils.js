@@ -3,11 +3,14 @@ import {
   VALIDATION_PATTERNS,
   API_CONFIG,
   ERROR_CODES,
-  GAME_MODES,
 } from "../shared/constants.js";
 
+// Game modules
+import GameModeClassifier from "../game/game-mode-classifier.js";
+
 // UI and utilities
 import Validators from "../utils/validators.js";
+import KVParser from "../utils/kv-parser.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -18,24 +21,34 @@ class SteamAPIUtils {
   /**
    * Parse Rich Presence data from Steam
    * @param {string} kv - Key-value string from Steam rich presence
-   * @returns {Object} - Parsed rich presence fields
+   * @returns {import('../shared/types.js').RichPresence} - Parsed rich presence
    */
   static parseRichPresence(kv) {
-    function extract(key) {
-      const re = new RegExp(
-        '"' + key.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&") + '"\\s+"([^"]+)"'
-      );
-      const m = kv.match(re);
-      return m ? m[1] : null;
-    }
+    const raw = KVParser.flatten(KVParser.parseRoot(kv || ""));
+
+    const text = (key) => {
+      const value = raw[key];
+      return value === undefined || value === "" ? null : value;
+    };
+    const number = (key) => {
+      const value = Number.parseInt(raw[key], 10);
+      return Number.isNaN(value) ? null : value;
+    };
+
     return {
-      status: extract("status"),
-      game_state: extract("game:state"),
-      game_mode: extract("game:mode"),
-      game_map: extract("game:map"),
-      game_score: extract("game:score"),
-      connect: extract("connect"),
-      game_server_steam_id: extract("game_server_steam_id"),
+      status: text("status"),
+      game_state: text("game:state"),
+      game_mode: text("game:mode"),
+      game_map: text("game:map"),
+      game_mapgroupname: text("game:mapgroupname"),
+      game_score: text("game:score"),
+      game_act: text("game:act"),
+      connect: text("connect"),
+      game_server_steam_id: text("game_server_steam_id"),
+      player_group: text("steam_player_group"),
+      player_group_size: number("steam_player_group_size"),
+      num_players: number("members:numPlayers"),
+      raw,
     };
   }
 
@@ -167,11 +180,10 @@ class SteamAPIUtils {
    * Check if player is in supported game mode (casual or deathmatch) and not in lobby
    * @param {Object} richPresence - Parsed rich presence data
    * @returns {boolean} - True if in supported mode
-   */ static isInSupportedMode(richPresence) {
-    return (
-      (richPresence.game_mode === GAME_MODES.CASUAL ||
-        richPresence.game_mode === GAME_MODES.DEATHMATCH) &&
-      !["", null, "lobby"].includes(richPresence.game_state)
+   */
+  static isInSupportedMode(richPresence) {
+    return GameModeClassifier.isSupported(
+      GameModeClassifier.classify(richPresence)
     );
   }
 
@@ -232,6 +244,7 @@ class SteamAPIUtils {
             : "Not in game",
       game_mode: richPresence.game_mode || "Unknown",
       game_state: richPresence.game_state || "Unknown",
+      mode: GameModeClassifier.classify(richPresence),
       in_supported_mode: this.isInSupportedMode(richPresence),
     };
   }
@@ -294,16 +307,16 @@ class SteamAPIUtils {
     if (!privateData) return false;
 
     // Parse rich presence to get game mode
-    const richPresence = this.parseRichPresence(privateData.rich_presence);
-    if (!richPresence) return false; // Check if game mode is competitive or premier
-    const gameMode = richPresence.game_mode;
-    const isCompetitive =
-      gameMode === GAME_MODES.COMPETITIVE || gameMode === GAME_MODES.PREMIER;
+    const richPresence = this.parseRichPresence(
+      privateData.rich_presence_kv || ""
+    );
+    const mode = GameModeClassifier.classify(richPresence);
+    const isCompetitive = GameModeClassifier.isCompetitive(mode);
 
     logger.debug("SteamAPIUtils", "Checking competitive/premier mode", {
-      game_mode: gameMode,
+      game_mode: richPresence.game_mode,
+      mode,
       isCompetitive,
-      rich_presence: privateData.rich_presence,
     });
 
     return isCompetitive;
@@ -1,6 +1,8 @@
 // Steam modules
 import SteamAPIClient from "./steam-api-client.js";
 import SteamAPIUtils from "./steam-api-utils.js";
+import steamRateLimiter from "./rate-limiter.js";
+import steamResponseCache from "./response-cache.js";
 
 /**
  * Steam API facade module
@@ -13,12 +15,36 @@ class SteamAPI {
   /**
    * Parse Rich Presence data from Steam
    * @param {string} kv - Key-value string from Steam rich presence
-   * @returns {Object} - Parsed rich presence fields
+   * @returns {import('../shared/types.js').RichPresence} - Parsed rich presence
    */
   static parseRichPresence(kv) {
     return SteamAPIUtils.parseRichPresence(kv);
   }
 
+  /**
+   * Get the shared rate limiter status
+   * @returns {Object} - Tokens, active and queued requests, remaining pause
+   */
+  static getRateLimitStatus() {
+    return steamRateLimiter.getStatus();
+  }
+
+  /**
+   * Invalidate cached API responses, e.g. to force a refresh
+   * @param {string|null} [method] - API method to invalidate, or everything
+   */
+  static invalidateCache(method = null) {
+    steamResponseCache.invalidate(method);
+  }
+
+  /**
+   * Get response cache hit/miss counters
+   * @returns {Object} - Cache statistics
+   */
+  static getCacheStats() {
+    return steamResponseCache.getStats();
+  }
+
   // ===== API CLIENT METHODS (delegated to SteamAPIClient) =====
   /**
    * Get the user's friends list
@@ -55,20 +81,33 @@ class SteamAPI {
    * Get connect information for a specific friend
    * @param {string} friend_id - Friend's Steam ID
    * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
    * @returns {Promise<string|null>} - Connect string or null
    */
-  static async getFriendConnectInfo(friend_id, auth) {
-    return SteamAPIClient.getFriendConnectInfo(friend_id, auth);
+  static async getFriendConnectInfo(friend_id, auth, options = {}) {
+    return SteamAPIClient.getFriendConnectInfo(friend_id, auth, options);
+  }
+
+  /**
+   * Get connect information for several friends in one batched request
+   * @param {string[]} friend_ids - Friends' Steam IDs
+   * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<import('../shared/types.js').JoinCandidate[]>} - Join candidates
+   */
+  static async getJoinCandidates(friend_ids, auth, options = {}) {
+    return SteamAPIClient.getJoinCandidates(friend_ids, auth, options);
   }
 
   /**
    * Get the game server Steam ID for a user
    * @param {string} steam_id - Steam ID to check
    * @param {string} auth - API key or token
+   * @param {Object} [options] - Lookup options (maxAgeMs)
    * @returns {Promise<string|null>} - Game server Steam ID or null
    */
-  static async getUserGameServerSteamId(steam_id, auth) {
-    return SteamAPIClient.getUserGameServerSteamId(steam_id, auth);
+  static async getUserGameServerSteamId(steam_id, auth, options = {}) {
+    return SteamAPIClient.getUserGameServerSteamId(steam_id, auth, options);
   }
 
   /**
@@ -0,0 +1,137 @@
+// UI and utilities
+import ErrorHandler from "../utils/error-handler.js";
+
+/**
+ * Renderer-side client for the main process Steam service
+ * Mirrors the SteamAPI facade without the auth parameter: the main process
+ * holds the API key / token and adds it to every request.
+ */
+class SteamServiceClient {
+  // ===== CREDENTIALS =====
+
+  /**
+   * Store credentials in the main process
+   * @param {{steamId?: string, auth?: string}} credentials - New credentials
+   * @returns {Promise<import('../shared/types.js').CredentialsStatus>} - Updated status
+   */
+  static async setCredentials(credentials) {
+    return this._call("setCredentials", credentials);
+  }
+
+  /**
+   * Get the stored credentials status (never the secret itself)
+   * @returns {Promise<import('../shared/types.js').CredentialsStatus>} - Status
+   */
+  static async getCredentialsStatus() {
+    return this._call("getCredentialsStatus");
+  }
+
+  // ===== STEAM API =====
+
+  /**
+   * Get the user's friends list
+   * @param {string} steam_id - Steam ID of the user
+   * @returns {Promise<string[]>} - Array of friend Steam IDs
+   */
+  static async getFriendsList(steam_id) {
+    return this._call("getFriendsList", steam_id);
+  }
+
+  /**
+   * Get details about friends including their game status and avatars
+   * @param {string[]} friend_ids - Array of friend Steam IDs
+   * @param {Object} [avatarsCache] - Cache of avatar data
+   * @returns {Promise<import('../shared/types.js').Friend[]>} - Array of friend objects
+   */
+  static async getFriendsStatuses(friend_ids, avatarsCache = {}) {
+    return this._call("getFriendsStatuses", friend_ids, avatarsCache);
+  }
+
+  /**
+   * Get connect information for a specific friend
+   * @param {string} friend_id - Friend's Steam ID
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<string|null>} - Connect string or null
+   */
+  static async getFriendConnectInfo(friend_id, options = {}) {
+    return this._call("getFriendConnectInfo", friend_id, options);
+  }
+
+  /**
+   * Get connect information for several friends in one batched request
+   * @param {string[]} friend_ids - Friends' Steam IDs
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<import('../shared/types.js').JoinCandidate[]>} - Join candidates
+   */
+  static async getJoinCandidates(friend_ids, options = {}) {
+    return this._call("getJoinCandidates", friend_ids, options);
+  }
+
+  /**
+   * Get the game server Steam ID for a user
+   * @param {string} steam_id - Steam ID to check
+   * @param {Object} [options] - Lookup options (maxAgeMs)
+   * @returns {Promise<string|null>} - Game server Steam ID or null
+   */
+  static async getUserGameServerSteamId(steam_id, options = {}) {
+    return this._call("getUserGameServerSteamId", steam_id, options);
+  }
+
+  /**
+   * Resolve vanity URL to SteamID64
+   * @param {string} vanityUrl - Vanity URL to resolve
+   * @returns {Promise<string|null>} - Steam ID or null
+   */
+  static async resolveVanityUrl(vanityUrl) {
+    return this._call("resolveVanityUrl", vanityUrl);
+  }
+
+  /**
+   * Check if a player is currently playing CS2
+   * @param {string} steam_id - Steam ID to check
+   * @param {boolean} [requireLobby=false] - Whether to require lobby state
+   * @returns {Promise<boolean>} - Whether the player is playing CS2
+   */
+  static async isPlayerInCS2(steam_id, requireLobby = false) {
+    return this._call("isPlayerInCS2", steam_id, requireLobby);
+  }
+
+  /**
+   * Check if a player is currently playing in Competitive or Premier mode
+   * @param {string} steam_id - Steam ID to check
+   * @returns {Promise<boolean>} - Whether the player is in Competitive or Premier
+   */
+  static async checkUserGameMode(steam_id) {
+    return this._call("checkUserGameMode", steam_id);
+  }
+
+  /**
+   * Invalidate cached API responses, e.g. to force a refresh
+   * @param {string|null} [method] - API method to invalidate, or everything
+   * @returns {Promise<void>}
+   */
+  static async invalidateCache(method = null) {
+    return this._call("invalidateCache", method);
+  }
+
+  /**
+   * Call a Steam service method and unwrap its result
+   * @param {string} method - Service method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} - Method result
+   * @throws {Error} - Error with the original code when the call failed
+   * @private
+   */
+  static async _call(method, ...args) {
+    const result = await window.electronAPI.steam[method](...args);
+    if (!result?.ok) {
+      const { code, message } = result?.error || {};
+      throw code
+        ? ErrorHandler.createError(code, message)
+        : new Error(message || `Steam ${method} failed`);
+    }
+    return result.data;
+  }
+}
+
+export default SteamServiceClient;
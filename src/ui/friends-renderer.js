@@ -1,14 +1,23 @@
 // Shared constants
-import { FRIENDS_TEMPLATES } from "./html-templates.js";
+import {
+  FRIENDS_TEMPLATES,
+  sanitizeUrl,
+  AVATAR_PROTOCOLS,
+} from "./html-templates.js";
 import { TUTORIAL_MOCK_FRIEND } from "../shared/constants.js";
 
 // Core singletons
 import appStateManager from "../core/app-state-manager.js";
 
 // Shared constants
-import { STATUS_TYPES } from "../shared/constants.js";
+import { STATUS_TYPES, ACTIVE_STATUS_TYPES } from "../shared/constants.js";
+
+// Game modules
+import GameModeClassifier from "../game/game-mode-classifier.js";
+import autoJoinManager from "../game/auto-join-manager.js";
 
 // UI and utilities
+import StatusManager from "./status-manager.js";
 import DOMUtils from "../utils/dom-utils.js";
 
 /**
@@ -194,10 +203,17 @@ class FriendsRenderer {
    * @param {string} avatarUrl - Avatar URL
    */
   static updateFriendElement(element, friend, joinState, isMissing, avatarUrl) {
+    // Update game mode
+    const mode = this.getFriendMode(friend);
+    if (element.dataset.mode !== mode) {
+      element.dataset.mode = mode;
+    }
+
     // Update avatar
     const avatarImg = element.querySelector(".friend-avatar");
-    if (avatarImg && avatarImg.src !== avatarUrl) {
-      avatarImg.src = avatarUrl;
+    const safeAvatarUrl = sanitizeUrl(avatarUrl, AVATAR_PROTOCOLS);
+    if (avatarImg && avatarImg.getAttribute("src") !== safeAvatarUrl) {
+      avatarImg.setAttribute("src", safeAvatarUrl);
     }
 
     // Update persona name
@@ -226,7 +242,10 @@ class FriendsRenderer {
         newStatusSpan.style.fontWeight = "400";
         newStatusSpan.style.color = "#bfc9d8";
         newStatusSpan.textContent = statusText;
-        friendInfo.appendChild(newStatusSpan);
+        friendInfo.insertBefore(
+          newStatusSpan,
+          friendInfo.querySelector(".hold-reason")
+        );
       }
     } else if (statusSpan) {
       // Remove status span if no status
@@ -235,10 +254,53 @@ class FriendsRenderer {
 
     // Update status dot and button state
     this.updateFriendControls(element, friend.steamid, joinState, isMissing);
+    this.updateWatchButton(friend.steamid);
+  }
+
+  /**
+   * Get a friend's position in the group join selection
+   * @param {string} friendId - Friend Steam ID
+   * @returns {number} - 1-based position, 0 if not selected
+   */
+  static getGroupPosition(friendId) {
+    const selection = appStateManager.getState("groupSelection") || [];
+    return selection.indexOf(friendId) + 1;
+  }
+
+  /**
+   * Sync the group join checkboxes with the selection
+   * @param {string[]} selection - Selected Steam IDs in order of preference
+   */
+  static updateGroupSelection(selection) {
+    const friendsContainer = DOMUtils.getElementById("friends");
+    if (!friendsContainer) return;
+
+    friendsContainer.querySelectorAll(".group-select").forEach((checkbox) => {
+      const friendId = checkbox.id.replace("select-friend-", "");
+      const position = selection.indexOf(friendId) + 1;
+      checkbox.checked = position > 0;
+      checkbox.title = FRIENDS_TEMPLATES.GROUP_SELECT_TITLE(position);
+    });
+  }
+
+  /**
+   * Update the auto-join watchlist toggle of a friend
+   * @param {string} friendId - Friend Steam ID
+   */
+  static updateWatchButton(friendId) {
+    const watchButton = DOMUtils.getElementById(`watch-btn-${friendId}`);
+    if (!watchButton) return;
+
+    const isWatched = autoJoinManager.isWatched(friendId);
+    if (watchButton.classList.contains("watched") !== isWatched) {
+      watchButton.classList.toggle("watched", isWatched);
+      watchButton.textContent = isWatched ? "★" : "☆";
+      watchButton.title = FRIENDS_TEMPLATES.WATCH_BUTTON_TITLE(isWatched);
+    }
   }
 
   /**
-   * Update friend controls (status dot and join button) without disrupting animations
+   * Update friend controls (status dot, join and follow buttons) without disrupting animations
    * @param {HTMLElement} element - Friend DOM element
    * @param {string} friendId - Friend Steam ID
    * @param {import('../shared/types.js').JoinState} joinState - Join state
@@ -250,23 +312,13 @@ class FriendsRenderer {
 
     const isActive =
       joinState &&
-      (joinState.status === STATUS_TYPES.WAITING ||
-        joinState.status === STATUS_TYPES.CONNECTING ||
-        isMissing);
+      (ACTIVE_STATUS_TYPES.includes(joinState.status) || isMissing);
 
     // Update status dot class only if different to preserve animations
     if (statusDot) {
       let newDotClass = "status-dot ";
       if (joinState && joinState.status) {
-        // Use the same mapping as StatusManager
-        const statusDotClasses = {
-          [STATUS_TYPES.WAITING]: "dot-waiting",
-          [STATUS_TYPES.CONNECTING]: "dot-connecting",
-          [STATUS_TYPES.JOINED]: "dot-joined",
-          [STATUS_TYPES.CANCELLED]: "dot-cancelled",
-          [STATUS_TYPES.MISSING]: "dot-missing",
-        };
-        newDotClass += statusDotClasses[joinState.status] || "dot-cancelled";
+        newDotClass += StatusManager.getStatusDotClass(joinState.status);
       } else {
         newDotClass += isMissing ? "dot-missing" : "dot-cancelled";
       }
@@ -277,10 +329,12 @@ class FriendsRenderer {
       }
     }
 
-    // Update join button
+    // Update join button; a follow can be cancelled during its join success
     if (joinButton) {
-      const newButtonText = isActive ? "Cancel" : "Join";
-      const shouldHaveCancelClass = isActive;
+      const isJoined = joinState?.status === STATUS_TYPES.JOINED;
+      const canCancel = !!isActive || (isJoined && !!joinState.follow);
+      const newButtonText = canCancel ? "Cancel" : "Join";
+      const shouldHaveCancelClass = canCancel;
       const currentlyHasCancelClass =
         joinButton.classList.contains("cancel-btn");
 
@@ -299,12 +353,24 @@ class FriendsRenderer {
       }
 
       // Update disabled state
-      const shouldBeDisabled =
-        joinState && joinState.status === STATUS_TYPES.JOINED;
+      const shouldBeDisabled = isJoined && !canCancel;
       if (joinButton.disabled !== shouldBeDisabled) {
         joinButton.disabled = shouldBeDisabled;
       }
     }
+
+    StatusManager.updateQueuePosition(friendId, joinState);
+    StatusManager.updateHoldReason(friendId, joinState);
+
+    // Follow button is only available while no join is running
+    const followButton = element.querySelector(`#follow-btn-${friendId}`);
+    if (followButton) {
+      const shouldBeDisabled =
+        !!isActive || joinState?.status === STATUS_TYPES.JOINED;
+      if (followButton.disabled !== shouldBeDisabled) {
+        followButton.disabled = shouldBeDisabled;
+      }
+    }
   }
 
   /**
@@ -313,14 +379,12 @@ class FriendsRenderer {
    * @param {import('../shared/types.js').JoinState} joinState - Join state
    * @param {boolean} isMissing - Whether friend is missing
    * @param {string} avatarUrl - Avatar URL
-   * @returns {string} - Friend item HTML
+   * @returns {import('../utils/safe-html.js').SafeHtml} - Friend item HTML
    */
   static renderFriendItem(friend, joinState, isMissing, avatarUrl) {
     const isActive =
       joinState &&
-      (joinState.status === STATUS_TYPES.WAITING ||
-        joinState.status === STATUS_TYPES.CONNECTING ||
-        isMissing);
+      (ACTIVE_STATUS_TYPES.includes(joinState.status) || isMissing);
 
     const statusText = isMissing
       ? "Temporarily not in supported mode"
@@ -334,7 +398,26 @@ class FriendsRenderer {
       statusText,
       hasStatus,
       isMissing,
-      isActive
+      isActive,
+      this.getFriendMode(friend),
+      autoJoinManager.isWatched(friend.steamid),
+      this.getGroupPosition(friend.steamid)
+    );
+  }
+
+  /**
+   * Get the classified game mode of a friend
+   * @param {import('../shared/types.js').Friend} friend - Friend object
+   * @returns {string} - One of GAME_MODES
+   */
+  static getFriendMode(friend) {
+    return (
+      friend.mode ||
+      GameModeClassifier.classify({
+        game_mode: friend.game_mode,
+        game_state: friend.game_state,
+        game_map: friend.game_map,
+      })
     );
   }
 }
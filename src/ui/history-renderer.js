@@ -0,0 +1,144 @@
+// Shared constants
+import { HISTORY_TEMPLATES } from "./html-templates.js";
+import { STATUS_TYPES } from "../shared/constants.js";
+
+// Game modules
+import GameModeClassifier from "../game/game-mode-classifier.js";
+
+// UI and utilities
+import DOMUtils from "../utils/dom-utils.js";
+
+const OUTCOME_LABELS = {
+  [STATUS_TYPES.JOINED]: "Joined",
+  [STATUS_TYPES.CANCELLED]: "Cancelled",
+  [STATUS_TYPES.FAILED]: "Failed",
+};
+
+// Busiest hours listed under the statistics
+const BUSIEST_HOURS_SHOWN = 3;
+
+/**
+ * History Renderer module
+ * Renders recorded join attempts and their statistics in the History panel
+ */
+class HistoryRenderer {
+  /**
+   * Render the History panel contents
+   * @param {import('../shared/types.js').HistoryEntry[]} entries - Recent attempts, newest first
+   * @param {import('../shared/types.js').HistoryStats|null} stats - Aggregate statistics
+   */
+  static render(entries, stats) {
+    const statsContainer = DOMUtils.getElementById("history-stats");
+    if (statsContainer) {
+      statsContainer.innerHTML = stats?.total ? this.renderStats(stats) : "";
+    }
+
+    const listContainer = DOMUtils.getElementById("history-list");
+    if (listContainer) {
+      listContainer.innerHTML = entries?.length
+        ? entries.map((entry) => this.renderEntry(entry)).join("")
+        : HISTORY_TEMPLATES.EMPTY;
+    }
+  }
+
+  /**
+   * Render aggregate statistics
+   * @param {import('../shared/types.js').HistoryStats} stats - Statistics
+   * @returns {import('../utils/safe-html.js').SafeHtml} - Statistics HTML
+   */
+  static renderStats(stats) {
+    const summary = [
+      `${stats.total} attempts`,
+      `${this.formatRate(stats.success_rate)} success`,
+      `median wait ${this.formatDuration(stats.median_wait_ms)}`,
+    ].join(" · ");
+
+    const maps = stats.maps.map((entry) => ({
+      label: entry.map,
+      value: `${this.formatDuration(entry.median_wait_ms)} (${entry.joins})`,
+    }));
+
+    const friends = stats.friends.map((friend) => ({
+      label: friend.personaname || friend.friend_id,
+      value: `${this.formatRate(friend.success_rate)} (${friend.joined}/${friend.joined + friend.failed})`,
+    }));
+
+    const busiestHours =
+      stats.hours
+        .map((count, hour) => ({ count, hour }))
+        .filter(({ count }) => count > 0)
+        .sort((a, b) => b.count - a.count || a.hour - b.hour)
+        .slice(0, BUSIEST_HOURS_SHOWN)
+        .map(({ count, hour }) => `${this.formatHour(hour)} (${count})`)
+        .join(", ") || "–";
+
+    return HISTORY_TEMPLATES.STATS(summary, maps, friends, busiestHours);
+  }
+
+  /**
+   * Render one recorded attempt
+   * @param {import('../shared/types.js').HistoryEntry} entry - History entry
+   * @returns {import('../utils/safe-html.js').SafeHtml} - Entry HTML
+   */
+  static renderEntry(entry) {
+    const details = [
+      entry.map,
+      entry.mode && GameModeClassifier.getLabel(entry.mode),
+      entry.time_to_join_ms !== null &&
+        `waited ${this.formatDuration(entry.time_to_join_ms)}`,
+      `${entry.connect_attempts} connects`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    return HISTORY_TEMPLATES.ENTRY(
+      new Date(entry.started_at).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+      entry.personaname || entry.friend_id,
+      entry.outcome,
+      OUTCOME_LABELS[entry.outcome] || entry.outcome,
+      details,
+      entry.reason || ""
+    );
+  }
+
+  /**
+   * Format a duration as m:ss
+   * @param {number|null} ms - Duration in milliseconds
+   * @returns {string} - Formatted duration
+   */
+  static formatDuration(ms) {
+    if (ms === null || ms === undefined) return "–";
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Format a success rate as a percentage
+   * @param {number|null} rate - Rate between 0 and 1
+   * @returns {string} - Formatted rate
+   */
+  static formatRate(rate) {
+    return rate === null || rate === undefined
+      ? "–"
+      : `${Math.round(rate * 100)}%`;
+  }
+
+  /**
+   * Format an hour of the day as a one hour range
+   * @param {number} hour - Hour (0-23)
+   * @returns {string} - e.g. "20:00–21:00"
+   */
+  static formatHour(hour) {
+    const pad = (h) => `${String(h % 24).padStart(2, "0")}:00`;
+    return `${pad(hour)}–${pad(hour + 1)}`;
+  }
+}
+
+export default HistoryRenderer;
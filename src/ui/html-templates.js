@@ -5,6 +5,11 @@
 
 import { ICON_PATHS } from "../shared/icon-paths.js";
 import { replaceEmojisWithSVG, getEmojiSVG } from "../utils/emoji-svg.js";
+import { html, sanitizeUrl } from "../utils/safe-html.js";
+
+// Protocols allowed for Steam client links and avatar images
+const STEAM_LINK_PROTOCOLS = ["steam:"];
+const AVATAR_PROTOCOLS = ["https:"];
 
 // =============================================================================
 // EMOJI PROCESSING HELPERS
@@ -47,21 +52,71 @@ export const NOTIFICATION_TEMPLATES = {
   /**
    * Warning for expired token
    */
-  TOKEN_EXPIRED_WARNING: `
+  TOKEN_EXPIRED_WARNING: html`
         <div style="color:#f1c40f;font-weight:500;margin-top:8px;">
             Your token has expired.<br>
             <a href="steam://openurl/https://store.steampowered.com/pointssummary/ajaxgetasyncconfig" class="steam-token-link" target="_self">Get a new one</a><br>
         </div>
     `,
 
+  /**
+   * Warning shown when the OS cannot encrypt the stored API key / token
+   */
+  SECRETS_UNENCRYPTED_WARNING: html`
+        <div class="notification-main-text" style="color:#f1c40f;font-weight:500;">
+            Your API key / token cannot be encrypted on this system.
+        </div>
+        <div class="note" style="color:#aaa;font-size:0.95em;margin-top:8px;">
+            It is saved without OS encryption in the app data folder. Use a short-lived web API token instead of a permanent key if this is a shared computer.
+        </div>
+    `,
+
+  /**
+   * Problem found while loading settings (corrupt file, restored backup, ...)
+   * @param {{type: string, message: string, details?: {quarantinePath?: string}}} issue - Settings issue
+   * @returns {import('../utils/safe-html.js').SafeHtml} Settings issue HTML
+   */
+  SETTINGS_ISSUE: (issue) => html`
+        <div class="notification-main-text" style="color:#f1c40f;font-weight:500;">${issue.message}</div>
+        ${
+          issue.details?.quarantinePath
+            ? html`<div class="note" style="color:#aaa;font-size:0.95em;margin-top:8px;">The damaged file was kept at ${issue.details.quarantinePath}</div>`
+            : ""
+        }
+    `,
+
+  /**
+   * Game state config was written into the CS2 folder
+   * @param {string} cfgPath - Path of the installed cfg file
+   * @returns {import('../utils/safe-html.js').SafeHtml} Install confirmation HTML
+   */
+  GSI_INSTALLED: (cfgPath) => html`
+        <div class="notification-main-text">Game state config installed. Restart CS2 to start using it.</div>
+        <div class="note" style="color:#aaa;font-size:0.95em;margin-top:8px;">${cfgPath}</div>
+    `,
+
+  /**
+   * Offer to resume the joins that were running when the app closed
+   * @param {string[]} names - Friend names or Steam IDs, one per join
+   * @returns {import('../utils/safe-html.js').SafeHtml} Resume offer HTML
+   */
+  RESUME_JOINS: (names) => html`
+        <div class="notification-main-text">Resume ${names.length === 1 ? "the join" : `${names.length} joins`} from your last session?</div>
+        <div class="note" style="color:#aaa;font-size:0.95em;margin-top:4px;">${names.join(", ")}</div>
+        <div class="resume-joins-buttons">
+            <button id="resume-joins-btn" class="action-btn btn-primary">Resume</button>
+            <button id="dismiss-resume-btn" class="action-btn cancel-btn">Discard</button>
+        </div>
+    `,
+
   /**
    * Token information display
    * @param {string} steamid - Steam ID
    * @param {string} expiresStr - Expiration date string
-   * @param {string} warnHtml - Warning HTML (if expired)
-   * @returns {string} Token info HTML
+   * @param {import('../utils/safe-html.js').SafeHtml|string} warnHtml - Warning HTML (if expired)
+   * @returns {import('../utils/safe-html.js').SafeHtml} Token info HTML
    */
-  TOKEN_INFO: (steamid, expiresStr, warnHtml) => `
+  TOKEN_INFO: (steamid, expiresStr, warnHtml) => html`
         <div class="notification-content info">
             <div style="color:#2d8cf0;font-weight:500;">
                 Steam Web API Token detected.<br>
@@ -74,27 +129,28 @@ export const NOTIFICATION_TEMPLATES = {
 
   /**
    * Error message display
-   * @param {string} errorMessage - Error message
-   * @returns {string} Error message HTML
-   */ ERROR_MESSAGE: (errorMessage) => `
+   * @param {string} errorMessage - Error message (plain text)
+   * @returns {import('../utils/safe-html.js').SafeHtml} Error message HTML
+   */
+  ERROR_MESSAGE: (errorMessage) => html`
         <div class="notification-main-text" style="color:#ff4444;font-weight:500;">${errorMessage}</div>
     `,
 
   /**
    * Privacy settings link
-   * @param {string} privacyUrl - Privacy settings URL
-   * @returns {string} Privacy link HTML
+   * @param {string} privacyUrl - Privacy settings URL (steam:// only)
+   * @returns {import('../utils/safe-html.js').SafeHtml} Privacy link HTML
    */
-  PRIVACY_LINK: (privacyUrl) => `
-        <a href="${privacyUrl}" class="privacy-link" target="_self" title="Open privacy settings in Steam">Open your Steam privacy settings</a>
+  PRIVACY_LINK: (privacyUrl) => html`
+        <a href="${sanitizeUrl(privacyUrl, STEAM_LINK_PROTOCOLS)}" class="privacy-link" target="_self" title="Open privacy settings in Steam">Open your Steam privacy settings</a>
     `,
 
   /**
    * Privacy warning with instructions
-   * @param {string} linkHtml - Privacy link HTML
-   * @returns {string} Privacy warning HTML
+   * @param {import('../utils/safe-html.js').SafeHtml|string} linkHtml - Privacy link HTML
+   * @returns {import('../utils/safe-html.js').SafeHtml} Privacy warning HTML
    */
-  PRIVACY_WARNING: (linkHtml) => `
+  PRIVACY_WARNING: (linkHtml) => html`
         <div class="notification-main-text" style="color:#ff4444;font-weight:500;">
             No friends list returned. This could be because your friends list is set to private.
         </div>            
@@ -134,6 +190,28 @@ export const NOTIFICATION_TEMPLATES = {
       closeButton: "Close",
     },
 
+    /**
+     * CS2 process is running, waiting for the main menu
+     */
+    STARTING: {
+      title: "CS2 starting…",
+      message: "Counter-Strike 2 is running. Waiting for the main menu.",
+      hint: "The notification will close automatically when CS2 is ready.",
+      launchButton: '<span class="loading-spinner"></span> Starting...',
+      closeButton: "Close",
+    },
+
+    /**
+     * CS2 process exited before reaching the main menu
+     */
+    CLOSED: {
+      title: "CS2 closed",
+      message: "Counter-Strike 2 crashed or was closed before it finished loading.",
+      hint: "Launch it again to continue joining.",
+      launchButton: "Launch again",
+      closeButton: "Close",
+    },
+
     /**
      * Complete CS2 launch notification HTML template
      * @returns {string} Complete CS2 notification HTML
@@ -268,7 +346,10 @@ export const FRIENDS_TEMPLATES = {
    * @param {boolean} hasStatus - Whether friend has status
    * @param {boolean} isMissing - Whether friend is missing
    * @param {boolean} isActive - Whether join is active
-   * @returns {string} Friend item HTML
+   * @param {string} mode - Classified game mode
+   * @param {boolean} isWatched - Whether friend is on the auto-join watchlist
+   * @param {number} groupPosition - 1-based position in the group selection, 0 if not selected
+   * @returns {import('../utils/safe-html.js').SafeHtml} Friend item HTML
    */
   FRIEND_ITEM: (
     steamid,
@@ -277,22 +358,118 @@ export const FRIENDS_TEMPLATES = {
     statusText,
     hasStatus,
     isMissing,
-    isActive
-  ) => `
-        <div class="friend" id="friend-${steamid}">
+    isActive,
+    mode,
+    isWatched,
+    groupPosition
+  ) => html`
+        <div class="friend" id="friend-${steamid}" data-mode="${mode}">
             <div class="friend-info-row">
-                <img src="${avatarUrl}" alt="avatar" class="friend-avatar">
+                <img src="${sanitizeUrl(avatarUrl, AVATAR_PROTOCOLS)}" alt="avatar" class="friend-avatar">
                 <div class="friend-info">
                     <span class="personaname">${personaname}</span>
-                    ${hasStatus ? `<span class="game-status" style="font-weight:400;color:#bfc9d8;">${statusText}</span>` : ""}
+                    ${hasStatus ? html`<span class="game-status" style="font-weight:400;color:#bfc9d8;">${statusText}</span>` : ""}
+                    <span class="hold-reason" id="hold-reason-${steamid}"></span>
                 </div>
             </div>
             <div class="join-section" id="join-section-${steamid}">
+                <input type="checkbox" id="select-friend-${steamid}" class="group-select" title="${FRIENDS_TEMPLATES.GROUP_SELECT_TITLE(groupPosition)}" ${groupPosition ? "checked" : ""}>
+                ${FRIENDS_TEMPLATES.WATCH_BUTTON(steamid, isWatched)}
+                <span class="queue-position" id="queue-pos-${steamid}"></span>
                 <span class="status-dot ${isMissing ? "dot-missing" : "dot-cancelled"}" id="dot-${steamid}"></span>
-                <button id="join-btn-${steamid}" class="action-btn${isActive ? " cancel-btn" : ""}">${isActive ? "Cancel" : "Join"}</button>
+                <button id="join-btn-${steamid}" class="action-btn${isActive ? " cancel-btn" : ""}" title="Shift+click to join only on the current map">${isActive ? "Cancel" : "Join"}</button>
+                <button id="follow-btn-${steamid}" class="action-btn follow-btn" title="Join and keep following to new servers until cancelled" ${isActive ? "disabled" : ""}>Follow</button>
             </div>
         </div>
     `,
+
+  /**
+   * Auto-join watchlist toggle
+   * @param {string} steamid - Steam ID
+   * @param {boolean} isWatched - Whether friend is on the watchlist
+   * @returns {import('../utils/safe-html.js').SafeHtml} Watch button HTML
+   */
+  WATCH_BUTTON: (steamid, isWatched) => html`<button id="watch-btn-${steamid}" class="watch-btn${isWatched ? " watched" : ""}" title="${FRIENDS_TEMPLATES.WATCH_BUTTON_TITLE(isWatched)}">${isWatched ? "★" : "☆"}</button>`,
+
+  /**
+   * Tooltip for the group join checkbox
+   * @param {number} groupPosition - 1-based position in the group selection, 0 if not selected
+   * @returns {string} Checkbox title
+   */
+  GROUP_SELECT_TITLE: (groupPosition) =>
+    groupPosition
+      ? `Group join priority #${groupPosition}`
+      : "Select for group join",
+
+  /**
+   * Tooltip for the watchlist toggle
+   * @param {boolean} isWatched - Whether friend is on the watchlist
+   * @returns {string} Button title
+   */
+  WATCH_BUTTON_TITLE: (isWatched) =>
+    isWatched
+      ? "Stop auto-joining this friend"
+      : "Auto-join this friend when they enter Casual or Deathmatch",
+};
+
+// =============================================================================
+// HISTORY RENDERER TEMPLATES
+// =============================================================================
+
+export const HISTORY_TEMPLATES = {
+  /**
+   * Aggregate statistics
+   * @param {string} summary - Attempts, success rate and median wait
+   * @param {{label: string, value: string}[]} maps - Median wait per map
+   * @param {{label: string, value: string}[]} friends - Success rate per friend
+   * @param {string} busiestHours - Busiest hours of the day
+   * @returns {import('../utils/safe-html.js').SafeHtml} Statistics HTML
+   */
+  STATS: (summary, maps, friends, busiestHours) => html`
+        <div class="history-summary">${summary}</div>
+        <div class="history-stats-grid">
+            ${HISTORY_TEMPLATES.STATS_TABLE("Median wait per map", maps)}
+            ${HISTORY_TEMPLATES.STATS_TABLE("Success rate per friend", friends)}
+        </div>
+        <div class="history-hours">Busiest hours: ${busiestHours}</div>
+    `,
+
+  /**
+   * Two-column statistics table
+   * @param {string} title - Table title
+   * @param {{label: string, value: string}[]} rows - Table rows
+   * @returns {import('../utils/safe-html.js').SafeHtml} Table HTML
+   */
+  STATS_TABLE: (title, rows) => html`
+        <table class="history-table">
+            <caption>${title}</caption>
+            ${rows.length ? rows.map((row) => html`<tr><td>${row.label}</td><td>${row.value}</td></tr>`) : html`<tr><td class="history-empty">No data yet</td></tr>`}
+        </table>
+    `,
+
+  /**
+   * One recorded attempt
+   * @param {string} time - When the attempt started
+   * @param {string} personaname - Friend name
+   * @param {string} outcome - Final status
+   * @param {string} outcomeLabel - Final status text
+   * @param {string} details - Map, mode, wait and attempts
+   * @param {string} reason - Why it failed, if it did
+   * @returns {import('../utils/safe-html.js').SafeHtml} Entry HTML
+   */
+  ENTRY: (time, personaname, outcome, outcomeLabel, details, reason) => html`
+        <div class="history-entry" title="${reason}">
+            <span class="history-time">${time}</span>
+            <span class="history-name">${personaname}</span>
+            <span class="history-outcome outcome-${outcome}">${outcomeLabel}</span>
+            <span class="history-details">${details}</span>
+        </div>
+    `,
+
+  /**
+   * Shown when nothing has been recorded
+   */
+  EMPTY: html`<div class="history-empty">No join attempts recorded yet</div>`,
 };
 
 // =============================================================================
@@ -480,6 +657,9 @@ export const TUTORIAL_TEMPLATES = {
 // Export emoji processing helpers
 export { processEmojisInTemplate, createNotificationEmoji };
 
+// Export URL sanitizing for renderers that update attributes in place
+export { sanitizeUrl, AVATAR_PROTOCOLS };
+
 // =============================================================================
 // EXPORT ALL TEMPLATES
 // =============================================================================
@@ -488,5 +668,6 @@ export default {
   NOTIFICATION_TEMPLATES,
   HELP_TEMPLATES,
   FRIENDS_TEMPLATES,
+  HISTORY_TEMPLATES,
   TUTORIAL_TEMPLATES,
 };
@@ -135,6 +135,37 @@ class NotificationManager {
     }
   }
 
+  /**
+   * Ask whether to resume the joins from the last session
+   * Closing the notification leaves the choice for the next launch.
+   * @param {string[]} names - Friend names or Steam IDs, one per join
+   * @returns {Promise<boolean|null>} - True to resume, false to discard, null if closed
+   */
+  static showResumeNotification(names) {
+    return new Promise((resolve) => {
+      this.showNotification(NOTIFICATION_TEMPLATES.RESUME_JOINS(names), "info");
+
+      const notificationElement = DOMUtils.getElementById("notifications");
+      const resumeBtn = DOMUtils.getElementById("resume-joins-btn");
+      const dismissBtn = DOMUtils.getElementById("dismiss-resume-btn");
+      const closeBtn = notificationElement?.querySelector(
+        ".notification-close-btn"
+      );
+      if (!resumeBtn || !dismissBtn) {
+        resolve(null);
+        return;
+      }
+
+      const choose = (choice) => () => {
+        this.hideNotification();
+        resolve(choice);
+      };
+      resumeBtn.onclick = choose(true);
+      dismissBtn.onclick = choose(false);
+      if (closeBtn) closeBtn.onclick = choose(null);
+    });
+  }
+
   /**
    * Show help notification for Steam ID (with SVG emoji support)
    */
@@ -211,16 +242,36 @@ class NotificationManager {
     );
   }
 
+  /**
+   * Show one state of the CS2 launch notification
+   * @param {HTMLElement} overlay - Launch notification overlay
+   * @param {HTMLButtonElement} launchBtn - Launch button
+   * @param {{title: string, message: string, hint: string, launchButton: string}} texts - State from NOTIFICATION_TEMPLATES.CS2_LAUNCH
+   * @private
+   */
+  static _showCS2LaunchState(overlay, launchBtn, texts) {
+    const title = overlay.querySelector(".cs2-launch-title");
+    const message = overlay.querySelector(".cs2-launch-message");
+    const hint = overlay.querySelector(".cs2-launch-hint");
+
+    if (title) title.textContent = texts.title;
+    if (message) message.textContent = texts.message;
+    if (hint) hint.textContent = texts.hint;
+    launchBtn.innerHTML = texts.launchButton;
+  }
+
   /**
    * Show CS2 launch notification
    * @param {string} friendId - Steam ID of the friend being joined
    * @param {CS2Manager} cs2Manager - CS2Manager instance for handling launch operations
+   * @param {{launchNow?: boolean}} [options] - launchNow starts CS2 without waiting for the button
    * @returns {Promise<boolean>} - True if user chooses to launch CS2, false if cancelled
    */
-  static showCS2LaunchNotification(friendId, cs2Manager) {
+  static showCS2LaunchNotification(friendId, cs2Manager, options = {}) {
     logger.info("NotificationManager", "Starting CS2 launch notification", {
       friendId,
       hasCs2Manager: !!cs2Manager,
+      launchNow: !!options.launchNow,
     });
 
     return new Promise((resolve) => {
@@ -260,6 +311,12 @@ class NotificationManager {
       // Show overlay
       overlay.style.display = "flex";
 
+      // Progress reported by CS2Manager mapped to notification states
+      const progressTemplates = {
+        starting: NOTIFICATION_TEMPLATES.CS2_LAUNCH.STARTING,
+        closed: NOTIFICATION_TEMPLATES.CS2_LAUNCH.CLOSED,
+      };
+
       // Handle launch button click
       const handleLaunch = async () => {
         if (state.isLaunching || state.isResolved) return;
@@ -267,22 +324,12 @@ class NotificationManager {
         state.isLaunching = true;
 
         // Update UI to launching state using templates
-        const title = overlay.querySelector(".cs2-launch-title");
-        const message = overlay.querySelector(".cs2-launch-message");
-        const hint = overlay.querySelector(".cs2-launch-hint");
-
-        if (title)
-          title.textContent = NOTIFICATION_TEMPLATES.CS2_LAUNCH.LAUNCHING.title;
-        if (message)
-          message.textContent =
-            NOTIFICATION_TEMPLATES.CS2_LAUNCH.LAUNCHING.message;
-        if (hint)
-          hint.textContent = NOTIFICATION_TEMPLATES.CS2_LAUNCH.LAUNCHING.hint;
-
-        // Update button to loading state
+        this._showCS2LaunchState(
+          overlay,
+          launchBtn,
+          NOTIFICATION_TEMPLATES.CS2_LAUNCH.LAUNCHING
+        );
         launchBtn.disabled = true;
-        launchBtn.innerHTML =
-          NOTIFICATION_TEMPLATES.CS2_LAUNCH.LAUNCHING.launchButton;
 
         // Use CS2Manager to handle launch and monitoring
         try {
@@ -290,8 +337,21 @@ class NotificationManager {
             logger.debug("NotificationManager", "CS2 launch progress", {
               status,
             });
+            if (progressTemplates[status] && !state.isResolved) {
+              this._showCS2LaunchState(
+                overlay,
+                launchBtn,
+                progressTemplates[status]
+              );
+            }
           });
 
+          // CS2 closed while loading: allow another launch
+          if (!success && !state.isResolved) {
+            state.isLaunching = false;
+            launchBtn.disabled = false;
+          }
+
           if (success && !state.isResolved) {
             state.isResolved = true;
             this.hideCS2LaunchNotification();
@@ -352,6 +412,9 @@ class NotificationManager {
       // Add event listeners
       launchBtn.addEventListener("click", handleLaunch);
       closeBtn.addEventListener("click", handleClose);
+
+      // Launch-then-join: skip the question, the close button still cancels
+      if (options.launchNow) handleLaunch();
     });
   }
 
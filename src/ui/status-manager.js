@@ -1,5 +1,5 @@
 // Shared constants
-import { STATUS_TYPES } from "../shared/constants.js";
+import { STATUS_TYPES, ACTIVE_STATUS_TYPES } from "../shared/constants.js";
 
 // UI and utilities
 import DOMUtils from "../utils/dom-utils.js";
@@ -14,11 +14,16 @@ class StatusManager {
    */
   static get STATUS_DOT_CLASSES() {
     return {
+      [STATUS_TYPES.IDLE]: "dot-cancelled",
+      [STATUS_TYPES.QUEUED]: "dot-queued",
       [STATUS_TYPES.WAITING]: "dot-waiting",
       [STATUS_TYPES.CONNECTING]: "dot-connecting",
+      [STATUS_TYPES.VERIFYING]: "dot-verifying",
       [STATUS_TYPES.JOINED]: "dot-joined",
+      [STATUS_TYPES.FOLLOWING]: "dot-following",
       [STATUS_TYPES.CANCELLED]: "dot-cancelled",
       [STATUS_TYPES.MISSING]: "dot-missing",
+      [STATUS_TYPES.FAILED]: "dot-failed",
     };
   }
 
@@ -47,20 +52,73 @@ class StatusManager {
   }
 
   /**
-   * Update the join button appearance and behavior
+   * Show a friend's position in the join queue
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {import('../shared/types.js').JoinState|null} state - Join state
+   */
+  static updateQueuePosition(friend_id, state) {
+    const label = DOMUtils.getElementById("queue-pos-" + friend_id);
+    if (!label) return;
+
+    const position =
+      state?.status === STATUS_TYPES.QUEUED ? state.queuePosition : 0;
+    label.textContent = position ? `#${position}` : "";
+    label.title = position ? `Queued: ${position - 1} ahead of this join` : "";
+  }
+
+  /**
+   * Show why a running join is holding off on a joinable server, or why
+   * CS2 refused its latest connect
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {import('../shared/types.js').JoinState|null} state - Join state
+   */
+  static updateHoldReason(friend_id, state) {
+    const label = DOMUtils.getElementById("hold-reason-" + friend_id);
+    if (!label) return;
+
+    const holdReason =
+      state && ACTIVE_STATUS_TYPES.includes(state.status)
+        ? state.holdReason || state.connectError || ""
+        : "";
+    if (label.textContent !== holdReason) label.textContent = holdReason;
+  }
+
+  /**
+   * Show whether CS2 is posting local game state
+   * @param {import('../shared/types.js').GameState|null} state - Latest fresh game state, or null
+   */
+  static updateGameStateStatus(state) {
+    const label = DOMUtils.getElementById("gsi-status");
+    if (!label) return;
+
+    if (!state) {
+      label.textContent = "Live game state: not receiving";
+      label.classList.remove("gsi-live");
+      return;
+    }
+
+    const where = state.map
+      ? `${state.map}${state.round !== null ? `, round ${state.round + 1}` : ""}`
+      : "main menu";
+    label.textContent = `Live game state: ${where}`;
+    label.classList.add("gsi-live");
+  }
+
+  /**
+   * Update the join and follow buttons appearance and behavior
    * @param {string} friend_id - Steam ID of the friend
    * @param {string} status - Join status
+   * @param {boolean} [follow=false] - Whether the join goes on to follow the friend
    */
-  static updateJoinButton(friend_id, status) {
+  static updateJoinButton(friend_id, status, follow = false) {
     const btn = DOMUtils.getElementById("join-btn-" + friend_id);
     if (!btn) return;
 
-    const isActive =
-      status === STATUS_TYPES.WAITING ||
-      status === STATUS_TYPES.CONNECTING ||
-      status === STATUS_TYPES.MISSING;
+    const isActive = ACTIVE_STATUS_TYPES.includes(status);
+    // A follow can still be cancelled while its join success is shown
+    const canCancel = isActive || (follow && status === STATUS_TYPES.JOINED);
 
-    if (isActive) {
+    if (canCancel) {
       btn.textContent = "Cancel";
       btn.classList.add("cancel-btn");
     } else {
@@ -68,7 +126,12 @@ class StatusManager {
       btn.classList.remove("cancel-btn");
     }
 
-    btn.disabled = status === STATUS_TYPES.JOINED;
+    btn.disabled = !canCancel && status === STATUS_TYPES.JOINED;
+
+    const followBtn = DOMUtils.getElementById("follow-btn-" + friend_id);
+    if (followBtn) {
+      followBtn.disabled = isActive || status === STATUS_TYPES.JOINED;
+    }
   }
 }
 
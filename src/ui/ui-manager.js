@@ -1,5 +1,6 @@
 import StatusManager from "./status-manager.js";
 import FriendsRenderer from "./friends-renderer.js";
+import HistoryRenderer from "./history-renderer.js";
 import NotificationManager from "./notification-manager.js";
 
 import tutorialManager from "./tutorial/tutorial-manager.js";
@@ -39,9 +40,36 @@ class UIManager {
    * Update the join button appearance and behavior
    * @param {string} friend_id - Steam ID of the friend
    * @param {string} status - Join status
+   * @param {boolean} [follow=false] - Whether the join goes on to follow the friend
    */
-  static updateJoinButton(friend_id, status) {
-    return StatusManager.updateJoinButton(friend_id, status);
+  static updateJoinButton(friend_id, status, follow = false) {
+    return StatusManager.updateJoinButton(friend_id, status, follow);
+  }
+
+  /**
+   * Show a friend's position in the join queue
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {import('../shared/types.js').JoinState|null} state - Join state
+   */
+  static updateQueuePosition(friend_id, state) {
+    return StatusManager.updateQueuePosition(friend_id, state);
+  }
+
+  /**
+   * Show why a running join is holding off on a joinable server
+   * @param {string} friend_id - Steam ID of the friend
+   * @param {import('../shared/types.js').JoinState|null} state - Join state
+   */
+  static updateHoldReason(friend_id, state) {
+    return StatusManager.updateHoldReason(friend_id, state);
+  }
+
+  /**
+   * Show whether CS2 is posting local game state
+   * @param {import('../shared/types.js').GameState|null} state - Latest fresh game state, or null
+   */
+  static updateGameStateStatus(state) {
+    return StatusManager.updateGameStateStatus(state);
   }
 
   // Friends Rendering Methods - delegate to FriendsRenderer
@@ -54,6 +82,32 @@ class UIManager {
     return FriendsRenderer.renderFriendsList(friends, joinStates);
   }
 
+  /**
+   * Update the auto-join watchlist toggle of a friend
+   * @param {string} friend_id - Steam ID of the friend
+   */
+  static updateWatchButton(friend_id) {
+    return FriendsRenderer.updateWatchButton(friend_id);
+  }
+
+  /**
+   * Sync the group join checkboxes with the selection
+   * @param {string[]} selection - Selected Steam IDs in order of preference
+   */
+  static updateGroupSelection(selection) {
+    return FriendsRenderer.updateGroupSelection(selection);
+  }
+
+  // History Methods - delegate to HistoryRenderer
+  /**
+   * Render recorded join attempts and statistics in the History panel
+   * @param {import('../shared/types.js').HistoryEntry[]} entries - Recent attempts, newest first
+   * @param {import('../shared/types.js').HistoryStats|null} stats - Aggregate statistics
+   */
+  static renderHistory(entries, stats) {
+    return HistoryRenderer.render(entries, stats);
+  }
+
   // Notification Methods - delegate to NotificationManager
   /**
    * Show a notification with close button
@@ -95,14 +149,28 @@ class UIManager {
     return NotificationManager.hideNotification();
   }
 
+  /**
+   * Ask whether to resume the joins from the last session
+   * @param {string[]} names - Friend names or Steam IDs, one per join
+   * @returns {Promise<boolean|null>} - True to resume, false to discard, null if closed
+   */
+  static showResumeNotification(names) {
+    return NotificationManager.showResumeNotification(names);
+  }
+
   /**
    * Show CS2 launch notification
    * @param {string} friendId - Steam ID of the friend being joined
    * @param {CS2Manager} cs2Manager - CS2Manager instance for handling launch operations
+   * @param {{launchNow?: boolean}} [options] - launchNow starts CS2 without waiting for the button
    * @returns {Promise<boolean>} - True if user chooses to launch CS2, false if cancelled
    */
-  static showCS2LaunchNotification(friendId, cs2Manager) {
-    return NotificationManager.showCS2LaunchNotification(friendId, cs2Manager);
+  static showCS2LaunchNotification(friendId, cs2Manager, options) {
+    return NotificationManager.showCS2LaunchNotification(
+      friendId,
+      cs2Manager,
+      options
+    );
   }
 
   /**
@@ -32,6 +32,9 @@ class ErrorHandler {
         "Access forbidden. Please check your API key permissions.",
       [ERROR_CODES.API_ERROR_401]:
         "Unauthorized. Please check your API key or token.",
+      [ERROR_CODES.MISSING_CREDENTIALS]:
+        "Please enter your SteamID64 and API Key",
+      [ERROR_CODES.INVALID_CREDENTIALS]: "Valid API Key or Token is required",
     };
 
     return messages[code] || `An error occurred (${code})`;
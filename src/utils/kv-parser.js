@@ -0,0 +1,173 @@
+/**
+ * Valve KeyValues (KV / VDF) parser
+ * Handles quoted and unquoted tokens, escape sequences, nested blocks,
+ * comments and platform conditionals. Used for rich presence strings and
+ * Steam's local .vdf/.acf files.
+ */
+class KVParser {
+  /**
+   * Parse KeyValues text into a nested object
+   * Malformed or truncated input yields everything parsed up to the error.
+   * @param {string} text - KeyValues text
+   * @returns {Object} - Nested object of string values
+   */
+  static parse(text) {
+    if (typeof text !== "string" || !text) return {};
+
+    const tokens = this._tokenize(text);
+    const state = { tokens, index: 0 };
+    return this._parseBlock(state, false);
+  }
+
+  /**
+   * Parse text and unwrap a single root block (e.g. "RP" { ... })
+   * @param {string} text - KeyValues text
+   * @returns {Object} - Contents of the root block, or the whole parse result
+   */
+  static parseRoot(text) {
+    const parsed = this.parse(text);
+    const keys = Object.keys(parsed);
+
+    if (keys.length === 1 && this._isBlock(parsed[keys[0]])) {
+      return parsed[keys[0]];
+    }
+    return parsed;
+  }
+
+  /**
+   * Flatten nested blocks into a single-level map
+   * @param {Object} obj - Parsed KeyValues object
+   * @param {string} [separator="/"] - Separator joining nested keys
+   * @param {string} [prefix=""] - Key prefix (used for recursion)
+   * @returns {Object<string, string>} - Flat key/value map
+   */
+  static flatten(obj, separator = "/", prefix = "") {
+    const result = {};
+
+    Object.entries(obj || {}).forEach(([key, value]) => {
+      const fullKey = prefix ? `${prefix}${separator}${key}` : key;
+      if (this._isBlock(value)) {
+        Object.assign(result, this.flatten(value, separator, fullKey));
+      } else {
+        result[fullKey] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Split KeyValues text into tokens
+   * @param {string} text - KeyValues text
+   * @returns {{type: string, value?: string, quoted?: boolean}[]} - Tokens
+   * @private
+   */
+  static _tokenize(text) {
+    const tokens = [];
+    const length = text.length;
+    let i = 0;
+
+    while (i < length) {
+      const ch = text[i];
+
+      // Whitespace
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      // Line comments
+      if (ch === "/" && text[i + 1] === "/") {
+        while (i < length && text[i] !== "\n") i++;
+        continue;
+      }
+
+      if (ch === "{" || ch === "}") {
+        tokens.push({ type: ch });
+        i++;
+        continue;
+      }
+
+      // Quoted string with escape sequences
+      if (ch === '"') {
+        let value = "";
+        i++;
+        while (i < length && text[i] !== '"') {
+          if (text[i] === "\\" && i + 1 < length) {
+            const next = text[i + 1];
+            const escapes = { n: "\n", t: "\t", "\\": "\\", '"': '"' };
+            value += escapes[next] ?? `\\${next}`;
+            i += 2;
+            continue;
+          }
+          value += text[i];
+          i++;
+        }
+        i++; // closing quote
+        tokens.push({ type: "string", value, quoted: true });
+        continue;
+      }
+
+      // Unquoted token
+      let value = "";
+      while (i < length && !/[\s{}"]/.test(text[i])) {
+        value += text[i];
+        i++;
+      }
+
+      // Platform conditionals like [$WIN32] are ignored
+      if (/^\[.*\]$/.test(value)) continue;
+
+      tokens.push({ type: "string", value, quoted: false });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse key/value pairs until the end of a block
+   * @param {{tokens: Object[], index: number}} state - Parser state
+   * @param {boolean} nested - Whether a closing brace is expected
+   * @returns {Object} - Parsed block
+   * @private
+   */
+  static _parseBlock(state, nested) {
+    const result = {};
+
+    while (state.index < state.tokens.length) {
+      const keyToken = state.tokens[state.index++];
+
+      if (keyToken.type === "}") {
+        if (nested) return result;
+        continue; // stray closing brace at the root
+      }
+
+      if (keyToken.type !== "string") continue;
+
+      const valueToken = state.tokens[state.index];
+      if (!valueToken) break;
+
+      if (valueToken.type === "{") {
+        state.index++;
+        result[keyToken.value] = this._parseBlock(state, true);
+      } else if (valueToken.type === "string") {
+        state.index++;
+        result[keyToken.value] = valueToken.value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check if a parsed value is a nested block
+   * @param {any} value - Parsed value
+   * @returns {boolean} - True for nested blocks
+   * @private
+   */
+  static _isBlock(value) {
+    return value !== null && typeof value === "object";
+  }
+}
+
+export default KVParser;
@@ -0,0 +1,98 @@
+/**
+ * Safe HTML templating
+ * Tagged templates escape every interpolated value unless it is already
+ * trusted markup produced by another template or wrapped with raw()
+ */
+
+// Characters with special meaning in HTML text and quoted attributes
+const ESCAPE_MAP = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+// Default protocols accepted by sanitizeUrl
+const DEFAULT_URL_PROTOCOLS = ["https:"];
+
+/**
+ * Trusted HTML fragment
+ */
+export class SafeHtml {
+  /**
+   * @param {string} value - Trusted HTML markup
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/[&<>"'`]/g, (ch) => ESCAPE_MAP[ch]);
+}
+
+/**
+ * Mark markup as trusted so templates insert it unescaped
+ * Only use for static markup or markup built by templates.
+ * @param {string} markup - Trusted HTML markup
+ * @returns {SafeHtml} Trusted fragment
+ */
+export function raw(markup) {
+  return markup instanceof SafeHtml ? markup : new SafeHtml(String(markup));
+}
+
+/**
+ * Render an interpolated template value
+ * @param {any} value - Interpolated value
+ * @returns {string} Escaped or trusted markup
+ */
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === false || value === null || value === undefined) return "";
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes all interpolations
+ * @example html`<span>${personaname}</span>`
+ * @param {TemplateStringsArray} strings - Template literal strings
+ * @param {...any} values - Interpolated values
+ * @returns {SafeHtml} Trusted fragment
+ */
+export function html(strings, ...values) {
+  let result = strings[0];
+  values.forEach((value, i) => {
+    result += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(result);
+}
+
+/**
+ * Return the URL if it uses an allowed protocol, otherwise an empty string
+ * @param {string} url - URL to check
+ * @param {string[]} [allowedProtocols] - Allowed protocols, e.g. ["https:", "steam:"]
+ * @returns {string} Sanitized URL or empty string
+ */
+export function sanitizeUrl(url, allowedProtocols = DEFAULT_URL_PROTOCOLS) {
+  if (typeof url !== "string" || !url.trim()) return "";
+
+  try {
+    const parsed = new URL(url.trim());
+    return allowedProtocols.includes(parsed.protocol) ? parsed.href : "";
+  } catch {
+    return "";
+  }
+}
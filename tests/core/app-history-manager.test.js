@@ -0,0 +1,116 @@
+/** @jest-environment jsdom */
+import appHistoryManager from "../../src/core/app-history-manager.js";
+import joinManager from "../../src/game/join-manager.js";
+import { STATUS_TYPES } from "../../src/shared/constants.js";
+
+const [ALICE, BOB, CAROL] = [
+  "76561198000000001",
+  "76561198000000002",
+  "76561198000000003",
+];
+
+const machine = joinManager.stateMachine;
+
+/**
+ * Queue friends the way startJoin and startGroupJoin do
+ * @param {string[]} friendIds - Friends to queue
+ * @param {boolean} asGroup - Whether they form one group attempt
+ */
+const queue = (friendIds, asGroup) => {
+  const data = {
+    ...joinManager.createAttemptData(),
+    group: asGroup ? [...friendIds] : null,
+  };
+  friendIds.forEach((friendId) =>
+    machine.transition(friendId, STATUS_TYPES.QUEUED, data)
+  );
+};
+
+/**
+ * Take a queued join through to success
+ * @param {string} friendId - Friend that is joined
+ */
+const join = (friendId) =>
+  [
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.CONNECTING,
+    STATUS_TYPES.VERIFYING,
+    STATUS_TYPES.JOINED,
+  ].forEach((status) => machine.transition(friendId, status));
+
+/**
+ * Outcomes recorded so far, as "friendId:outcome"
+ * @returns {string[]}
+ */
+const recorded = () =>
+  window.electronAPI.history.add.mock.calls.map(
+    ([entry]) => `${entry.friend_id}:${entry.outcome}`
+  );
+
+beforeAll(() => appHistoryManager.initialize());
+
+beforeEach(() => {
+  window.electronAPI = { history: { add: jest.fn().mockResolvedValue(true) } };
+  [ALICE, BOB, CAROL].forEach((friendId) =>
+    machine.transition(friendId, STATUS_TYPES.IDLE)
+  );
+});
+
+describe("AppHistoryManager", () => {
+  test("records a join cancelled by the user", () => {
+    queue([ALICE], false);
+    joinManager.cancelJoin(ALICE);
+
+    expect(recorded()).toEqual([`${ALICE}:${STATUS_TYPES.CANCELLED}`]);
+  });
+
+  test("skips joins cancelled because another join succeeded", () => {
+    queue([ALICE], false);
+    queue([BOB], false);
+    join(BOB);
+    joinManager.cancelAllExcept(BOB);
+
+    expect(recorded()).toEqual([`${BOB}:${STATUS_TYPES.JOINED}`]);
+  });
+
+  test("skips joins cancelled by a reset", () => {
+    queue([ALICE, BOB], false);
+    joinManager.resetAll();
+
+    expect(recorded()).toEqual([]);
+  });
+
+  test("skips cancelling a follow during its join success", () => {
+    queue([ALICE], false);
+    join(ALICE);
+    joinManager.cancelJoin(ALICE);
+
+    expect(recorded()).toEqual([`${ALICE}:${STATUS_TYPES.JOINED}`]);
+  });
+
+  test("records a group once when a member joins", () => {
+    queue([ALICE, BOB, CAROL], true);
+    joinManager.failJoin(ALICE, "Friend left the supported mode");
+    join(BOB);
+    joinManager.cancelAllExcept(BOB);
+
+    expect(recorded()).toEqual([`${BOB}:${STATUS_TYPES.JOINED}`]);
+  });
+
+  test("records a group once when its last member stops", () => {
+    queue([ALICE, BOB, CAROL], true);
+    joinManager.failJoin(ALICE, "Friend left the supported mode");
+    joinManager.cancelJoin(BOB);
+    joinManager.failJoin(CAROL, "No free slot");
+
+    expect(recorded()).toEqual([`${CAROL}:${STATUS_TYPES.FAILED}`]);
+  });
+
+  test("records a group that could not start once", () => {
+    const attempt = { group: [ALICE, BOB], cycleStartedAt: Date.now() };
+    joinManager.failJoin(ALICE, "Steam ID and API auth are required", attempt);
+    joinManager.failJoin(BOB, "Steam ID and API auth are required", attempt);
+
+    expect(recorded()).toEqual([`${ALICE}:${STATUS_TYPES.FAILED}`]);
+  });
+});
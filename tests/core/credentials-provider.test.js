@@ -0,0 +1,68 @@
+import { CredentialsProvider } from "../../src/core/credentials-provider.js";
+
+const STEAM_ID = "76561198000000001";
+
+describe("CredentialsProvider", () => {
+  test("is ready with a valid SteamID64 and auth", () => {
+    expect(new CredentialsProvider().isReady()).toBe(false);
+    expect(new CredentialsProvider({ steamId: STEAM_ID }).isReady()).toBe(
+      false
+    );
+    expect(
+      new CredentialsProvider({ steamId: "123", hasAuth: true }).isReady()
+    ).toBe(false);
+    expect(
+      new CredentialsProvider({ steamId: STEAM_ID, hasAuth: true }).isReady()
+    ).toBe(true);
+  });
+
+  test("tells subscribers about changes with the previous credentials", () => {
+    const provider = new CredentialsProvider({ steamId: STEAM_ID });
+    const callback = jest.fn();
+    provider.subscribe(callback);
+
+    provider.update({ hasAuth: true });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(
+      { steamId: STEAM_ID, hasAuth: true },
+      { steamId: STEAM_ID, hasAuth: false }
+    );
+  });
+
+  test("stays quiet when nothing changed", () => {
+    const provider = new CredentialsProvider({ steamId: STEAM_ID });
+    const callback = jest.fn();
+    provider.subscribe(callback);
+
+    provider.update({ steamId: STEAM_ID });
+    provider.update({});
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test("stops calling a subscriber once unsubscribed", () => {
+    const provider = new CredentialsProvider();
+    const callback = jest.fn();
+    const unsubscribe = provider.subscribe(callback);
+
+    unsubscribe();
+    provider.update({ steamId: STEAM_ID });
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test("keeps notifying after a subscriber throws", () => {
+    const provider = new CredentialsProvider();
+    const callback = jest.fn();
+    provider.subscribe(() => {
+      throw new Error("broken subscriber");
+    });
+    provider.subscribe(callback);
+
+    provider.update({ hasAuth: true });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(provider.getCredentials()).toEqual({ steamId: "", hasAuth: true });
+  });
+});
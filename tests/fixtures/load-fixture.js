@@ -0,0 +1,12 @@
+import { readFileSync } from "fs";
+import path from "path";
+
+/**
+ * Read a fixture file
+ * @param {...string} parts - Path below tests/fixtures
+ * @returns {string} - File contents
+ */
+const loadFixture = (...parts) =>
+  readFileSync(path.join(__dirname, ...parts), "utf-8");
+
+export default loadFixture;
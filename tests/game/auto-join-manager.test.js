@@ -0,0 +1,77 @@
+import autoJoinManager from "../../src/game/auto-join-manager.js";
+import joinManager from "../../src/game/join-manager.js";
+import cs2Manager from "../../src/game/cs2-manager.js";
+
+const FRIEND = "76561198000000002";
+
+/**
+ * Friend status from a refresh
+ * @param {boolean} inCasual - Whether the friend is in a supported mode
+ * @returns {Object} - Friend
+ */
+const friend = (inCasual) => ({
+  steamid: FRIEND,
+  personaname: "Friend",
+  in_casual_mode: inCasual,
+  join_available: inCasual,
+});
+
+beforeEach(() => {
+  autoJoinManager.load({ watchlist: [FRIEND] });
+  jest.spyOn(joinManager, "startJoin").mockResolvedValue();
+  jest.spyOn(joinManager, "getJoinStates").mockReturnValue({});
+  jest.spyOn(cs2Manager, "checkUserInCS2AndLobby").mockResolvedValue(true);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("AutoJoinManager", () => {
+  test("joins a watched friend who enters casual", async () => {
+    await autoJoinManager.handleFriendsUpdate([friend(false)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+
+    expect(joinManager.startJoin).toHaveBeenCalledTimes(1);
+    expect(joinManager.startJoin).toHaveBeenCalledWith(
+      FRIEND,
+      expect.any(Object)
+    );
+  });
+
+  test("leaves a friend alone who is mid-match when first seen", async () => {
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+
+    expect(joinManager.startJoin).not.toHaveBeenCalled();
+  });
+
+  test("leaves a friend alone who is mid-match when watched", async () => {
+    autoJoinManager.load({ watchlist: [] });
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+    autoJoinManager.toggleWatch(FRIEND);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+
+    expect(joinManager.startJoin).not.toHaveBeenCalled();
+  });
+
+  test("joins once per visit to casual", async () => {
+    await autoJoinManager.handleFriendsUpdate([friend(false)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+    await autoJoinManager.handleFriendsUpdate([friend(false)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+
+    expect(joinManager.startJoin).toHaveBeenCalledTimes(2);
+  });
+
+  test("joins once the rules allow it, while the friend stays in casual", async () => {
+    cs2Manager.checkUserInCS2AndLobby.mockResolvedValue(false);
+    await autoJoinManager.handleFriendsUpdate([friend(false)]);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+    expect(joinManager.startJoin).not.toHaveBeenCalled();
+
+    cs2Manager.checkUserInCS2AndLobby.mockResolvedValue(true);
+    await autoJoinManager.handleFriendsUpdate([friend(true)]);
+
+    expect(joinManager.startJoin).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,133 @@
+import { GAME_MODES } from "../../src/shared/constants.js";
+import GameModeClassifier from "../../src/game/game-mode-classifier.js";
+import SteamAPIUtils from "../../src/steam/steam-api-utils.js";
+import loadFixture from "../fixtures/load-fixture.js";
+
+const inGame = (game_mode, extra = {}) => ({
+  game_state: "game",
+  game_mode,
+  ...extra,
+});
+
+describe("GameModeClassifier.classify", () => {
+  test.each([
+    ["casual", inGame("casual"), GAME_MODES.CASUAL],
+    ["deathmatch", inGame("deathmatch"), GAME_MODES.DEATHMATCH],
+    ["competitive", inGame("competitive"), GAME_MODES.COMPETITIVE],
+    [
+      "competitive on an Active Duty map group",
+      inGame("competitive", { game_mapgroupname: "mg_active" }),
+      GAME_MODES.COMPETITIVE,
+    ],
+    [
+      "premier through mg_lobby_mapveto",
+      inGame("competitive", { game_mapgroupname: "mg_lobby_mapveto" }),
+      GAME_MODES.PREMIER,
+    ],
+    [
+      "premier with an upper-case map group",
+      inGame("competitive", { game_mapgroupname: "MG_LOBBY_MAPVETO" }),
+      GAME_MODES.PREMIER,
+    ],
+    ["premier by name", inGame("premier"), GAME_MODES.PREMIER],
+    ["wingman", inGame("scrimcomp2v2"), GAME_MODES.WINGMAN],
+    ["wingman by name", inGame("wingman"), GAME_MODES.WINGMAN],
+    ["arms race", inGame("gungameprogressive"), GAME_MODES.ARMS_RACE],
+    ["arms race by name", inGame("armsrace"), GAME_MODES.ARMS_RACE],
+    ["retakes", inGame("retakes"), GAME_MODES.RETAKES],
+    ["custom mode", inGame("custom"), GAME_MODES.WORKSHOP],
+    ["co-op mission", inGame("coopmission"), GAME_MODES.WORKSHOP],
+    [
+      "a workshop map in casual",
+      inGame("casual", { game_map: "workshop/3070284539/de_custom" }),
+      GAME_MODES.WORKSHOP,
+    ],
+    [
+      "a workshop map in premier's map group",
+      inGame("competitive", {
+        game_map: "workshop/123/de_x",
+        game_mapgroupname: "mg_lobby_mapveto",
+      }),
+      GAME_MODES.WORKSHOP,
+    ],
+    ["mixed-case mode", inGame("Casual"), GAME_MODES.CASUAL],
+    ["lobby", { game_state: "lobby" }, GAME_MODES.LOBBY],
+    [
+      "lobby with a leftover mode",
+      { game_state: "lobby", game_mode: "casual" },
+      GAME_MODES.LOBBY,
+    ],
+    ["menu (no game state)", { status: "Main Menu" }, GAME_MODES.MENU],
+    ["menu (empty game state)", { game_state: "" }, GAME_MODES.MENU],
+    ["unknown mode", inGame("survival"), GAME_MODES.UNKNOWN],
+    ["missing mode in a match", inGame(null), GAME_MODES.UNKNOWN],
+    ["no rich presence", null, GAME_MODES.UNKNOWN],
+    ["undefined rich presence", undefined, GAME_MODES.UNKNOWN],
+  ])("%s", (_, richPresence, expected) => {
+    expect(GameModeClassifier.classify(richPresence)).toBe(expected);
+  });
+
+  test.each([
+    ["casual-dust2", GAME_MODES.CASUAL],
+    ["premier-ancient", GAME_MODES.PREMIER],
+    ["lobby-party", GAME_MODES.LOBBY],
+    ["escaped-quotes", GAME_MODES.DEATHMATCH],
+  ])("classifies the %s sample", (name, expected) => {
+    const richPresence = SteamAPIUtils.parseRichPresence(
+      loadFixture("rich-presence", `${name}.vdf`)
+    );
+
+    expect(GameModeClassifier.classify(richPresence)).toBe(expected);
+  });
+
+  test("covers every GAME_MODES value", () => {
+    const samples = [
+      inGame("casual"),
+      inGame("deathmatch"),
+      inGame("competitive"),
+      inGame("competitive", { game_mapgroupname: "mg_lobby_mapveto" }),
+      inGame("scrimcomp2v2"),
+      inGame("gungameprogressive"),
+      inGame("retakes"),
+      inGame("custom"),
+      { game_state: "lobby" },
+      {},
+      inGame("survival"),
+    ];
+    const modes = new Set(samples.map((s) => GameModeClassifier.classify(s)));
+
+    expect([...modes].sort()).toEqual(Object.values(GAME_MODES).sort());
+  });
+});
+
+describe("GameModeClassifier helpers", () => {
+  test.each(Object.values(GAME_MODES))("%s support and ranking", (mode) => {
+    expect(GameModeClassifier.isSupported(mode)).toBe(
+      mode === GAME_MODES.CASUAL || mode === GAME_MODES.DEATHMATCH
+    );
+    expect(GameModeClassifier.isCompetitive(mode)).toBe(
+      mode === GAME_MODES.COMPETITIVE || mode === GAME_MODES.PREMIER
+    );
+    expect(GameModeClassifier.getLabel(mode)).toEqual(expect.any(String));
+  });
+
+  test("labels an unknown value as Unknown", () => {
+    expect(GameModeClassifier.getLabel("nonsense")).toBe("Unknown");
+  });
+});
+
+describe("SteamAPIUtils.isPlayerInCompetitiveOrPremier", () => {
+  test.each([
+    ["premier-ancient", true],
+    ["casual-dust2", false],
+    ["lobby-party", false],
+  ])("reads rich_presence_kv of the %s sample", (name, expected) => {
+    const privateData = {
+      rich_presence_kv: loadFixture("rich-presence", `${name}.vdf`),
+    };
+
+    expect(SteamAPIUtils.isPlayerInCompetitiveOrPremier(privateData)).toBe(
+      expected
+    );
+  });
+});
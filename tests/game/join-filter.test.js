@@ -0,0 +1,179 @@
+import { GAME_MODES } from "../../src/shared/constants.js";
+import JoinFilter from "../../src/game/join-filter.js";
+
+/**
+ * Presence of a friend in a joinable match
+ * @param {Object} [extra] - Fields to override
+ * @returns {import('../../src/shared/types.js').JoinCandidate}
+ */
+const candidate = (extra = {}) => ({
+  steamid: "76561198000000002",
+  in_casual_mode: true,
+  game_mode: GAME_MODES.CASUAL,
+  game_map: "de_dust2",
+  game_score: "[ 2 : 3 ]",
+  ...extra,
+});
+
+const filters = (extra = {}) => JoinFilter.normalize(extra);
+
+describe("JoinFilter.normalize", () => {
+  test.each([
+    ["no filters", undefined, filters()],
+    [
+      "map names trimmed, lower-cased and deduplicated",
+      { allowed_maps: [" DE_Dust2 ", "de_dust2", "", "cs_office"] },
+      { ...filters(), allowed_maps: ["de_dust2", "cs_office"] },
+    ],
+    [
+      "maps that are not a list",
+      { allowed_maps: "de_dust2", blocked_maps: null },
+      filters(),
+    ],
+    [
+      "modes no filter can pick",
+      { modes: [GAME_MODES.DEATHMATCH, GAME_MODES.PREMIER, "bogus"] },
+      { ...filters(), modes: [GAME_MODES.DEATHMATCH] },
+    ],
+    [
+      "a truthy skip_near_end",
+      { skip_near_end: "yes" },
+      { ...filters(), skip_near_end: true },
+    ],
+  ])("cleans up %s", (_, raw, expected) => {
+    expect(JoinFilter.normalize(raw)).toEqual(expected);
+  });
+});
+
+describe("JoinFilter.merge", () => {
+  const global = filters({
+    blocked_maps: ["de_vertigo"],
+    skip_near_end: true,
+  });
+
+  test.each([
+    ["no per-join filters", null, global],
+    [
+      "an override of one field",
+      { skip_near_end: false },
+      { ...global, skip_near_end: false },
+    ],
+    [
+      "undefined fields, which keep the global value",
+      { skip_near_end: undefined, allowed_maps: ["de_mirage"] },
+      { ...global, allowed_maps: ["de_mirage"] },
+    ],
+  ])("applies %s", (_, joinFilters, expected) => {
+    expect(JoinFilter.merge(global, joinFilters)).toEqual(expected);
+  });
+});
+
+describe("JoinFilter.parseMapList", () => {
+  test.each([
+    ["de_dust2, de_inferno", ["de_dust2", "de_inferno"]],
+    ["de_dust2 de_inferno;cs_office", ["de_dust2", "de_inferno", "cs_office"]],
+    [" , ", []],
+    ["", []],
+    [null, []],
+  ])("splits %p", (text, expected) => {
+    expect(JoinFilter.parseMapList(text)).toEqual(expected);
+  });
+});
+
+describe("JoinFilter.parseScore", () => {
+  test.each([
+    ["[ 5 : 7 ]", [5, 7]],
+    ["0:0", [0, 0]],
+    ["[ 12 : 3 ]", [12, 3]],
+    ["", null],
+    [null, null],
+    ["warmup", null],
+  ])("reads %p", (score, expected) => {
+    expect(JoinFilter.parseScore(score)).toEqual(expected);
+  });
+});
+
+describe("JoinFilter.isNearEnd", () => {
+  test.each([
+    ["a casual match at 6:2", candidate({ game_score: "[ 6 : 2 ]" }), false],
+    ["a casual match at 7:2", candidate({ game_score: "[ 7 : 2 ]" }), true],
+    ["a casual match at 3:7", candidate({ game_score: "[ 3 : 7 ]" }), true],
+    ["an unknown score", candidate({ game_score: null }), false],
+    [
+      "a deathmatch, which has no rounds",
+      candidate({ game_mode: GAME_MODES.DEATHMATCH, game_score: "[ 7 : 2 ]" }),
+      false,
+    ],
+  ])("%s", (_, friend, expected) => {
+    expect(JoinFilter.isNearEnd(friend)).toBe(expected);
+  });
+});
+
+describe("JoinFilter.getHoldReason", () => {
+  test.each([
+    ["no filters", candidate(), filters(), null],
+    [
+      "a friend outside the supported modes",
+      candidate({ in_casual_mode: false }),
+      filters({ allowed_maps: ["de_mirage"] }),
+      null,
+    ],
+    ["a missing presence", undefined, filters({ skip_near_end: true }), null],
+    [
+      "a mode filtered out",
+      candidate({ game_mode: GAME_MODES.DEATHMATCH }),
+      filters({ modes: [GAME_MODES.CASUAL] }),
+      "Holding: Deathmatch is filtered out",
+    ],
+    [
+      "a mode that passes",
+      candidate(),
+      filters({ modes: [GAME_MODES.CASUAL] }),
+      null,
+    ],
+    [
+      "a blocked map, in any case",
+      candidate({ game_map: "DE_Dust2" }),
+      filters({ blocked_maps: ["de_dust2"] }),
+      "Holding: de_dust2 is blocked",
+    ],
+    [
+      "a map not on the allowed list",
+      candidate(),
+      filters({ allowed_maps: ["de_mirage", "de_inferno"] }),
+      "Holding: waiting for de_mirage, de_inferno",
+    ],
+    [
+      "an allowed map",
+      candidate({ game_map: "de_mirage" }),
+      filters({ allowed_maps: ["de_mirage"] }),
+      null,
+    ],
+    [
+      "an unknown map with an allowed list",
+      candidate({ game_map: null }),
+      filters({ allowed_maps: ["de_mirage"] }),
+      "Holding: waiting for de_mirage",
+    ],
+    [
+      "a match almost over",
+      candidate({ game_score: "[ 7 : 4 ]" }),
+      filters({ skip_near_end: true }),
+      "Holding: match almost over (7:4)",
+    ],
+    [
+      "a match almost over without skip_near_end",
+      candidate({ game_score: "[ 7 : 4 ]" }),
+      filters(),
+      null,
+    ],
+    [
+      "a mode filter before a blocked map",
+      candidate({ game_mode: GAME_MODES.DEATHMATCH }),
+      filters({ modes: [GAME_MODES.CASUAL], blocked_maps: ["de_dust2"] }),
+      "Holding: Deathmatch is filtered out",
+    ],
+  ])("%s", (_, friend, effective, expected) => {
+    expect(JoinFilter.getHoldReason(friend, effective)).toBe(expected);
+  });
+});
@@ -0,0 +1,104 @@
+import joinManager from "../../src/game/join-manager.js";
+import { CredentialsProvider } from "../../src/core/credentials-provider.js";
+import SteamServiceClient from "../../src/steam/steam-service-client.js";
+import { STATUS_TYPES } from "../../src/shared/constants.js";
+
+// Runs without a DOM: credentials come from a provider, Steam from a stub
+
+const USER = "76561198000000001";
+const FRIEND = "76561198000000002";
+
+/**
+ * Wait until a condition holds, polling on real timers
+ * @param {Function} condition - Returns true once done
+ * @param {number} [timeoutMs=3000] - Give up after this long
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeoutMs = 3000) => {
+  const giveUpAt = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > giveUpAt) throw new Error("Condition not met in time");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+const status = () => joinManager.stateMachine.getStatus(FRIEND);
+
+beforeEach(() => {
+  // The friend is in casual, but their server is full (no connect string)
+  jest.spyOn(SteamServiceClient, "invalidateCache").mockResolvedValue(true);
+  jest.spyOn(SteamServiceClient, "getJoinCandidates").mockResolvedValue([]);
+  jest
+    .spyOn(SteamServiceClient, "getFriendsStatuses")
+    .mockResolvedValue([
+      { steamid: FRIEND, personaname: "Friend", in_casual_mode: true },
+    ]);
+});
+
+afterEach(async () => {
+  joinManager.resetAll();
+  joinManager.setCredentialsProvider(null);
+  // Let the loops see the reset and end
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  jest.restoreAllMocks();
+});
+
+describe("JoinManager without a DOM", () => {
+  test("fails a join while the provider has no credentials", async () => {
+    joinManager.setCredentialsProvider(new CredentialsProvider());
+
+    await joinManager.startJoin(FRIEND);
+
+    expect(status()).toBe(STATUS_TYPES.FAILED);
+    expect(joinManager.stateMachine.get(FRIEND).reason).toBe(
+      "Steam ID and API auth are required"
+    );
+  });
+
+  test("runs a join with credentials from the provider", async () => {
+    joinManager.setCredentialsProvider(
+      new CredentialsProvider({ steamId: USER, hasAuth: true })
+    );
+
+    await joinManager.startJoin(FRIEND);
+    await waitFor(() => status() === STATUS_TYPES.WAITING);
+
+    expect(SteamServiceClient.getJoinCandidates).toHaveBeenCalledWith(
+      [FRIEND],
+      expect.any(Object)
+    );
+  });
+
+  test("resets running joins when the provider's account changes", async () => {
+    const provider = new CredentialsProvider({ steamId: USER, hasAuth: true });
+    joinManager.setCredentialsProvider(provider);
+    await joinManager.startJoin(FRIEND);
+    await waitFor(() => status() === STATUS_TYPES.WAITING);
+
+    provider.update({ steamId: "76561198000000003" });
+
+    expect(status()).toBe(STATUS_TYPES.IDLE);
+  });
+
+  test("runs a join pressed again while the cancelled loop still sleeps", async () => {
+    joinManager.setCredentialsProvider(
+      new CredentialsProvider({ steamId: USER, hasAuth: true })
+    );
+    await joinManager.startJoin(FRIEND);
+    await waitFor(() => status() === STATUS_TYPES.WAITING);
+    const { attemptId: cancelledId } = joinManager.stateMachine.get(FRIEND);
+
+    joinManager.cancelJoin(FRIEND);
+    await joinManager.startJoin(FRIEND);
+    const { attemptId } = joinManager.stateMachine.get(FRIEND);
+
+    expect(attemptId).not.toBe(cancelledId);
+    await waitFor(() => status() === STATUS_TYPES.WAITING);
+    // The cancelled loop ends and gives its slot back
+    await waitFor(() => joinManager.queue.getStatus().running === 1);
+    expect([...joinManager.queue.running.keys()]).toEqual([
+      `${FRIEND}#${attemptId}`,
+    ]);
+    expect(joinManager.stateMachine.get(FRIEND).attemptId).toBe(attemptId);
+  });
+});
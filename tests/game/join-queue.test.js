@@ -0,0 +1,81 @@
+import JoinQueue from "../../src/game/join-queue.js";
+
+/**
+ * Queue entry whose run() stays pending until finish() is called
+ * @param {string} key - Entry key
+ * @returns {{entry: Object, started: Function, finish: Function}}
+ */
+const deferred = (key) => {
+  let finish;
+  let started = false;
+  const done = new Promise((resolve) => (finish = resolve));
+  return {
+    entry: {
+      key,
+      friendIds: [key],
+      run: () => {
+        started = true;
+        return done;
+      },
+    },
+    started: () => started,
+    finish: () => finish(),
+  };
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("JoinQueue", () => {
+  test("runs at most maxConcurrent attempts", async () => {
+    const queue = new JoinQueue({ maxConcurrent: 2 });
+    const [a, b, c] = ["a", "b", "c"].map(deferred);
+    [a, b, c].forEach(({ entry }) => queue.enqueue(entry));
+    await flush();
+
+    expect([a, b, c].map((d) => d.started())).toEqual([true, true, false]);
+    expect(queue.getPosition("c")).toBe(1);
+
+    a.finish();
+    await flush();
+    expect(c.started()).toBe(true);
+  });
+
+  test("starts the next attempt when a running one is released", async () => {
+    const queue = new JoinQueue({ maxConcurrent: 2 });
+    const [a, b, c] = ["a", "b", "c"].map(deferred);
+    [a, b, c].forEach(({ entry }) => queue.enqueue(entry));
+    await flush();
+
+    expect(queue.release("a")).toBe(true);
+    await flush();
+    expect(c.started()).toBe(true);
+    expect(queue.getStatus()).toMatchObject({ running: 2, waiting: 0 });
+
+    // The released attempt ending does not free another slot
+    a.finish();
+    await flush();
+    expect(queue.getStatus().running).toBe(2);
+  });
+
+  test("keeps a newer attempt with a released key running", async () => {
+    const queue = new JoinQueue({ maxConcurrent: 1 });
+    const first = deferred("a");
+    const second = deferred("a");
+    queue.enqueue(first.entry);
+    await flush();
+
+    queue.release("a");
+    expect(queue.enqueue(second.entry)).toBe(true);
+    await flush();
+    first.finish();
+    await flush();
+
+    expect(second.started()).toBe(true);
+    expect(queue.getStatus().running).toBe(1);
+    expect(queue.enqueue(deferred("a").entry)).toBe(false);
+  });
+
+  test("ignores releasing a key that is not running", () => {
+    expect(new JoinQueue().release("a")).toBe(false);
+  });
+});
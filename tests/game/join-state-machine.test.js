@@ -0,0 +1,63 @@
+import JoinStateMachine from "../../src/game/join-state-machine.js";
+import { STATUS_TYPES } from "../../src/shared/constants.js";
+
+const FRIEND = "76561198000000001";
+
+/**
+ * Walk a friend's join attempt through the given statuses
+ * @param {JoinStateMachine} machine - State machine
+ * @param {string[]} statuses - Statuses in order
+ */
+const walk = (machine, statuses) =>
+  statuses.forEach((status) => machine.transition(FRIEND, status));
+
+const TO_JOINED = [
+  STATUS_TYPES.QUEUED,
+  STATUS_TYPES.WAITING,
+  STATUS_TYPES.CONNECTING,
+  STATUS_TYPES.VERIFYING,
+  STATUS_TYPES.JOINED,
+];
+
+describe("JoinStateMachine", () => {
+  test("walks a join through to following", () => {
+    const machine = new JoinStateMachine();
+    walk(machine, TO_JOINED);
+
+    expect(machine.transition(FRIEND, STATUS_TYPES.FOLLOWING)).toBe(true);
+    expect(machine.isActive(FRIEND)).toBe(true);
+  });
+
+  test("cancels a join while its success is shown", () => {
+    const machine = new JoinStateMachine();
+    const seen = [];
+    machine.subscribe(({ from, to }) => seen.push(`${from}>${to}`));
+    walk(machine, TO_JOINED);
+
+    expect(machine.transition(FRIEND, STATUS_TYPES.CANCELLED)).toBe(true);
+    expect(machine.getStatus(FRIEND)).toBe(STATUS_TYPES.CANCELLED);
+    expect(seen).toContain(`${STATUS_TYPES.JOINED}>${STATUS_TYPES.CANCELLED}`);
+
+    // A cancelled follow does not move on to following
+    expect(machine.transition(FRIEND, STATUS_TYPES.FOLLOWING)).toBe(false);
+  });
+
+  test("rejects leaving idle for a status a join cannot start in", () => {
+    const machine = new JoinStateMachine();
+
+    expect(machine.transition(FRIEND, STATUS_TYPES.JOINED)).toBe(false);
+    expect(machine.get(FRIEND)).toBeNull();
+  });
+
+  test("reset ends an active attempt through cancelled", () => {
+    const machine = new JoinStateMachine();
+    const seen = [];
+    walk(machine, [STATUS_TYPES.QUEUED, STATUS_TYPES.WAITING]);
+    machine.subscribe(({ to }) => seen.push(to));
+
+    machine.reset(FRIEND);
+
+    expect(seen).toEqual([STATUS_TYPES.CANCELLED, STATUS_TYPES.IDLE]);
+    expect(machine.getStatus(FRIEND)).toBe(STATUS_TYPES.IDLE);
+  });
+});
@@ -0,0 +1,221 @@
+import JoinVerifier from "../../src/game/join-verifier.js";
+import JoinStateMachine from "../../src/game/join-state-machine.js";
+import pollScheduler from "../../src/game/poll-scheduler.js";
+import SteamServiceClient from "../../src/steam/steam-service-client.js";
+import {
+  CONSOLE_EVENTS,
+  GAME_MODES,
+  JOIN_OUTCOMES,
+  JOIN_VERIFY_CONFIG,
+  STATUS_TYPES,
+} from "../../src/shared/constants.js";
+
+const USER = "76561198000000001";
+const FRIEND = "76561198000000002";
+const OTHER_FRIEND = "76561198000000003";
+const FRIEND_SERVER = "90000000000000001";
+const START_SERVER = "90000000000000002";
+const WRONG_SERVER = "90000000000000003";
+
+const { SAMPLE_INTERVAL_MS, REQUIRED_SAMPLES, TIMEOUT_MS } = JOIN_VERIFY_CONFIG;
+
+// Where the user's presence says they are, one entry per sample
+const LOBBY = { in_cs2: true, game_mode: GAME_MODES.LOBBY };
+const LOADING = { in_cs2: true, game_mode: GAME_MODES.CASUAL };
+const ON_FRIEND = { ...LOADING, game_server_id: FRIEND_SERVER };
+const ON_START = { ...LOADING, game_server_id: START_SERVER };
+const ON_WRONG = { ...LOADING, game_server_id: WRONG_SERVER };
+
+/**
+ * Answer presence lookups with the user's samples in order
+ * The last sample repeats once the list runs out.
+ * @param {Object[]} samples - User presence per sample
+ */
+const presenceSamples = (samples) => {
+  let index = 0;
+  SteamServiceClient.getJoinCandidates.mockImplementation(async (ids) => {
+    const user = samples[Math.min(index++, samples.length - 1)];
+    return [
+      { steamid: ids[0], ...user },
+      ...ids
+        .slice(1)
+        .map((steamid) => ({ steamid, game_server_id: FRIEND_SERVER })),
+    ];
+  });
+};
+
+/**
+ * Put a friend's join into the verifying status
+ * @param {JoinStateMachine} machine - State machine
+ * @param {string} friendId - Friend Steam ID
+ */
+const startVerifying = (machine, friendId) =>
+  [
+    STATUS_TYPES.QUEUED,
+    STATUS_TYPES.WAITING,
+    STATUS_TYPES.CONNECTING,
+    STATUS_TYPES.VERIFYING,
+  ].forEach((status) => machine.transition(friendId, status));
+
+/**
+ * Track a verification so tests can see whether it ended yet
+ * @param {Promise<string|null>} promise - verify() result
+ * @returns {{outcome: Function}} - outcome() is undefined while running
+ */
+const track = (promise) => {
+  let outcome;
+  promise.then((value) => {
+    outcome = value;
+  });
+  return { outcome: () => outcome };
+};
+
+let machine;
+let verifier;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(pollScheduler, "acquire").mockResolvedValue();
+  jest.spyOn(SteamServiceClient, "getJoinCandidates");
+  machine = new JoinStateMachine();
+  verifier = new JoinVerifier(machine);
+  startVerifying(machine, FRIEND);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe("JoinVerifier sample counting", () => {
+  test("joins after REQUIRED_SAMPLES samples on the friend's server", async () => {
+    presenceSamples([LOBBY, ON_FRIEND]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    await jest.advanceTimersByTimeAsync(
+      (REQUIRED_SAMPLES - 1) * SAMPLE_INTERVAL_MS
+    );
+    expect(run.outcome()).toBeUndefined();
+
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.JOINED);
+    expect(SteamServiceClient.getJoinCandidates).toHaveBeenCalledTimes(
+      1 + REQUIRED_SAMPLES
+    );
+    expect(machine.get(FRIEND).outcome).toBe(JOIN_OUTCOMES.JOINED);
+  });
+
+  test("starts counting again when a sample leaves the server", async () => {
+    presenceSamples([ON_FRIEND, ON_FRIEND, LOADING, ON_FRIEND]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    await jest.advanceTimersByTimeAsync(
+      (2 + REQUIRED_SAMPLES) * SAMPLE_INTERVAL_MS
+    );
+
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.JOINED);
+    expect(SteamServiceClient.getJoinCandidates).toHaveBeenCalledTimes(
+      3 + REQUIRED_SAMPLES
+    );
+  });
+
+  test("reports a wrong server after REQUIRED_SAMPLES samples there", async () => {
+    presenceSamples([ON_START, LOADING, ON_WRONG]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    await jest.advanceTimersByTimeAsync(
+      (1 + REQUIRED_SAMPLES) * SAMPLE_INTERVAL_MS
+    );
+
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.WRONG_SERVER);
+  });
+
+  test("rejects a connect that ends back on the starting server", async () => {
+    presenceSamples([ON_START, LOADING, ON_START]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    await jest.advanceTimersByTimeAsync(2 * SAMPLE_INTERVAL_MS);
+
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.REJECTED);
+  });
+
+  test("stops without an outcome once the join is no longer verifying", async () => {
+    presenceSamples([LOADING]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    machine.transition(FRIEND, STATUS_TYPES.CANCELLED);
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+
+    expect(run.outcome()).toBeNull();
+  });
+});
+
+describe("JoinVerifier timeout", () => {
+  test("times out after TIMEOUT_MS while the user keeps loading", async () => {
+    presenceSamples([LOADING]);
+    const run = track(verifier.verify(FRIEND, USER));
+
+    await jest.advanceTimersByTimeAsync(TIMEOUT_MS - SAMPLE_INTERVAL_MS);
+    expect(run.outcome()).toBeUndefined();
+
+    await jest.advanceTimersByTimeAsync(2 * SAMPLE_INTERVAL_MS);
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.TIMED_OUT);
+  });
+});
+
+describe("JoinVerifier console failures", () => {
+  /**
+   * Console event CS2 wrote at a given time
+   * @param {number} at - Timestamp
+   * @returns {import('../../src/shared/types.js').ConsoleEvent}
+   */
+  const serverFull = (at) => ({
+    type: CONSOLE_EVENTS.SERVER_FULL,
+    address: null,
+    map: null,
+    reason: "Server is full",
+    at,
+  });
+
+  test("rejects the connect at once with the reason CS2 gave", async () => {
+    presenceSamples([LOADING]);
+    const run = track(verifier.verify(FRIEND, USER, Date.now()));
+    await jest.advanceTimersByTimeAsync(0);
+
+    verifier.reportConsoleFailure(serverFull(Date.now()));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(run.outcome()).toBe(JOIN_OUTCOMES.REJECTED);
+    expect(machine.get(FRIEND).connectError).toBe("Server is full");
+  });
+
+  test("ignores a failure written before the connect was opened", async () => {
+    presenceSamples([LOADING]);
+    const openedAt = Date.now();
+    const run = track(verifier.verify(FRIEND, USER, openedAt));
+
+    verifier.reportConsoleFailure(serverFull(openedAt - 1));
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+
+    expect(run.outcome()).toBeUndefined();
+    machine.transition(FRIEND, STATUS_TYPES.CANCELLED);
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+  });
+
+  test("blames the connect opened last before the failure", async () => {
+    presenceSamples([LOADING]);
+    startVerifying(machine, OTHER_FRIEND);
+    const first = track(verifier.verify(FRIEND, USER, Date.now()));
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+    const second = track(verifier.verify(OTHER_FRIEND, USER, Date.now()));
+    await jest.advanceTimersByTimeAsync(0);
+
+    verifier.reportConsoleFailure(serverFull(Date.now()));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(second.outcome()).toBe(JOIN_OUTCOMES.REJECTED);
+    expect(first.outcome()).toBeUndefined();
+    machine.transition(FRIEND, STATUS_TYPES.CANCELLED);
+    await jest.advanceTimersByTimeAsync(SAMPLE_INTERVAL_MS);
+  });
+});
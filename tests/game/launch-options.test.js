@@ -0,0 +1,83 @@
+import LaunchOptions from "../../src/game/launch-options.js";
+import { LAUNCH_CONFIG } from "../../src/shared/constants.js";
+
+const { MAX_ARGS_LENGTH } = LAUNCH_CONFIG;
+
+describe("LaunchOptions.normalize", () => {
+  test.each([
+    ["  -novid   -console ", "-novid -console"],
+    ["-novid\t+exec autoexec\n", "-novid +exec autoexec"],
+    ["", ""],
+    [null, ""],
+    [undefined, ""],
+  ])("cleans up %p", (text, expected) => {
+    expect(LaunchOptions.normalize(text)).toBe(expected);
+  });
+});
+
+describe("LaunchOptions.validate", () => {
+  test.each([
+    ["no arguments", ""],
+    ["the suggested arguments", LAUNCH_CONFIG.SUGGESTED_ARGS],
+    ["flags with values", "-tickrate 128 -fullscreen -w 1920 -h 1080"],
+    ["console commands", "+exec autoexec.cfg +fps_max 0 +cl_showfps 1"],
+    ["a decimal value", "+mat_monitorgamma 1.6"],
+    ["a Windows path", "+exec C:\\cfg\\practice.cfg"],
+    ["spaces around and between arguments", "  -novid    -console  "],
+    [
+      "arguments exactly at the length limit",
+      "-a".padEnd(MAX_ARGS_LENGTH, "b"),
+    ],
+  ])("accepts %s", (_, text) => {
+    expect(LaunchOptions.validate(text)).toBeNull();
+  });
+
+  test.each([
+    ["a quoted value", '-novid +name "Player One"', '"Player'],
+    ["Steam's %command% placeholder", "%command% -novid", "%command%"],
+    ["a shell separator", "-novid;quit", "-novid;quit"],
+    ["an ampersand", "-novid && rm", "&&"],
+    ["URL query syntax", "-console ?connect=1", "?connect=1"],
+    ["a bare sign", "-novid +", "+"],
+  ])("rejects %s", (_, text, invalid) => {
+    expect(LaunchOptions.validate(text)).toBe(
+      `Unsupported launch option: ${invalid}`
+    );
+  });
+
+  test("rejects arguments over the length limit", () => {
+    expect(LaunchOptions.validate("-a".padEnd(MAX_ARGS_LENGTH + 1, "b"))).toBe(
+      `Launch options are limited to ${MAX_ARGS_LENGTH} characters`
+    );
+  });
+
+  test("measures the length after collapsing spaces", () => {
+    const text = `-a${" ".repeat(MAX_ARGS_LENGTH)}-b`;
+
+    expect(LaunchOptions.validate(text)).toBeNull();
+  });
+});
+
+describe("LaunchOptions.buildRunUrl", () => {
+  test.each([
+    ["no arguments", undefined, "steam://run/730/"],
+    ["blank arguments", "   ", "steam://run/730/"],
+    [
+      "valid arguments",
+      " -novid  -console ",
+      "steam://run/730//-novid%20-console/",
+    ],
+    [
+      "a console command",
+      "+exec autoexec",
+      "steam://run/730//%2Bexec%20autoexec/",
+    ],
+    [
+      "invalid arguments, which are dropped",
+      "-novid %command%",
+      "steam://run/730/",
+    ],
+  ])("builds the URL for %s", (_, text, expected) => {
+    expect(LaunchOptions.buildRunUrl(text)).toBe(expected);
+  });
+});
@@ -0,0 +1,139 @@
+import { PollScheduler } from "../../src/game/poll-scheduler.js";
+import { API_CONFIG, POLL_CONFIG } from "../../src/shared/constants.js";
+
+const KEY = "76561198000000002";
+
+/**
+ * Count how many acquire() calls have resolved so far
+ * @param {PollScheduler} scheduler - Scheduler to draw from
+ * @param {number[]} costs - Cost of each call, in order
+ * @returns {{served: Function}} - served() is the number resolved
+ */
+const acquireAll = (scheduler, costs) => {
+  let served = 0;
+  costs.forEach((cost) =>
+    scheduler.acquire(cost).then(() => {
+      served++;
+    })
+  );
+  return { served: () => served };
+};
+
+beforeEach(() => jest.useFakeTimers());
+
+afterEach(() => jest.useRealTimers());
+
+describe("PollScheduler intervals", () => {
+  test.each([
+    // [quiet ms, expected interval]
+    [0, API_CONFIG.JOIN_LOOP_INTERVAL_MS],
+    [14999, API_CONFIG.JOIN_LOOP_INTERVAL_MS],
+    [15000, 400],
+    [29999, 400],
+    [30000, 800],
+    [45000, 1600],
+    [60000, POLL_CONFIG.MAX_INTERVAL_MS],
+    [600000, POLL_CONFIG.MAX_INTERVAL_MS],
+  ])("after %i ms of quiet polls every %i ms", (quietMs, expected) => {
+    const scheduler = new PollScheduler();
+    scheduler.observe(KEY, { connect: null, score: "3:2" });
+
+    jest.advanceTimersByTime(quietMs);
+
+    expect(scheduler.getInterval(KEY)).toBe(expected);
+  });
+
+  test("polls untracked targets at the fastest interval", () => {
+    expect(new PollScheduler().getInterval(KEY)).toBe(
+      API_CONFIG.JOIN_LOOP_INTERVAL_MS
+    );
+  });
+
+  test.each([
+    ["a connect string", { connect: "1.2.3.4:27015", score: "3:2" }],
+    ["a score change", { connect: null, score: "4:2" }],
+  ])("speeds up again on %s", (_, observation) => {
+    const scheduler = new PollScheduler();
+    scheduler.observe(KEY, { connect: null, score: "3:2" });
+    jest.advanceTimersByTime(60000);
+
+    scheduler.observe(KEY, observation);
+
+    expect(scheduler.getInterval(KEY)).toBe(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+  });
+
+  test("keeps backing off when the score is unknown", () => {
+    const scheduler = new PollScheduler();
+    scheduler.observe(KEY, { connect: null, score: "3:2" });
+    jest.advanceTimersByTime(30000);
+
+    scheduler.observe(KEY, { connect: null, score: null });
+
+    expect(scheduler.getInterval(KEY)).toBe(800);
+  });
+
+  test("a group waits at the pace of its most urgent member", async () => {
+    const scheduler = new PollScheduler();
+    scheduler.observe("quiet", { score: "3:2" });
+    jest.advanceTimersByTime(60000);
+    scheduler.observe("fresh", { score: "1:0" });
+
+    let done = false;
+    scheduler.wait(["quiet", "fresh"]).then(() => {
+      done = true;
+    });
+    await jest.advanceTimersByTimeAsync(API_CONFIG.JOIN_LOOP_INTERVAL_MS);
+
+    expect(done).toBe(true);
+  });
+});
+
+describe("PollScheduler budget", () => {
+  test("serves a burst at once, then BUDGET_PER_SECOND", async () => {
+    const scheduler = new PollScheduler();
+    const calls = acquireAll(scheduler, Array(12).fill(1));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(calls.served()).toBe(POLL_CONFIG.BUDGET_BURST);
+
+    // One request refills every 1000 / BUDGET_PER_SECOND ms
+    await jest.advanceTimersByTimeAsync(1000 / POLL_CONFIG.BUDGET_PER_SECOND);
+    expect(calls.served()).toBe(POLL_CONFIG.BUDGET_BURST + 1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(calls.served()).toBe(12);
+  });
+
+  test("makes an auto-refresh wait for its whole cost", async () => {
+    const scheduler = new PollScheduler();
+    acquireAll(scheduler, Array(POLL_CONFIG.BUDGET_BURST - 1).fill(1));
+    const refresh = acquireAll(scheduler, [POLL_CONFIG.AUTO_REFRESH_COST]);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(refresh.served()).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(1000 / POLL_CONFIG.BUDGET_PER_SECOND);
+    expect(refresh.served()).toBe(1);
+  });
+
+  test("serves callers in order", async () => {
+    const scheduler = new PollScheduler();
+    const order = [];
+    acquireAll(scheduler, Array(POLL_CONFIG.BUDGET_BURST).fill(1));
+    scheduler.acquire(POLL_CONFIG.AUTO_REFRESH_COST).then(() => order.push(2));
+    scheduler.acquire(1).then(() => order.push(1));
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(order).toEqual([2, 1]);
+  });
+
+  test("lets a cost above the burst drain the whole budget", async () => {
+    const scheduler = new PollScheduler();
+    const calls = acquireAll(scheduler, [POLL_CONFIG.BUDGET_BURST + 5, 1]);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(calls.served()).toBe(1);
+    expect(scheduler.getStatus().tokens).toBe(0);
+  });
+});
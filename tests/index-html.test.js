@@ -0,0 +1,39 @@
+/**
+ * @jest-environment jsdom
+ */
+import { readFileSync } from "fs";
+import path from "path";
+
+/**
+ * Read the Content-Security-Policy of the renderer page
+ * @returns {Map<string, string[]>} - Sources by directive
+ */
+const readPolicy = () => {
+  document.documentElement.innerHTML = readFileSync(
+    path.join(__dirname, "..", "index.html"),
+    "utf-8"
+  );
+  const meta = document.querySelector(
+    'meta[http-equiv="Content-Security-Policy"]'
+  );
+  return new Map(
+    meta.content
+      .split(";")
+      .map((directive) => directive.trim().split(/\s+/))
+      .map(([name, ...sources]) => [name, sources])
+  );
+};
+
+describe("index.html Content-Security-Policy", () => {
+  // Steam Web API calls run in the main process (steam-service)
+  test("only connects to the app itself", () => {
+    expect(readPolicy().get("connect-src")).toEqual(["'self'"]);
+  });
+
+  test("runs no scripts from elsewhere", () => {
+    const policy = readPolicy();
+
+    expect(policy.get("script-src")).toEqual(["'self'"]);
+    expect(policy.get("object-src")).toEqual(["'none'"]);
+  });
+});
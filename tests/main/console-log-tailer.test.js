@@ -0,0 +1,204 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { ConsoleLogTailer } from "../../src/main/console-log-tailer.js";
+import {
+  CONSOLE_EVENTS,
+  CONSOLE_LOG_CONFIG,
+} from "../../src/shared/constants.js";
+
+const { CONNECTING, CONNECTED, DISCONNECTED, SERVER_FULL, MAP_LOADED } =
+  CONSOLE_EVENTS;
+const FAILED = CONSOLE_EVENTS.CONNECTION_FAILED;
+
+const SERVER = "155.133.226.71:27015";
+
+let tailer;
+let events;
+
+beforeEach(() => {
+  tailer = new ConsoleLogTailer();
+  events = [];
+  tailer.subscribe((event) => events.push(event));
+});
+
+describe("ConsoleLogTailer.parseLine", () => {
+  test.each([
+    [
+      "a connect by address",
+      `Connecting to ${SERVER}...`,
+      { type: CONNECTING, address: SERVER },
+    ],
+    [
+      "a connect through the Steam relay",
+      "[Client] Connecting to '=[A:1:3411152901:24937]:0'...",
+      { type: CONNECTING, address: "=[A:1:3411152901:24937]:0" },
+    ],
+    [
+      "the connection coming up",
+      `Connected to ${SERVER}`,
+      { type: CONNECTED, address: SERVER },
+    ],
+    [
+      "a map load",
+      "[HostStateManager] Host activate: Loading (de_dust2)",
+      { type: MAP_LOADED, map: "de_dust2" },
+    ],
+    [
+      "a full server",
+      "Disconnected from server: NETWORK_DISCONNECT_REJECT_SERVERFULL",
+      { type: SERVER_FULL, reason: "Server is full" },
+    ],
+    [
+      "a wrong password",
+      "Disconnected from server: NETWORK_DISCONNECT_REJECT_BADPASSWORD",
+      { type: FAILED, reason: "Wrong server password" },
+    ],
+    [
+      "a reservation only the lobby may use",
+      "[Client] Disconnect: NETWORK_DISCONNECT_REJECT_RESERVED_FOR_LOBBY",
+      { type: FAILED, reason: "Reserved for lobby" },
+    ],
+    [
+      "a connect that timed out",
+      "Disconnect (NETWORK_DISCONNECT_CONNECT_REQUEST_TIMEDOUT)",
+      { type: FAILED, reason: "Connect request timedout" },
+    ],
+    [
+      "a failed Steam auth",
+      "Disconnected from server: NETWORK_DISCONNECT_STEAM_AUTHINVALID",
+      { type: FAILED, reason: "Steam authinvalid" },
+    ],
+    [
+      "retries running out",
+      "Connection failed after 4 retries.",
+      { type: FAILED, reason: "Connection failed after 4 retries" },
+    ],
+    [
+      "the user leaving",
+      "Disconnect: NETWORK_DISCONNECT_DISCONNECT_BY_USER",
+      { type: DISCONNECTED, reason: "Disconnect by user" },
+    ],
+    [
+      "the game deactivating the old server",
+      "[Client] Disconnect (NETWORK_DISCONNECT_LOOPDEACTIVATE)",
+      { type: DISCONNECTED, reason: "Loopdeactivate" },
+    ],
+    [
+      "a kick",
+      "Disconnected from server: NETWORK_DISCONNECT_KICKED",
+      { type: DISCONNECTED, reason: "Kicked from the server" },
+    ],
+    [
+      "a server shutting down",
+      "Disconnected from server: NETWORK_DISCONNECT_SHUTDOWN",
+      { type: DISCONNECTED, reason: "Shutdown" },
+    ],
+    [
+      "a localized reason",
+      "Disconnected from server: #GameUI_Disconnect_Kicked",
+      { type: DISCONNECTED, reason: "Kicked" },
+    ],
+  ])("recognizes %s", (_, line, expected) => {
+    expect(ConsoleLogTailer.parseLine(line)).toMatchObject(expected);
+  });
+
+  test.each([
+    ["an empty line", ""],
+    ["a cvar change", 'fps_max changed to "0"'],
+    ["a chat line", "Player: gg"],
+    ["a UI state change", "ChangeGameUIState: CSGO_GAME_UI_STATE_MAINMENU"],
+  ])("skips %s", (_, line) => {
+    expect(ConsoleLogTailer.parseLine(line)).toBeNull();
+  });
+});
+
+describe("ConsoleLogTailer.processLine", () => {
+  test("reports a failure with the address of the connect it ended", () => {
+    tailer.processLine(`Connecting to ${SERVER}...`);
+    tailer.processLine(
+      "Disconnected from server: NETWORK_DISCONNECT_REJECT_BADPASSWORD"
+    );
+
+    expect(events.map(({ type }) => type)).toEqual([CONNECTING, FAILED]);
+    expect(events[1].address).toBe(SERVER);
+  });
+
+  test("keeps the connect when the user leaves the previous server", () => {
+    tailer.processLine(`Connecting to ${SERVER}...`);
+    tailer.processLine("Disconnect: NETWORK_DISCONNECT_DISCONNECT_BY_USER");
+    tailer.processLine(
+      "Disconnected from server: NETWORK_DISCONNECT_REJECT_SERVERFULL"
+    );
+
+    expect(events.map(({ type }) => type)).toEqual([
+      CONNECTING,
+      DISCONNECTED,
+      SERVER_FULL,
+    ]);
+  });
+
+  test.each([
+    ["before any connect", []],
+    [
+      "after the connect already failed",
+      [`Connecting to ${SERVER}...`, "Connection failed after 4 retries."],
+    ],
+  ])("reports a failure %s as a plain disconnect", (_, before) => {
+    before.forEach((line) => tailer.processLine(line));
+    tailer.processLine(
+      "Disconnected from server: NETWORK_DISCONNECT_CONNECT_REQUEST_TIMEDOUT"
+    );
+
+    expect(events[events.length - 1]).toMatchObject({
+      type: DISCONNECTED,
+      address: null,
+      reason: "Connect request timedout",
+    });
+  });
+});
+
+describe("ConsoleLogTailer.check", () => {
+  let tempDir;
+  let logPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "console-log-"));
+    logPath = path.join(tempDir, "console.log");
+    tailer.filePath = logPath;
+    tailer.offset = 0;
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("keeps a character cut in half between two reads", async () => {
+    const prefix = "Disconnected from server: ";
+    const reason = "Сервер перезапускается";
+    // The first read ends after the first byte of the reason
+    const padding = "x".repeat(
+      CONSOLE_LOG_CONFIG.MAX_READ_BYTES - prefix.length - 2
+    );
+    await fs.writeFile(logPath, `${padding}\n${prefix}${reason}\n`, "utf-8");
+
+    await tailer.check();
+    await tailer.check();
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: DISCONNECTED, reason }),
+    ]);
+  });
+
+  test("waits for the end of a line before parsing it", async () => {
+    await fs.writeFile(logPath, `Connecting to ${SERVER}`, "utf-8");
+    await tailer.check();
+    expect(events).toEqual([]);
+
+    await fs.appendFile(logPath, "...\n", "utf-8");
+    await tailer.check();
+    expect(events).toEqual([
+      expect.objectContaining({ type: CONNECTING, address: SERVER }),
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { GsiServer } from "../../src/main/gsi-server.js";
+import loadFixture from "../fixtures/load-fixture.js";
+
+// The secret store needs Electron; parsing never touches it
+jest.mock("../../src/main/secret-store.js", () => ({
+  __esModule: true,
+  default: { get: jest.fn(), set: jest.fn() },
+}));
+
+const NOW = 1760860800000;
+
+const gsiPost = (name) => JSON.parse(loadFixture("gsi", `${name}.json`));
+
+beforeEach(() => {
+  jest.spyOn(Date, "now").mockReturnValue(NOW);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("GsiServer.parseGameState", () => {
+  test("reads a live casual match", () => {
+    expect(GsiServer.parseGameState(gsiPost("casual-live"))).toEqual({
+      steamid: "76561198000000001",
+      activity: "playing",
+      map: "de_dust2",
+      mode: "casual",
+      phase: "live",
+      round: 9,
+      round_phase: "freezetime",
+      score_ct: 5,
+      score_t: 4,
+      received_at: NOW,
+    });
+  });
+
+  test("reads the main menu, which has no map or round", () => {
+    expect(GsiServer.parseGameState(gsiPost("main-menu"))).toEqual({
+      steamid: "76561198000000001",
+      activity: "menu",
+      map: null,
+      mode: null,
+      phase: null,
+      round: null,
+      round_phase: null,
+      score_ct: null,
+      score_t: null,
+      received_at: NOW,
+    });
+  });
+
+  test.each([
+    ["an empty post", {}],
+    ["a post that is not an object", null],
+    [
+      "fields of the wrong type",
+      {
+        provider: { steamid: 76561198000000001 },
+        map: { name: "", round: "", team_ct: { score: "five" } },
+      },
+    ],
+  ])("turns %s into nulls", (_, payload) => {
+    const state = GsiServer.parseGameState(payload);
+
+    expect(state.received_at).toBe(NOW);
+    Object.entries(state)
+      .filter(([key]) => key !== "received_at")
+      .forEach(([, value]) => expect(value).toBeNull());
+  });
+
+  test("reads numbers CS2 sent as strings", () => {
+    const state = GsiServer.parseGameState({
+      map: { round: "0", team_ct: { score: "0" }, team_t: { score: "12" } },
+    });
+
+    expect(state.round).toBe(0);
+    expect(state.score_ct).toBe(0);
+    expect(state.score_t).toBe(12);
+  });
+});
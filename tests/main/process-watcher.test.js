@@ -0,0 +1,134 @@
+import { promises as fs } from "fs";
+import { ProcessWatcher } from "../../src/main/process-watcher.js";
+import cs2Manager from "../../src/game/cs2-manager.js";
+
+const CS2_PID = 4242;
+
+let watcher;
+let changes;
+
+/**
+ * Fake /proc with one process per entry
+ * @param {Object<string, {comm: string, cmdline?: string}>} processes - By PID
+ */
+const fakeProc = (processes) => {
+  jest
+    .spyOn(fs, "readdir")
+    .mockResolvedValue(["self", ...Object.keys(processes)]);
+  jest.spyOn(fs, "readFile").mockImplementation(async (file) => {
+    const [, , pid, name] = file.split("/");
+    const entry = processes[pid];
+    if (!entry?.[name]) throw new Error(`ENOENT: ${file}`);
+    return name === "comm" ? `${entry.comm}\n` : entry.cmdline;
+  });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  watcher = new ProcessWatcher();
+  changes = [];
+  watcher.subscribe(({ running }) => changes.push(running));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("ProcessWatcher.check", () => {
+  test("reports CS2 starting and exiting once each", async () => {
+    const findCS2Pid = jest.spyOn(watcher, "findCS2Pid");
+
+    for (const pid of [null, CS2_PID, CS2_PID, null]) {
+      findCS2Pid.mockResolvedValueOnce(pid);
+      await watcher.check();
+    }
+
+    expect(changes).toEqual([false, true, false]);
+    expect(watcher.getStatus()).toMatchObject({ running: false, pid: null });
+  });
+
+  test("reports a failed scan as unknown instead of stopped", async () => {
+    jest
+      .spyOn(watcher, "findCS2Pid")
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error("spawn ps ENOENT"))
+      .mockRejectedValueOnce(new Error("spawn ps ENOENT"))
+      .mockResolvedValueOnce(CS2_PID);
+
+    for (let scan = 0; scan < 4; scan++) await watcher.check();
+
+    expect(changes).toEqual([false, null, true]);
+  });
+
+  test("has no status before the first scan", () => {
+    expect(watcher.getStatus()).toBeNull();
+  });
+});
+
+describe("ProcessWatcher._scanProc", () => {
+  test.each([
+    ["a native build", { comm: "cs2" }],
+    ["a Proton build", { comm: "cs2.exe" }],
+    [
+      "a name cut off at the comm length",
+      {
+        comm: "steam-launch-wr",
+        cmdline: "C:\\Games\\game\\bin\\win64\\cs2.exe\0-steam\0",
+      },
+    ],
+  ])("finds %s", async (_, cs2) => {
+    fakeProc({ 100: { comm: "systemd" }, [CS2_PID]: cs2 });
+
+    expect(await watcher._scanProc()).toBe(CS2_PID);
+  });
+
+  test("ignores a long name whose command line is not CS2", async () => {
+    fakeProc({
+      100: { comm: "steamwebhelper_", cmdline: "/opt/steam/steamwebhelper\0" },
+    });
+
+    expect(await watcher._scanProc()).toBeNull();
+  });
+
+  test("skips processes that exit during the scan", async () => {
+    fakeProc({ 100: {}, 101: { comm: "bash" } });
+
+    expect(await watcher._scanProc()).toBeNull();
+  });
+
+  test("fails when no process name can be read", async () => {
+    fakeProc({ 100: {}, 101: {} });
+
+    await expect(watcher._scanProc()).rejects.toThrow(
+      "No process names readable"
+    );
+  });
+});
+
+describe("CS2Manager with an unknown process state", () => {
+  afterEach(() => {
+    cs2Manager.processState = null;
+  });
+
+  test("only rules CS2 out after a scan saw it stopped", () => {
+    cs2Manager.setProcessState({ running: false, pid: null, since: 0 });
+    expect(cs2Manager.isProcessStopped()).toBe(true);
+
+    cs2Manager.setProcessState({ running: null, pid: null, since: 1 });
+    expect(cs2Manager.isProcessStopped()).toBe(false);
+  });
+
+  test("does not tell subscribers CS2 exited when the state is unknown", () => {
+    const callback = jest.fn();
+    const unsubscribe = cs2Manager.subscribeProcess(callback);
+    cs2Manager.setProcessState({ running: true, pid: CS2_PID, since: 0 });
+
+    cs2Manager.setProcessState({ running: null, pid: null, since: 1 });
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(
+      expect.objectContaining({ running: true })
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { SteamLocator } from "../../src/main/steam-locator.js";
+import loadFixture from "../fixtures/load-fixture.js";
+
+const INSTALL_DIR = "Counter-Strike Global Offensive";
+
+let tempDir;
+let steamRoot;
+let library;
+let locator;
+
+/**
+ * Write a file, creating its folders
+ * @param {string} filePath - File to write
+ * @param {string} [contents=""] - File contents
+ */
+const writeFile = async (filePath, contents = "") => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, contents, "utf-8");
+};
+
+/**
+ * Copy a Steam fixture into the fake Steam root
+ * @param {string} name - Fixture file below tests/fixtures/steam
+ * @param {...string} target - Path below the Steam root
+ */
+const installFixture = (name, ...target) =>
+  writeFile(
+    path.join(steamRoot, ...target),
+    loadFixture("steam", name)
+      .replace("{{STEAM_ROOT}}", steamRoot)
+      .replace("{{LIBRARY}}", library)
+  );
+
+// Steam root plus a second library that lists CS2 (app 730)
+const installLibraryFolders = () =>
+  installFixture("libraryfolders.vdf", "steamapps", "libraryfolders.vdf");
+
+/**
+ * Install CS2 into a library: its app manifest and game folder
+ * @param {string} libraryPath - Library root
+ */
+const installCS2 = async (libraryPath) => {
+  const steamapps = path.join(libraryPath, "steamapps");
+  await writeFile(
+    path.join(steamapps, "appmanifest_730.acf"),
+    loadFixture("steam", "appmanifest_730.acf")
+  );
+  await fs.mkdir(path.join(steamapps, "common", INSTALL_DIR), {
+    recursive: true,
+  });
+};
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "steam-locator-"));
+  steamRoot = path.join(tempDir, "Steam");
+  library = path.join(tempDir, "SteamLibrary");
+  await fs.mkdir(path.join(steamRoot, "steamapps"), { recursive: true });
+  locator = new SteamLocator();
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe("SteamLocator.findRecentUser", () => {
+  test.each([
+    [
+      "the user flagged MostRecent",
+      "loginusers.vdf",
+      "76561198000000002",
+      "Player Two",
+    ],
+    [
+      "the user flagged mostrecent by older clients",
+      "loginusers-legacy.vdf",
+      "76561198000000001",
+      "Player One",
+    ],
+    [
+      "the latest Timestamp without a flag, skipping invalid IDs",
+      "loginusers-no-recent.vdf",
+      "76561198000000002",
+      "Player Two",
+    ],
+  ])("picks %s", async (_, fixture, steamid, personaname) => {
+    await installFixture(fixture, "config", "loginusers.vdf");
+
+    expect(await locator.findRecentUser(steamRoot)).toEqual({
+      steamid,
+      personaname,
+    });
+  });
+
+  test("finds nobody without a loginusers.vdf", async () => {
+    expect(await locator.findRecentUser(steamRoot)).toEqual({
+      steamid: null,
+      personaname: null,
+    });
+  });
+});
+
+describe("SteamLocator.findCS2", () => {
+  test("finds CS2 in the library that lists it", async () => {
+    await installLibraryFolders();
+    await installCS2(library);
+
+    expect(await locator.findCS2(steamRoot)).toBe(
+      path.join(library, "steamapps", "common", INSTALL_DIR)
+    );
+  });
+
+  test("prefers the library that lists CS2 over the Steam root", async () => {
+    await installLibraryFolders();
+    await installCS2(steamRoot);
+    await installCS2(library);
+
+    expect(await locator.findCS2(steamRoot)).toBe(
+      path.join(library, "steamapps", "common", INSTALL_DIR)
+    );
+  });
+
+  test("looks in the other libraries when the listed one lacks CS2", async () => {
+    await installLibraryFolders();
+    await installCS2(steamRoot);
+
+    expect(await locator.findCS2(steamRoot)).toBe(
+      path.join(steamRoot, "steamapps", "common", INSTALL_DIR)
+    );
+  });
+
+  test("skips a manifest whose game folder is gone", async () => {
+    await installLibraryFolders();
+    await installCS2(library);
+    await fs.rm(path.join(library, "steamapps", "common"), { recursive: true });
+
+    expect(await locator.findCS2(steamRoot)).toBeNull();
+  });
+
+  test("uses the Steam root without a libraryfolders.vdf", async () => {
+    await installCS2(steamRoot);
+
+    expect(await locator.findCS2(steamRoot)).toBe(
+      path.join(steamRoot, "steamapps", "common", INSTALL_DIR)
+    );
+  });
+
+  test("finds nothing when CS2 is not installed", async () => {
+    await installLibraryFolders();
+
+    expect(await locator.findCS2(steamRoot)).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import SteamAPIUtils from "../../src/steam/steam-api-utils.js";
+import loadFixture from "../fixtures/load-fixture.js";
+
+const parse = (name) =>
+  SteamAPIUtils.parseRichPresence(loadFixture("rich-presence", `${name}.vdf`));
+
+describe("SteamAPIUtils.parseRichPresence", () => {
+  test("maps a casual match", () => {
+    expect(parse("casual-dust2")).toMatchObject({
+      status: "Casual - Dust II [ 3 : 5 ]",
+      game_state: "game",
+      game_mode: "casual",
+      game_map: "de_dust2",
+      game_mapgroupname: "mg_de_dust2",
+      game_score: "[ 3 : 5 ]",
+      game_act: "offline",
+      connect: "+gcconnectG0B5E3A71",
+      game_server_steam_id: "90264331523702788",
+      player_group: "1A2B3C4D5E",
+      player_group_size: 2,
+      num_players: 14,
+    });
+  });
+
+  test("keeps keys without a typed field in raw", () => {
+    const { raw } = parse("casual-dust2");
+
+    expect(raw.steam_display).toBe("#display_GameKnownMapScore");
+    expect(raw["game:server"]).toBe("kv");
+    expect(raw.watch).toBe("1");
+  });
+
+  test("maps a Premier match", () => {
+    expect(parse("premier-ancient")).toMatchObject({
+      game_mode: "competitive",
+      game_mapgroupname: "mg_lobby_mapveto",
+      connect: null,
+      num_players: 10,
+    });
+  });
+
+  test("maps a party in the lobby", () => {
+    expect(parse("lobby-party")).toMatchObject({
+      status: "Main Menu",
+      game_state: "lobby",
+      game_mode: null,
+      game_map: null,
+      player_group: "1A2B3C4D5E",
+      player_group_size: 3,
+      num_players: null,
+    });
+  });
+
+  test("keeps escaped quotes in the status", () => {
+    expect(parse("escaped-quotes").status).toBe(
+      'Deathmatch - "Mirage" \\ warmup'
+    );
+  });
+
+  test("reads members:numPlayers next to a nested members block", () => {
+    const presence = parse("nested-members");
+
+    expect(presence.num_players).toBe(12);
+    expect(presence.raw["members/maxPlayers"]).toBe("20");
+  });
+
+  test("maps the fields before a cut-off value", () => {
+    expect(parse("truncated")).toMatchObject({
+      status: "Casual - Inferno",
+      game_state: "game",
+      game_mode: "casual",
+    });
+  });
+
+  test.each([undefined, null, ""])("returns empty fields for %p", (kv) => {
+    const presence = SteamAPIUtils.parseRichPresence(kv);
+
+    expect(presence.raw).toEqual({});
+    expect(presence.status).toBeNull();
+    expect(presence.num_players).toBeNull();
+  });
+
+  test("treats numbers that do not parse as null", () => {
+    const presence = SteamAPIUtils.parseRichPresence(
+      '"RP" { "members:numPlayers" "many" "steam_player_group_size" "" }'
+    );
+
+    expect(presence.num_players).toBeNull();
+    expect(presence.player_group_size).toBeNull();
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  FRIENDS_TEMPLATES,
+  HISTORY_TEMPLATES,
+  NOTIFICATION_TEMPLATES,
+} from "../../src/ui/html-templates.js";
+
+const STEAM_ID = "76561198000000001";
+const AVATAR = "https://avatars.steamstatic.com/abc_full.jpg";
+
+// Persona names and status lines a friend can set in Steam
+const HOSTILE_NAMES = [
+  "<img src=x onerror=alert(1)>",
+  "<script>alert(1)</script>",
+  '"><svg onload=alert(1)>',
+  "' onmouseover='alert(1)",
+  '" autofocus onfocus="alert(1)',
+  "javascript:alert(1)",
+  "`${alert(1)}`",
+  "&lt;b&gt;pre-escaped&lt;/b&gt;",
+];
+
+// Attributes a browser follows or loads
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction"];
+
+/**
+ * Parse rendered markup the way innerHTML would
+ * @param {import('../../src/utils/safe-html.js').SafeHtml} markup - Template output
+ * @returns {HTMLElement} - Container holding the parsed markup
+ */
+const render = (markup) => {
+  const container = document.createElement("div");
+  container.innerHTML = String(markup);
+  return container;
+};
+
+/**
+ * Assert parsed markup can not run script
+ * @param {HTMLElement} container - Parsed markup
+ */
+const expectInert = (container) => {
+  expect(container.querySelector("script, svg, iframe, object")).toBeNull();
+  container.querySelectorAll("*").forEach((element) => {
+    [...element.attributes].forEach(({ name, value }) => {
+      expect(name.startsWith("on")).toBe(false);
+      expect(name).not.toBe("autofocus");
+      if (URL_ATTRIBUTES.includes(name)) {
+        expect(value.trim().toLowerCase().startsWith("javascript:")).toBe(
+          false
+        );
+      }
+    });
+  });
+};
+
+const renderFriend = ({
+  avatarUrl = AVATAR,
+  personaname = "friend",
+  statusText = "Casual - Dust II",
+} = {}) =>
+  render(
+    FRIENDS_TEMPLATES.FRIEND_ITEM(
+      STEAM_ID,
+      avatarUrl,
+      personaname,
+      statusText,
+      true,
+      false,
+      false,
+      "casual",
+      false,
+      0
+    )
+  );
+
+describe("FRIENDS_TEMPLATES.FRIEND_ITEM", () => {
+  test.each(HOSTILE_NAMES)("shows the persona name %p as text", (name) => {
+    const container = renderFriend({ personaname: name });
+
+    expectInert(container);
+    expect(container.querySelector(".personaname").textContent).toBe(name);
+    expect(container.querySelectorAll("img")).toHaveLength(1);
+  });
+
+  test.each(HOSTILE_NAMES)("shows the status %p as text", (status) => {
+    const container = renderFriend({ statusText: status });
+
+    expectInert(container);
+    expect(container.querySelector(".game-status").textContent).toBe(status);
+  });
+
+  test("keeps the layout when the name tries to close the markup", () => {
+    const container = renderFriend({
+      personaname: '</span></div></div><button id="join-btn-x">',
+    });
+
+    expect(container.querySelectorAll("button")).toHaveLength(3);
+    expect(container.querySelector("#join-btn-x")).toBeNull();
+  });
+
+  test.each([
+    ["javascript:", "javascript:alert(1)"],
+    ["data:", "data:text/html,<script>alert(1)</script>"],
+    ["http:", "http://avatars.steamstatic.com/abc_full.jpg"],
+    ["a relative path", "abc_full.jpg"],
+  ])("drops a %s avatar URL", (_, avatarUrl) => {
+    const container = renderFriend({ avatarUrl });
+
+    expectInert(container);
+    expect(container.querySelector("img").getAttribute("src")).toBe("");
+  });
+
+  test("keeps a quote-breaking avatar URL inside the src attribute", () => {
+    const container = renderFriend({
+      avatarUrl: 'https://x.test/a.jpg" onerror="alert(1)',
+    });
+
+    expectInert(container);
+    expect(container.querySelector("img").getAttribute("src")).toBe(
+      "https://x.test/a.jpg%22%20onerror=%22alert(1)"
+    );
+  });
+
+  test("keeps an https avatar URL", () => {
+    const container = renderFriend();
+
+    expect(container.querySelector("img").getAttribute("src")).toBe(AVATAR);
+  });
+});
+
+describe("NOTIFICATION_TEMPLATES.PRIVACY_LINK", () => {
+  const linkOf = (url) =>
+    render(NOTIFICATION_TEMPLATES.PRIVACY_LINK(url)).querySelector("a");
+
+  test("keeps a steam:// link", () => {
+    const url = "steam://openurl/https://steamcommunity.com/my/edit/settings";
+
+    expect(linkOf(url).getAttribute("href")).toBe(url);
+  });
+
+  test.each([
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    " javascript:alert(1)",
+    "https://steamcommunity.com/my/edit/settings",
+    "data:text/html,<script>alert(1)</script>",
+  ])("drops %p", (url) => {
+    const container = render(NOTIFICATION_TEMPLATES.PRIVACY_LINK(url));
+
+    expectInert(container);
+    expect(container.querySelector("a").getAttribute("href")).toBe("");
+  });
+
+  test("keeps a quote-breaking steam:// link inside the href", () => {
+    const container = render(
+      NOTIFICATION_TEMPLATES.PRIVACY_LINK('steam://x" onclick="alert(1)')
+    );
+
+    expectInert(container);
+    expect(container.querySelectorAll("a")).toHaveLength(1);
+  });
+});
+
+describe("HISTORY_TEMPLATES", () => {
+  test.each(HOSTILE_NAMES)("shows the entry for %p as text", (name) => {
+    const container = render(
+      HISTORY_TEMPLATES.ENTRY("12:00", name, "failed", "Failed", name, name)
+    );
+    const entry = container.querySelector(".history-entry");
+
+    expectInert(container);
+    expect(entry.querySelector(".history-name").textContent).toBe(name);
+    expect(entry.querySelector(".history-details").textContent).toBe(name);
+    expect(entry.getAttribute("title")).toBe(name);
+  });
+
+  test("keeps a hostile outcome inside the class attribute", () => {
+    const container = render(
+      HISTORY_TEMPLATES.ENTRY("12:00", "a", '" onclick="x', "Failed", "", "")
+    );
+
+    expectInert(container);
+    expect(container.querySelectorAll("span")).toHaveLength(4);
+  });
+
+  test.each(HOSTILE_NAMES)("shows the friend %p in the stats", (name) => {
+    const container = render(
+      HISTORY_TEMPLATES.STATS(
+        "1 attempt",
+        [{ label: name, value: "10 s" }],
+        [{ label: name, value: "100%" }],
+        "20:00"
+      )
+    );
+    const labels = [...container.querySelectorAll("td:first-child")].map(
+      (cell) => cell.textContent
+    );
+
+    expectInert(container);
+    expect(labels).toEqual([name, name]);
+  });
+});
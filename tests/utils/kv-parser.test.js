@@ -0,0 +1,130 @@
+import KVParser from "../../src/utils/kv-parser.js";
+import loadFixture from "../fixtures/load-fixture.js";
+
+const richPresence = (name) => loadFixture("rich-presence", `${name}.vdf`);
+
+describe("KVParser.parse", () => {
+  test("keeps the root block of a rich presence sample", () => {
+    const parsed = KVParser.parse(richPresence("casual-dust2"));
+
+    expect(Object.keys(parsed)).toEqual(["RP"]);
+    expect(parsed.RP["game:map"]).toBe("de_dust2");
+    expect(parsed.RP["members:numPlayers"]).toBe("14");
+  });
+
+  test("unescapes quotes and backslashes", () => {
+    const parsed = KVParser.parse(richPresence("escaped-quotes"));
+
+    expect(parsed.RP.status).toBe('Deathmatch - "Mirage" \\ warmup');
+    expect(parsed.RP["game:map"]).toBe("de_mirage");
+  });
+
+  test("parses nested blocks and skips comments", () => {
+    const parsed = KVParser.parse(richPresence("nested-members"));
+
+    expect(parsed.RP.members).toEqual({ numPlayers: "12", maxPlayers: "20" });
+    expect(parsed.RP["members:numPlayers"]).toBe("12");
+  });
+
+  test("returns what was parsed before the input was cut off", () => {
+    const parsed = KVParser.parse(richPresence("truncated"));
+
+    expect(parsed.RP).toMatchObject({
+      status: "Casual - Inferno",
+      "game:state": "game",
+      "game:mode": "casual",
+    });
+  });
+
+  test.each([
+    ["a key without a value", '"RP" { "status"', { RP: {} }],
+    ["an open block", '"RP" {', { RP: {} }],
+    ["a stray closing brace", '} "a" "b"', { a: "b" }],
+    ["unquoted tokens", "RP { status Menu }", { RP: { status: "Menu" } }],
+    ["platform conditionals", '"a" "b" [$WIN32] "c" "d"', { a: "b", c: "d" }],
+  ])("handles %s", (_, text, expected) => {
+    expect(KVParser.parse(text)).toEqual(expected);
+  });
+
+  test.each([undefined, null, "", 42])("returns {} for %p", (input) => {
+    expect(KVParser.parse(input)).toEqual({});
+  });
+});
+
+describe("KVParser.parseRoot", () => {
+  test("unwraps the RP block", () => {
+    const root = KVParser.parseRoot(richPresence("lobby-party"));
+
+    expect(root["game:state"]).toBe("lobby");
+    expect(root.steam_player_group).toBe("1A2B3C4D5E");
+    expect(root.steam_player_group_size).toBe("3");
+  });
+
+  test("keeps several top-level keys as they are", () => {
+    expect(KVParser.parseRoot('"a" "1" "b" "2"')).toEqual({ a: "1", b: "2" });
+  });
+
+  test("reads the users of a loginusers.vdf", () => {
+    const users = KVParser.parseRoot(loadFixture("steam", "loginusers.vdf"));
+
+    expect(Object.keys(users)).toEqual([
+      "76561198000000001",
+      "76561198000000002",
+    ]);
+    expect(users["76561198000000002"]).toMatchObject({
+      PersonaName: "Player Two",
+      MostRecent: "1",
+    });
+  });
+
+  test("reads the libraries and their apps in a libraryfolders.vdf", () => {
+    const folders = KVParser.parseRoot(
+      loadFixture("steam", "libraryfolders.vdf")
+    );
+
+    expect(Object.keys(folders)).toEqual(["0", "1"]);
+    expect(folders["1"].path).toBe("{{LIBRARY}}");
+    expect(folders["1"].apps).toEqual({ 730: "61440829745" });
+  });
+
+  test("unescapes Windows library paths", () => {
+    const folders = KVParser.parseRoot(
+      '"libraryfolders" { "0" { "path" "D:\\\\SteamLibrary" } }'
+    );
+
+    expect(folders["0"].path).toBe("D:\\SteamLibrary");
+  });
+
+  test("keeps a single top-level value as it is", () => {
+    expect(KVParser.parseRoot('"status" "Menu"')).toEqual({ status: "Menu" });
+  });
+});
+
+describe("KVParser.flatten", () => {
+  test("joins nested keys with a slash", () => {
+    const flat = KVParser.flatten(
+      KVParser.parseRoot(richPresence("nested-members"))
+    );
+
+    expect(flat).toEqual({
+      "game:state": "game",
+      "game:mode": "casual",
+      "game:map": "cs_office",
+      "members/numPlayers": "12",
+      "members/maxPlayers": "20",
+      "members:numPlayers": "12",
+    });
+  });
+
+  test("uses a custom separator", () => {
+    expect(KVParser.flatten({ a: { b: { c: "1" } } }, ".")).toEqual({
+      "a.b.c": "1",
+    });
+  });
+
+  test("leaves a flat sample unchanged", () => {
+    const root = KVParser.parseRoot(richPresence("premier-ancient"));
+
+    expect(KVParser.flatten(root)).toEqual(root);
+  });
+});
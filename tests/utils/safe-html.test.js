@@ -0,0 +1,76 @@
+import {
+  escapeHtml,
+  html,
+  raw,
+  sanitizeUrl,
+  SafeHtml,
+} from "../../src/utils/safe-html.js";
+
+describe("escapeHtml", () => {
+  test("escapes markup and quote characters", () => {
+    expect(escapeHtml(`<a href="x" title='y'>\`&`)).toBe(
+      "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&#96;&amp;"
+    );
+  });
+
+  test.each([
+    [null, ""],
+    [undefined, ""],
+    [0, "0"],
+    [false, "false"],
+  ])("renders %p as %p", (value, expected) => {
+    expect(escapeHtml(value)).toBe(expected);
+  });
+});
+
+describe("html", () => {
+  test("escapes interpolated strings", () => {
+    const name = "<img src=x onerror=alert(1)>";
+
+    expect(String(html`<span>${name}</span>`)).toBe(
+      "<span>&lt;img src=x onerror=alert(1)&gt;</span>"
+    );
+  });
+
+  test("inserts nested templates and raw() markup unescaped", () => {
+    const inner = html`<b>${"<i>"}</b>`;
+
+    expect(String(html`<p>${inner}${raw("<br>")}</p>`)).toBe(
+      "<p><b>&lt;i&gt;</b><br></p>"
+    );
+  });
+
+  test("joins arrays and escapes their items", () => {
+    const items = ["<a>", html`<b>ok</b>`];
+
+    expect(String(html`<p>${items}</p>`)).toBe("<p>&lt;a&gt;<b>ok</b></p>");
+  });
+
+  test.each([false, null, undefined])("renders %p as nothing", (value) => {
+    expect(String(html`<p>${value}</p>`)).toBe("<p></p>");
+  });
+
+  test("returns trusted markup", () => {
+    expect(html`<p></p>`).toBeInstanceOf(SafeHtml);
+    expect(raw(html`<p></p>`)).toBeInstanceOf(SafeHtml);
+  });
+});
+
+describe("sanitizeUrl", () => {
+  test.each([
+    ["https://avatars.steamstatic.com/a.jpg", undefined, true],
+    ["http://avatars.steamstatic.com/a.jpg", undefined, false],
+    ["javascript:alert(1)", undefined, false],
+    ["JAVASCRIPT:alert(1)", ["javascript:"], true],
+    ["steam://openurl/https://x.test", ["steam:"], true],
+    ["steam://openurl/https://x.test", undefined, false],
+    ["data:text/html,x", ["https:"], false],
+    ["not a url", undefined, false],
+    ["", undefined, false],
+    [null, undefined, false],
+  ])("%p with %p is kept: %p", (url, protocols, kept) => {
+    const result = sanitizeUrl(url, protocols);
+
+    expect(result !== "").toBe(kept);
+  });
+});